@@ -10,52 +10,389 @@
   // Holds the active IndexedDB instance after opening the database
   let dbInstance = null;
 
+  // Text fields of a stored cost item that may be changed by updateCost
+  const EDITABLE_FIELDS = ["category", "description"];
+
+  /**
+   * Registry of schema migrations keyed by the version they upgrade to.
+   * Copy of src/services/migrations.js.
+   */
+  const MIGRATIONS = {
+    1: {
+      description: "Create the costs store and its indexes",
+      upgrade: function (db) {
+        const objectStore = db.createObjectStore("costs", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+
+        objectStore.createIndex("category", "category", { unique: false });
+        objectStore.createIndex("dateAdded", "dateAdded", { unique: false });
+        objectStore.createIndex("year_month", ["year", "month"], {
+          unique: false,
+        });
+        objectStore.createIndex("year", "year", { unique: false });
+      },
+    },
+    2: {
+      description: "Add the year index and backfill purchase dates",
+      upgrade: function (db, transaction) {
+        const objectStore = transaction.objectStore("costs");
+
+        if (!objectStore.indexNames.contains("year")) {
+          objectStore.createIndex("year", "year", { unique: false });
+        }
+
+        return rewriteRecords(transaction, "costs", function (cost) {
+          return cost.date
+            ? undefined
+            : Object.assign({}, cost, { date: cost.dateAdded });
+        });
+      },
+    },
+    3: {
+      description: "Create the rates store for daily exchange-rate snapshots",
+      upgrade: function (db) {
+        db.createObjectStore("rates", { keyPath: "date" });
+      },
+    },
+    4: {
+      description: "Replace the non-standard EURO code with ISO 4217 EUR",
+      upgrade: function (db, transaction) {
+        const costsMigrated = rewriteRecords(
+          transaction,
+          "costs",
+          function (cost) {
+            return cost.currency === "EURO"
+              ? Object.assign({}, cost, { currency: "EUR" })
+              : undefined;
+          }
+        );
+
+        return costsMigrated.then(function () {
+          return rewriteRecords(transaction, "rates", function (snapshot) {
+            if (snapshot.rates.EURO === undefined) {
+              return undefined;
+            }
+            const rates = Object.assign({}, snapshot.rates, {
+              EUR: snapshot.rates.EURO,
+            });
+            delete rates.EURO;
+            return Object.assign({}, snapshot, { rates: rates });
+          });
+        });
+      },
+    },
+    5: {
+      description: "Store amounts as integer minor units",
+      upgrade: function (db, transaction) {
+        return rewriteRecords(transaction, "costs", function (cost) {
+          if (cost.sumMinor !== undefined) {
+            return undefined;
+          }
+          const sumMinor = toMinorUnits(cost.sum, cost.currency);
+          if (!isFinite(sumMinor)) {
+            throw new Error(
+              "Cost item " +
+                cost.id +
+                " has an invalid amount (" +
+                String(cost.sum) +
+                ")"
+            );
+          }
+          const updated = Object.assign({}, cost, { sumMinor: sumMinor });
+          delete updated.sum;
+          return updated;
+        });
+      },
+    },
+    6: {
+      description: "Create the categories store and merge duplicate names",
+      upgrade: function (db, transaction) {
+        const categoriesStore = db.createObjectStore("categories", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        categoriesStore.createIndex("key", "key", { unique: true });
+
+        const names = {};
+        const costsMigrated = rewriteRecords(
+          transaction,
+          "costs",
+          function (cost) {
+            const key = getCategoryKey(cost.category);
+            if (names[key] === undefined) {
+              names[key] = normalizeCategoryName(cost.category);
+            }
+            return cost.category === names[key]
+              ? undefined
+              : Object.assign({}, cost, { category: names[key] });
+          }
+        );
+
+        return costsMigrated.then(function () {
+          Object.keys(names).forEach(function (key) {
+            categoriesStore.add({
+              name: names[key],
+              key: key,
+              color: getDefaultCategoryColor(names[key]),
+              icon: DEFAULT_CATEGORY_ICON,
+            });
+          });
+        });
+      },
+    },
+    7: {
+      description: "Add the multiEntry tags index",
+      upgrade: function (db, transaction) {
+        transaction
+          .objectStore("costs")
+          .createIndex("tags", "tags", { unique: false, multiEntry: true });
+
+        return rewriteRecords(transaction, "costs", function (cost) {
+          return Array.isArray(cost.tags)
+            ? undefined
+            : Object.assign({}, cost, { tags: [] });
+        });
+      },
+    },
+    8: {
+      description: "Add the date index for date-range reports",
+      upgrade: function (db, transaction) {
+        transaction
+          .objectStore("costs")
+          .createIndex("date", "date", { unique: false });
+      },
+    },
+    9: {
+      description: "Add the year_month_currency index for currency filters",
+      upgrade: function (db, transaction) {
+        transaction
+          .objectStore("costs")
+          .createIndex("year_month_currency", ["year", "month", "currency"], {
+            unique: false,
+          });
+      },
+    },
+    10: {
+      description: "Create the recurring store and index generated costs",
+      upgrade: function (db, transaction) {
+        db.createObjectStore("recurring", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+
+        const costsStore = transaction.objectStore("costs");
+        costsStore.createIndex("recurringId", "recurringId", { unique: false });
+        costsStore.createIndex("occurrence", "occurrence", { unique: true });
+      },
+    },
+    11: {
+      description: "Create the budgets store",
+      upgrade: function (db) {
+        const budgetsStore = db.createObjectStore("budgets", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        budgetsStore.createIndex(
+          "category_month",
+          ["category", "year", "month"],
+          { unique: true }
+        );
+        budgetsStore.createIndex("year_month", ["year", "month"], {
+          unique: false,
+        });
+      },
+    },
+    12: {
+      description: "Create the rateOverrides store for manual exchange rates",
+      upgrade: function (db) {
+        db.createObjectStore("rateOverrides", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      },
+    },
+    13: {
+      description: "Add the multiEntry tokens index for full-text search",
+      upgrade: function (db, transaction) {
+        transaction
+          .objectStore("costs")
+          .createIndex("tokens", "tokens", { unique: false, multiEntry: true });
+
+        return rewriteRecords(transaction, "costs", withSearchTokens);
+      },
+    },
+  };
+
+  // Colours assigned to new categories (same palette as src/services/categories.js)
+  const CATEGORY_COLORS = [
+    "#0088FE",
+    "#00C49F",
+    "#FFBB28",
+    "#FF8042",
+    "#8884D8",
+    "#82CA9D",
+    "#E91E63",
+    "#795548",
+    "#607D8B",
+    "#9C27B0",
+    "#CDDC39",
+    "#009688",
+  ];
+
+  // Icon of categories created without choosing one
+  const DEFAULT_CATEGORY_ICON = "Category";
+
+  // Non-standard codes (used by older data and rate feeds) and their ISO codes
+  const CURRENCY_ALIASES = { EURO: "EUR", NIS: "ILS" };
+
+  // The schema version this library creates and understands
+  const DB_VERSION = Math.max.apply(null, Object.keys(MIGRATIONS).map(Number));
+
+  /**
+   * Runs every migration after oldVersion up to newVersion, one at a time.
+   */
+  const runMigrations = function (db, transaction, oldVersion, newVersion) {
+    let chain = Promise.resolve();
+
+    for (let version = oldVersion + 1; version <= newVersion; version++) {
+      chain = chain.then(
+        (function (currentVersion) {
+          return function () {
+            const migration = MIGRATIONS[currentVersion];
+            if (!migration) {
+              throw new Error(
+                "No migration registered for version " + currentVersion
+              );
+            }
+            return migration.upgrade(db, transaction);
+          };
+        })(version)
+      );
+    }
+
+    return chain;
+  };
+
+  /**
+   * Rewrites the records of a store with a cursor.
+   * The transform returns the new record, or undefined to leave it unchanged.
+   */
+  const rewriteRecords = function (transaction, storeName, transform) {
+    return new Promise(function (resolve, reject) {
+      const request = transaction.objectStore(storeName).openCursor();
+
+      request.onsuccess = function () {
+        const cursor = request.result;
+
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        let updated;
+        try {
+          updated = transform(cursor.value);
+        } catch (error) {
+          reject(error);
+          return;
+        }
+        if (updated !== undefined) {
+          cursor.update(updated);
+        }
+        cursor.continue();
+      };
+
+      request.onerror = function () {
+        reject(new Error('Failed to migrate records in "' + storeName + '"'));
+      };
+    });
+  };
+
   /**
    * Opens (or creates) the IndexedDB database.
+   * Runs any pending schema migrations up to DB_VERSION, so callers
+   * asking for version 1 still get the current schema.
    * Returns an object exposing the main data-access functions.
    */
   const openCostsDB = function (databaseName, databaseVersion) {
     return new Promise(function (resolve, reject) {
-      const request = indexedDB.open(databaseName, databaseVersion);
+      if (databaseVersion > DB_VERSION) {
+        reject(new Error("Unknown database version " + databaseVersion));
+        return;
+      }
+
+      const request = indexedDB.open(databaseName, DB_VERSION);
+      let upgradeError = null;
 
       request.onerror = function () {
-        reject(new Error("Failed to open database"));
+        if (request.error && request.error.name === "VersionError") {
+          reject(
+            new Error(
+              'Database "' +
+                databaseName +
+                '" was created by a newer version of the app (this ' +
+                "version supports schema " +
+                DB_VERSION +
+                "). Please update the app to open it."
+            )
+          );
+          return;
+        }
+
+        reject(
+          new Error(
+            upgradeError
+              ? "Failed to upgrade database: " + upgradeError.message
+              : "Failed to open database"
+          )
+        );
       };
 
       request.onsuccess = function (event) {
-        dbInstance = event.target.result;
+        const database = event.target.result;
+        dbInstance = database;
+        database.onversionchange = function () {
+          database.close();
+        };
 
         const dbWrapper = {
           addCost: addCost,
+          updateCost: updateCost,
+          deleteCost: deleteCost,
           getReport: getReport,
         };
 
         resolve(dbWrapper);
       };
 
-      // Creates object store and indexes on first run or version upgrade
+      // Runs the ordered migration steps from the stored version to the current one
       request.onupgradeneeded = function (event) {
-        const db = event.target.result;
-
-        if (!db.objectStoreNames.contains("costs")) {
-          const objectStore = db.createObjectStore("costs", {
-            keyPath: "id",
-            autoIncrement: true,
-          });
+        const transaction = event.target.transaction;
 
-          objectStore.createIndex("category", "category", { unique: false });
-          objectStore.createIndex("dateAdded", "dateAdded", { unique: false });
-          objectStore.createIndex("year_month", ["year", "month"], {
-            unique: false,
-          });
-        }
+        runMigrations(
+          event.target.result,
+          transaction,
+          event.oldVersion,
+          event.newVersion
+        ).catch(function (error) {
+          upgradeError = error;
+          try {
+            transaction.abort();
+          } catch (abortError) {
+            // The transaction was already aborted by the failing request
+          }
+        });
       };
     });
   };
 
   /**
    * Adds a new cost item to the database.
-   * Automatically attaches the current date information.
+   * cost.sum is given in major units and stored as integer minor units.
+   * Uses the optional cost.date (Date or "YYYY-MM-DD") or today's date,
+   * and derives the year, month and day fields used by the indexes.
    */
   const addCost = function (cost) {
     return new Promise(function (resolve, reject) {
@@ -65,39 +402,234 @@
       }
 
       const now = new Date();
-      const costItem = {
-        sum: cost.sum,
-        currency: cost.currency,
-        category: cost.category,
-        description: cost.description,
-        dateAdded: now,
-        year: now.getFullYear(),
-        month: now.getMonth() + 1,
-        day: now.getDate(),
-      };
+      const costDate = cost.date === undefined ? now : parseCostDate(cost.date);
 
-      const transaction = dbInstance.transaction(["costs"], "readwrite");
-      const objectStore = transaction.objectStore("costs");
-      const request = objectStore.add(costItem);
+      if (!costDate) {
+        reject(new Error("Invalid cost date"));
+        return;
+      }
 
-      request.onsuccess = function () {
+      const currency = normalizeCurrencyCode(cost.currency);
+      const sumMinor = toMinorUnits(cost.sum, currency);
+
+      if (!isFinite(sumMinor)) {
+        reject(new Error("Invalid cost amount"));
+        return;
+      }
+      if (!normalizeCategoryName(cost.category)) {
+        reject(new Error("Category is required"));
+        return;
+      }
+
+      const costItem = withCostDate(
+        {
+          sumMinor: sumMinor,
+          currency: currency,
+          category: cost.category,
+          description: cost.description,
+          tags: normalizeTags(cost.tags),
+          dateAdded: now,
+        },
+        costDate
+      );
+
+      const transaction = dbInstance.transaction(
+        ["costs", "categories"],
+        "readwrite"
+      );
+      withStoredCategories(transaction, [costItem], function () {
+        transaction.objectStore("costs").add(withSearchTokens(costItem));
+      });
+
+      transaction.oncomplete = function () {
         resolve({
-          sum: costItem.sum,
+          sum: fromMinorUnits(costItem.sumMinor, costItem.currency),
           currency: costItem.currency,
           category: costItem.category,
           description: costItem.description,
+          tags: costItem.tags,
+          date: costItem.date,
         });
       };
 
-      request.onerror = function () {
+      transaction.onabort = function () {
         reject(new Error("Failed to add cost item"));
       };
     });
   };
 
+  /**
+   * Updates an existing cost item with the given fields.
+   * Only sum, currency, category, description, tags and date can be
+   * changed; a new date moves the item to the matching year and month.
+   */
+  const updateCost = function (id, patch) {
+    return new Promise(function (resolve, reject) {
+      if (!dbInstance) {
+        reject(new Error("Database not opened"));
+        return;
+      }
+
+      const transaction = dbInstance.transaction(
+        ["costs", "categories"],
+        "readwrite"
+      );
+      const objectStore = transaction.objectStore("costs");
+      const getRequest = objectStore.get(id);
+
+      getRequest.onsuccess = function () {
+        const existing = getRequest.result;
+
+        if (!existing) {
+          reject(new Error("Cost item not found"));
+          return;
+        }
+        if (
+          patch.category !== undefined &&
+          !normalizeCategoryName(patch.category)
+        ) {
+          reject(new Error("Category is required"));
+          return;
+        }
+
+        let updatedItem = Object.assign({}, existing);
+        EDITABLE_FIELDS.forEach(function (field) {
+          if (patch[field] !== undefined) {
+            updatedItem[field] = patch[field];
+          }
+        });
+        if (patch.tags !== undefined) {
+          updatedItem.tags = normalizeTags(patch.tags);
+        }
+
+        const currency =
+          patch.currency !== undefined
+            ? normalizeCurrencyCode(patch.currency)
+            : existing.currency;
+        const sum =
+          patch.sum !== undefined
+            ? patch.sum
+            : fromMinorUnits(existing.sumMinor, existing.currency);
+        updatedItem.currency = currency;
+        updatedItem.sumMinor = toMinorUnits(sum, currency);
+
+        if (!isFinite(updatedItem.sumMinor)) {
+          reject(new Error("Invalid cost amount"));
+          return;
+        }
+
+        if (patch.date !== undefined) {
+          const costDate = parseCostDate(patch.date);
+          if (!costDate) {
+            reject(new Error("Invalid cost date"));
+            return;
+          }
+          updatedItem = withCostDate(updatedItem, costDate);
+        }
+
+        withStoredCategories(transaction, [updatedItem], function () {
+          objectStore.put(withSearchTokens(updatedItem));
+        });
+
+        transaction.oncomplete = function () {
+          resolve({
+            id: updatedItem.id,
+            sum: fromMinorUnits(updatedItem.sumMinor, updatedItem.currency),
+            currency: updatedItem.currency,
+            category: updatedItem.category,
+            description: updatedItem.description,
+            tags: updatedItem.tags,
+            date: updatedItem.date,
+          });
+        };
+
+        transaction.onabort = function () {
+          reject(new Error("Failed to update cost item"));
+        };
+      };
+
+      getRequest.onerror = function () {
+        reject(new Error("Failed to update cost item"));
+      };
+    });
+  };
+
+  /**
+   * Replaces the category of each cost item with the stored spelling of
+   * that category, creating the categories that do not exist yet, then
+   * calls done. Runs inside a read-write transaction on costs and categories.
+   */
+  const withStoredCategories = function (transaction, costItems, done) {
+    const categoriesStore = transaction.objectStore("categories");
+    const request = categoriesStore.getAll();
+
+    request.onsuccess = function () {
+      const byKey = {};
+      request.result.forEach(function (category) {
+        byKey[category.key] = category;
+      });
+
+      costItems.forEach(function (costItem) {
+        const key = getCategoryKey(costItem.category);
+        if (!byKey[key]) {
+          const name = normalizeCategoryName(costItem.category);
+          byKey[key] = {
+            name: name,
+            key: key,
+            color: getDefaultCategoryColor(name),
+            icon: DEFAULT_CATEGORY_ICON,
+          };
+          categoriesStore.add(byKey[key]);
+        }
+        costItem.category = byKey[key].name;
+      });
+      done();
+    };
+  };
+
+  /**
+   * Deletes a cost item from the database by its id.
+   * Resolves with the id of the removed item.
+   */
+  const deleteCost = function (id) {
+    return new Promise(function (resolve, reject) {
+      if (!dbInstance) {
+        reject(new Error("Database not opened"));
+        return;
+      }
+
+      const transaction = dbInstance.transaction(["costs"], "readwrite");
+      const objectStore = transaction.objectStore("costs");
+      const countRequest = objectStore.count(id);
+
+      countRequest.onsuccess = function () {
+        if (countRequest.result === 0) {
+          reject(new Error("Cost item not found"));
+          return;
+        }
+
+        objectStore.delete(id);
+
+        transaction.oncomplete = function () {
+          resolve(id);
+        };
+
+        transaction.onabort = function () {
+          reject(new Error("Failed to delete cost item"));
+        };
+      };
+
+      countRequest.onerror = function () {
+        reject(new Error("Failed to delete cost item"));
+      };
+    });
+  };
+
   /**
    * Returns a detailed monthly report for a given year, month, and currency.
-   * Includes individual cost items and a calculated total.
+   * Includes individual cost items and a calculated total. Manual exchange
+   * rates that apply today replace the fetched ones. Costs without an
+   * exchange rate are left out of the total and listed as skipped.
    */
   const getReport = function (year, month, currency) {
     return new Promise(function (resolve, reject) {
@@ -106,29 +638,59 @@
         return;
       }
 
-      const transaction = dbInstance.transaction(["costs"], "readonly");
+      const reportCurrency = normalizeCurrencyCode(currency);
+      const transaction = dbInstance.transaction(
+        ["costs", "rateOverrides"],
+        "readonly"
+      );
       const objectStore = transaction.objectStore("costs");
       const index = objectStore.index("year_month");
       const request = index.getAll([year, month]);
+      const overridesRequest = transaction
+        .objectStore("rateOverrides")
+        .getAll();
 
-      request.onsuccess = function (event) {
-        const costs = event.target.result;
+      // Both reads are done once the transaction completes
+      transaction.oncomplete = function () {
+        const costs = request.result;
 
         fetchExchangeRates()
-          .then(function (rates) {
+          .then(function (fetchedRates) {
+            const rates = applyRateOverrides(
+              fetchedRates,
+              overridesRequest.result,
+              new Date()
+            );
             const convertedCosts = costs.map(function (cost) {
               return {
-                sum: cost.sum,
+                id: cost.id,
+                sum: fromMinorUnits(cost.sumMinor, cost.currency),
+                sumMinor: cost.sumMinor,
                 currency: cost.currency,
                 category: cost.category,
                 description: cost.description,
+                tags: cost.tags || [],
+                date: cost.date || cost.dateAdded,
                 Date: { day: cost.day },
               };
             });
 
-            const total = convertedCosts.reduce(function (acc, cost) {
+            // Costs without a rate are left out of the total and listed
+            const skipped = convertedCosts.filter(function (cost) {
+              return !canConvert(cost.currency, reportCurrency, rates);
+            });
+            const totalMinor = convertedCosts.reduce(function (acc, cost) {
+              if (skipped.indexOf(cost) !== -1) {
+                return acc;
+              }
               return (
-                acc + convertCurrency(cost.sum, cost.currency, currency, rates)
+                acc +
+                convertCurrency(
+                  cost.sumMinor,
+                  cost.currency,
+                  reportCurrency,
+                  rates
+                )
               );
             }, 0);
 
@@ -137,9 +699,11 @@
               month: month,
               costs: convertedCosts,
               total: {
-                currency: currency,
-                total: total,
+                currency: reportCurrency,
+                total: fromMinorUnits(totalMinor, reportCurrency),
+                totalMinor: totalMinor,
               },
+              skipped: skipped,
             });
           })
           .catch(function (error) {
@@ -154,7 +718,46 @@
   };
 
   /**
-   * Fetches exchange rates from the configured URL.
+   * Parses a Date or a "YYYY-MM-DD" string into a local Date.
+   * Returns null if the value does not describe a real calendar day.
+   */
+  const parseCostDate = function (value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : new Date(value.getTime());
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (!match) {
+      return null;
+    }
+
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    const day = Number(match[3]);
+    const date = new Date(year, month - 1, day);
+
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+
+    return date;
+  };
+
+  /**
+   * Returns a copy of a cost item stamped with the given purchase date,
+   * keeping the year, month and day index fields consistent with it.
+   */
+  const withCostDate = function (item, date) {
+    return Object.assign({}, item, {
+      date: date,
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+    });
+  };
+
+  /**
+   * Fetches exchange rates from the configured URL, with ISO 4217 codes.
    * Falls back to static rates if the request fails.
    */
   const fetchExchangeRates = function () {
@@ -169,22 +772,228 @@
         }
         return response.json();
       })
+      .then(function (rates) {
+        const normalized = {};
+        Object.keys(rates).forEach(function (code) {
+          normalized[normalizeCurrencyCode(code)] = rates[code];
+        });
+        return normalized;
+      })
       .catch(function () {
-        return { USD: 1, GBP: 0.6, EURO: 0.7, ILS: 3.4 };
+        return { USD: 1, GBP: 0.6, EUR: 0.7, ILS: 3.4 };
+      });
+  };
+
+  /**
+   * Returns the rate table with the manual rates that apply on date in
+   * place of the fetched ones; of overlapping overrides of a currency the
+   * one starting latest wins (same rules as src/services/rateOverrides.js).
+   */
+  const applyRateOverrides = function (rates, overrides, date) {
+    const day =
+      date.getFullYear() +
+      "-" +
+      String(date.getMonth() + 1).padStart(2, "0") +
+      "-" +
+      String(date.getDate()).padStart(2, "0");
+    const chosen = {};
+    overrides.forEach(function (override) {
+      if (override.from > day || (override.to && day > override.to)) {
+        return;
+      }
+      const current = chosen[override.currency];
+      if (
+        !current ||
+        override.from > current.from ||
+        (override.from === current.from && override.id > current.id)
+      ) {
+        chosen[override.currency] = override;
+      }
+    });
+
+    const result = Object.assign({}, rates);
+    Object.keys(chosen).forEach(function (code) {
+      result[code] = chosen[code].rate;
+    });
+    return result;
+  };
+
+  /**
+   * Maps a currency code to its ISO 4217 form (e.g. "EURO" -> "EUR").
+   */
+  const normalizeCurrencyCode = function (code) {
+    const upper = String(code).trim().toUpperCase();
+    return CURRENCY_ALIASES[upper] || upper;
+  };
+
+  /**
+   * Returns the number of decimal digits of a currency's minor unit
+   * (ISO 4217), e.g. 2 for USD and 0 for JPY. Unknown codes use 2.
+   */
+  const getMinorUnits = function (currency) {
+    try {
+      return new Intl.NumberFormat("en", {
+        style: "currency",
+        currency: currency,
+      }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+      return 2;
+    }
+  };
+
+  /**
+   * Rounds a number to the nearest integer, ties to the even neighbour.
+   */
+  const roundHalfEven = function (value) {
+    const floor = Math.floor(value);
+    const diff = value - floor;
+
+    if (diff > 0.5) {
+      return floor + 1;
+    }
+    if (diff < 0.5) {
+      return floor;
+    }
+    return floor % 2 === 0 ? floor : floor + 1;
+  };
+
+  /**
+   * Converts a major-unit amount into integer minor units, rounding any
+   * extra decimals half to even (same rules as src/services/money.js).
+   */
+  const toMinorUnits = function (amount, currency) {
+    const digits = getMinorUnits(currency);
+    let text = typeof amount === "string" ? amount.trim() : String(amount);
+    if (/e/i.test(text)) {
+      text = Number(text).toLocaleString("en-US", {
+        useGrouping: false,
+        maximumFractionDigits: 20,
+      });
+    }
+
+    const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || (match[2] === "" && !match[3])) {
+      return NaN;
+    }
+
+    const fraction = match[3] || "";
+    const kept = fraction.slice(0, digits).padEnd(digits, "0");
+    const rest = fraction.slice(digits);
+    let minor = Number((match[2] || "0") + kept);
+
+    if (rest !== "") {
+      const firstDropped = Number(rest[0]);
+      const beyondHalf = /[1-9]/.test(rest.slice(1));
+      if (
+        firstDropped > 5 ||
+        (firstDropped === 5 && (beyondHalf || minor % 2 === 1))
+      ) {
+        minor += 1;
+      }
+    }
+
+    return match[1] === "-" ? -minor : minor;
+  };
+
+  /**
+   * Converts integer minor units back into a major-unit number.
+   */
+  const fromMinorUnits = function (minor, currency) {
+    return minor / Math.pow(10, getMinorUnits(currency));
+  };
+
+  /**
+   * Trims a category name and collapses inner whitespace.
+   */
+  const normalizeCategoryName = function (name) {
+    return String(name || "")
+      .trim()
+      .replace(/\s+/g, " ");
+  };
+
+  /**
+   * Returns the key used to detect duplicate category names.
+   */
+  const getCategoryKey = function (name) {
+    return normalizeCategoryName(name).toLowerCase();
+  };
+
+  /**
+   * Picks a colour for a category from its name, so a category gets the
+   * same colour wherever it is created.
+   */
+  const getDefaultCategoryColor = function (name) {
+    const key = getCategoryKey(name);
+    let hash = 0;
+    for (let i = 0; i < key.length; i++) {
+      hash = (hash * 31 + key.charCodeAt(i)) % 1000003;
+    }
+    return CATEGORY_COLORS[hash % CATEGORY_COLORS.length];
+  };
+
+  /**
+   * Normalizes a list of tags (trimmed, lower-cased), dropping empty and
+   * repeated ones.
+   */
+  const normalizeTags = function (tags) {
+    const normalized = [];
+    (Array.isArray(tags) ? tags : []).forEach(function (tag) {
+      const value = String(tag || "")
+        .trim()
+        .replace(/\s+/g, " ")
+        .toLowerCase();
+      if (value !== "" && normalized.indexOf(value) === -1) {
+        normalized.push(value);
+      }
+    });
+    return normalized;
+  };
+
+  /**
+   * Returns a copy of a cost item with the search tokens of its description
+   * and category: distinct lower-cased words without accents.
+   */
+  const withSearchTokens = function (cost) {
+    const tokens = [];
+    String((cost.description || "") + " " + (cost.category || ""))
+      .normalize("NFKD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .forEach(function (word) {
+        if (word !== "" && tokens.indexOf(word) === -1) {
+          tokens.push(word);
+        }
       });
+    return Object.assign({}, cost, { tokens: tokens });
+  };
+
+  /**
+   * Checks whether a rate table can convert between two currencies.
+   */
+  const canConvert = function (fromCurrency, toCurrency, rates) {
+    return (
+      fromCurrency === toCurrency ||
+      (rates[fromCurrency] > 0 && rates[toCurrency] > 0)
+    );
   };
 
   /**
-   * Converts a monetary amount from one currency to another
-   * using USD as an intermediate reference.
+   * Converts integer minor units from one currency to another
+   * using USD as an intermediate reference, rounding half to even.
    */
   const convertCurrency = function (amount, fromCurrency, toCurrency, rates) {
     if (fromCurrency === toCurrency) {
       return amount;
     }
 
-    const amountInUSD = amount / rates[fromCurrency];
-    return amountInUSD * rates[toCurrency];
+    const scale = Math.pow(
+      10,
+      getMinorUnits(toCurrency) - getMinorUnits(fromCurrency)
+    );
+    return roundHalfEven(
+      (amount * scale * rates[toCurrency]) / rates[fromCurrency]
+    );
   };
 
   // Expose the public API on the global window object
@@ -18,15 +18,34 @@ import AddCostForm from "./components/AddCostForm";
 import MonthlyReport from "./components/MonthlyReport";
 import PieChartView from "./components/PieChartView";
 import BarChartView from "./components/BarChartView";
+import Statement from "./components/Statement";
+import ImportCsv from "./components/ImportCsv";
+import CategoryManager from "./components/CategoryManager";
+import RecurringManager from "./components/RecurringManager";
+import BudgetView from "./components/BudgetView";
+import GlobalSearch from "./components/GlobalSearch";
+import LedgerMenu from "./components/LedgerMenu";
 import Settings from "./components/Settings";
 // Import IndexedDB service functions for database operations
 import {
+  DB_VERSION,
   openCostsDB,
+  closeCostsDB,
+  deleteCostsDB,
   addCost,
   getReport,
   getCostsByCategory,
   getYearlyReport,
 } from "./services/idb";
+// Import the registry of ledgers, each with a database of its own
+import {
+  getLedgers,
+  getActiveLedger,
+  setActiveLedger,
+  createLedger,
+  updateLedger,
+  removeLedger,
+} from "./services/ledgers";
 
 /**
  * Material-UI theme configuration with custom color palette
@@ -50,33 +69,112 @@ const theme = createTheme({
 const App = () => {
   // State to track which tab is currently selected
   const [currentTab, setCurrentTab] = useState(0);
+  // State for the filter the Monthly Report is opened with from another view
+  const [reportFilter, setReportFilter] = useState(null);
+  // Count of reports opened from other views, so an open report restarts
+  const [reportOpenCount, setReportOpenCount] = useState(0);
+  // State for the user's ledgers and the open one
+  const [ledgers, setLedgers] = useState(getLedgers);
+  const [ledger, setLedger] = useState(getActiveLedger);
   // State to hold the IndexedDB instance after initialization
   const [db, setDb] = useState(null);
 
   /**
-   * Lifecycle hook - Initializes IndexedDB connection on component mount
+   * Lifecycle hook - Opens the database of the active ledger on mount and
+   * whenever another ledger is switched to
    */
   useEffect(() => {
+    // Set once another ledger is opened, so a late result is ignored
+    let cancelled = false;
+
     // Async function to initialize the database connection
     const initDb = async () => {
       try {
-        // Open the costs database with version 1
-        const database = await openCostsDB("costsdb", 1);
+        // Open the ledger's database, migrating it to the current schema
+        const database = await openCostsDB(ledger.databaseName, DB_VERSION);
+        if (cancelled) {
+          return;
+        }
+        // Add the recurring costs that fell due since the app was last open
+        try {
+          await database.materializeRecurring();
+        } catch (error) {
+          console.error("Failed to add recurring costs:", error);
+        }
+        if (cancelled) {
+          return;
+        }
         // Store the database instance in state
         setDb(database);
       } catch (error) {
         // Log any errors that occur during database initialization
-        console.error("Failed to open database:", error);
+        if (!cancelled) {
+          console.error("Failed to open database:", error);
+        }
       }
     };
 
     // Call the initialization function
     initDb();
-  }, []);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ledger.databaseName]);
+
+  /**
+   * Re-reads the ledgers and the active one after a change
+   */
+  const refreshLedgers = () => {
+    setLedgers(getLedgers());
+    setLedger(getActiveLedger());
+  };
+
+  /**
+   * Closes the open ledger and opens another one
+   * @param {string} id - Identifier of the ledger to open
+   */
+  const handleSwitchLedger = (id) => {
+    closeCostsDB();
+    setDb(null);
+    setActiveLedger(id);
+    refreshLedgers();
+  };
+
+  /**
+   * Creates a ledger with an empty database and opens it
+   * @param {Object} values - Name and default currency of the ledger
+   */
+  const handleCreateLedger = (values) => {
+    handleSwitchLedger(createLedger(values).id);
+  };
+
+  /**
+   * Renames a ledger or changes its default currency
+   * @param {string} id - Identifier of the ledger
+   * @param {Object} changes - New name and/or currency
+   */
+  const handleUpdateLedger = (id, changes) => {
+    updateLedger(id, changes);
+    refreshLedgers();
+  };
+
+  /**
+   * Deletes a ledger that is not open, with its database
+   * @param {string} id - Identifier of the ledger
+   * @param {Function} [onBlocked] - Called while other tabs hold up the delete
+   */
+  const handleDeleteLedger = async (id, onBlocked) => {
+    // The ledger goes first, so a delete that has to wait for other tabs
+    // never leaves a listed ledger whose data is about to disappear
+    const target = removeLedger(id);
+    refreshLedgers();
+    await deleteCostsDB(target.databaseName, onBlocked);
+  };
 
   /**
    * Adds a new cost entry to the database
-   * @param {Object} cost - Cost object containing sum, currency, category, and description
+   * @param {Object} cost - Cost object containing sum, currency, category, description, and optional date
    */
   const handleAddCost = async (cost) => {
     // Check if database is initialized before attempting to add cost
@@ -86,18 +184,62 @@ const App = () => {
     }
   };
 
+  /**
+   * Updates an existing cost entry in the database
+   * @param {number} id - Identifier of the cost item to update
+   * @param {Object} patch - Fields to change (sum, currency, category, description, date)
+   * @returns {Promise<Object|null>} Updated cost item, or null if no database
+   */
+  const handleUpdateCost = async (id, patch) => {
+    // Check if database is initialized before attempting to update cost
+    if (db) {
+      // Call the updateCost method from the database instance
+      return await db.updateCost(id, patch);
+    }
+    // Return null if database is not initialized
+    return null;
+  };
+
+  /**
+   * Deletes a cost entry from the database
+   * @param {number} id - Identifier of the cost item to delete
+   */
+  const handleDeleteCost = async (id) => {
+    // Check if database is initialized before attempting to delete cost
+    if (db) {
+      // Call the deleteCost method from the database instance
+      await db.deleteCost(id);
+    }
+  };
+
+  /**
+   * Adds several cost entries to the database in a single transaction
+   * @param {Array<Object>} costs - Cost objects as accepted by handleAddCost
+   * @returns {Promise<number>} Number of cost items added
+   */
+  const handleImportCosts = async (costs) => {
+    // Check if database is initialized before attempting to add costs
+    if (db) {
+      // Call the addCosts method from the database instance
+      return await db.addCosts(costs);
+    }
+    // Nothing is added without a database
+    return 0;
+  };
+
   /**
    * Retrieves monthly cost report from database
    * @param {number} year - Year for the report
    * @param {number} month - Month for the report (1-12)
    * @param {string} currency - Currency code for conversion
+   * @param {Object} [options] - Report options such as the conversion mode
    * @returns {Promise<Object|null>} Report data with costs and total, or null if no database
    */
-  const handleGetReport = async (year, month, currency) => {
+  const handleGetReport = async (year, month, currency, options) => {
     // Verify database is available before fetching report
     if (db) {
       // Fetch and return the monthly report data
-      return await db.getReport(year, month, currency);
+      return await db.getReport(year, month, currency, options);
     }
     // Return null if database is not initialized
     return null;
@@ -108,34 +250,464 @@ const App = () => {
    * @param {number} year - Year for the data
    * @param {number} month - Month for the data (1-12)
    * @param {string} currency - Currency code for conversion
-   * @returns {Promise<Array>} Array of category data objects with name and value
+   * @param {Object} [options] - Report options such as the conversion mode
+   * @returns {Promise<Object>} Category data objects with name and value, and the rates time
    */
-  const handleGetCategoryData = async (year, month, currency) => {
+  const handleGetCategoryData = async (year, month, currency, options) => {
     // Ensure database is ready before fetching category data
     if (db) {
       // Fetch costs grouped by category for the pie chart
-      return await getCostsByCategory(year, month, currency);
+      return await getCostsByCategory(year, month, currency, options);
     }
-    // Return empty array if database is not available
-    return [];
+    // Return empty chart data if database is not available
+    return { data: [], ratesAsOf: null };
   };
 
   /**
    * Retrieves yearly cost data broken down by month
    * @param {number} year - Year for the data
    * @param {string} currency - Currency code for conversion
-   * @returns {Promise<Array>} Array of monthly data objects with month name and total
+   * @param {Object} [options] - Report options such as the conversion mode
+   * @returns {Promise<Object>} Monthly data objects with month name and total, and the rates time
    */
-  const handleGetYearlyData = async (year, currency) => {
+  const handleGetYearlyData = async (year, currency, options) => {
     // Check database availability before fetching yearly data
     if (db) {
       // Fetch monthly totals for the entire year for the bar chart
-      return await getYearlyReport(year, currency);
+      return await getYearlyReport(year, currency, options);
+    }
+    // Return empty chart data if database is not initialized
+    return { data: [], ratesAsOf: null };
+  };
+
+  /**
+   * Retrieves monthly totals of several years for comparison
+   * @param {Array<number>} years - Years to compare
+   * @param {string} currency - Currency code for conversion
+   * @param {Object} [options] - Conversion mode and tag filter
+   * @returns {Promise<Object|null>} Monthly totals per year with their changes, or null if no database
+   */
+  const handleGetMultiYearData = async (years, currency, options) => {
+    // Check database availability before fetching the comparison
+    if (db) {
+      return await db.getMultiYearReport(years, currency, options);
+    }
+    // Return null if database is not initialized
+    return null;
+  };
+
+  /**
+   * Retrieves the cost items of a range of days with their total
+   * @param {string} from - First day of the range ("YYYY-MM-DD")
+   * @param {string} to - Last day of the range ("YYYY-MM-DD")
+   * @param {string} currency - Target currency for conversion
+   * @param {Object} [options] - Conversion mode and tag filter
+   * @returns {Promise<Object|null>} Report data, or null if no database
+   */
+  const handleGetRangeReport = async (from, to, currency, options) => {
+    // Verify database is available before fetching the report
+    if (db) {
+      return await db.getRangeReport(from, to, currency, options);
+    }
+    // Return null if database is not initialized
+    return null;
+  };
+
+  /**
+   * Retrieves cost totals per category for a range of days
+   * @param {string} from - First day of the range ("YYYY-MM-DD")
+   * @param {string} to - Last day of the range ("YYYY-MM-DD")
+   * @param {string} currency - Target currency for conversion
+   * @param {Object} [options] - Conversion mode and tag filter
+   * @returns {Promise<Object>} Chart data with the age of the rates used
+   */
+  const handleGetRangeCategoryData = async (from, to, currency, options) => {
+    // Verify database is available before fetching chart data
+    if (db) {
+      return await db.getRangeCostsByCategory(from, to, currency, options);
+    }
+    // Return empty chart data if database is not initialized
+    return { data: [], ratesAsOf: null };
+  };
+
+  /**
+   * Retrieves cost totals per day, week or month for a range of days
+   * @param {string} from - First day of the range ("YYYY-MM-DD")
+   * @param {string} to - Last day of the range ("YYYY-MM-DD")
+   * @param {string} currency - Target currency for conversion
+   * @param {Object} [options] - Conversion mode and tag filter
+   * @returns {Promise<Object>} Chart data with the bar size and the age of the rates used
+   */
+  const handleGetRangeTotals = async (from, to, currency, options) => {
+    // Verify database is available before fetching chart data
+    if (db) {
+      return await db.getRangeTotals(from, to, currency, options);
+    }
+    // Return empty chart data if database is not initialized
+    return { data: [], bucket: null, ratesAsOf: null };
+  };
+
+  /**
+   * Retrieves the projection of this month's total and the rest of the year
+   * @param {string} currency - Target currency for conversion
+   * @param {Object} [options] - Conversion mode and tag filter
+   * @returns {Promise<Object|null>} Forecast, or null without a database
+   */
+  const handleGetForecast = async (currency, options) => {
+    // Verify database is available before projecting the costs
+    if (db) {
+      return await db.getForecast(currency, options);
+    }
+    // No forecast if database is not initialized
+    return null;
+  };
+
+  /**
+   * Retrieves the data of a printable statement for a month or a whole year
+   * @param {number} year - Year of the statement
+   * @param {number|null} month - Month of the statement (1-12), or null for the whole year
+   * @param {string} currency - Currency code for conversion
+   * @param {Object} [options] - Report options such as the conversion mode
+   * @returns {Promise<Object|null>} Statement data, or null if no database
+   */
+  const handleGetStatement = async (year, month, currency, options) => {
+    // Verify database is available before fetching the statement
+    if (db) {
+      return await db.getStatement(year, month, currency, options);
     }
-    // Return empty array if database is not initialized
+    // Return null if database is not initialized
+    return null;
+  };
+
+  /**
+   * Retrieves every tag used by a cost item
+   * @returns {Promise<Array<string>>} Sorted tags, or an empty list if no database
+   */
+  const handleGetTags = async () => {
+    // Verify database is available before reading the tags
+    if (db) {
+      return await db.getTags();
+    }
+    // No tags without a database
+    return [];
+  };
+
+  /**
+   * Retrieves all categories with their colours and icons
+   * @returns {Promise<Array<Object>>} Categories sorted by name, or an empty list if no database
+   */
+  const handleGetCategories = async () => {
+    // Verify database is available before reading the categories
+    if (db) {
+      return await db.getCategories();
+    }
+    // No categories without a database
     return [];
   };
 
+  /**
+   * Adds a category
+   * @param {Object} category - Category with name, color, and icon
+   * @returns {Promise<Object>} The stored category
+   */
+  const handleAddCategory = async (category) => {
+    // Changing categories needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    return await db.addCategory(category);
+  };
+
+  /**
+   * Renames or restyles a category; a rename is applied to its costs
+   * @param {number} id - Identifier of the category
+   * @param {Object} changes - New name, color, and/or icon
+   * @returns {Promise<Object>} Updated category and number of costs renamed
+   */
+  const handleUpdateCategory = async (id, changes) => {
+    // Changing categories needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    return await db.updateCategory(id, changes);
+  };
+
+  /**
+   * Moves all costs of one category into another and removes the first
+   * @param {number} sourceId - Identifier of the category to merge away
+   * @param {number} targetId - Identifier of the category that is kept
+   * @returns {Promise<number>} Number of cost items moved
+   */
+  const handleMergeCategories = async (sourceId, targetId) => {
+    // Changing categories needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    return await db.mergeCategories(sourceId, targetId);
+  };
+
+  /**
+   * Deletes a category that no cost item uses
+   * @param {number} id - Identifier of the category
+   */
+  const handleDeleteCategory = async (id) => {
+    // Changing categories needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    await db.deleteCategory(id);
+  };
+
+  /**
+   * Retrieves all recurring costs
+   * @returns {Promise<Array>} Stored schedules, or an empty array if no database
+   */
+  const handleGetRecurring = async () => {
+    // Verify database is available before reading the schedules
+    if (db) {
+      return await db.getRecurring();
+    }
+    // No recurring costs without a database
+    return [];
+  };
+
+  /**
+   * Adds a recurring cost and the occurrences that are already due
+   * @param {Object} schedule - Cost fields with frequency, interval, startDate and optional endDate
+   * @returns {Promise<Object>} The stored schedule and the number of costs added
+   */
+  const handleAddRecurring = async (schedule) => {
+    // Changing recurring costs needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    const stored = await db.addRecurring(schedule);
+    return { schedule: stored, costsAdded: await db.materializeRecurring() };
+  };
+
+  /**
+   * Edits, pauses, resumes or ends a recurring cost
+   * @param {number} id - Identifier of the schedule
+   * @param {Object} changes - Changed fields
+   * @returns {Promise<Object>} The updated schedule and the number of costs added
+   */
+  const handleUpdateRecurring = async (id, changes) => {
+    // Changing recurring costs needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    const stored = await db.updateRecurring(id, changes);
+    return { schedule: stored, costsAdded: await db.materializeRecurring() };
+  };
+
+  /**
+   * Retrieves the cost items generated by a recurring cost
+   * @param {number} id - Identifier of the schedule
+   * @returns {Promise<Array>} Generated items, newest first
+   */
+  const handleGetRecurringCosts = async (id) => {
+    // Verify database is available before reading the items
+    if (db) {
+      return await db.getRecurringCosts(id);
+    }
+    // No items without a database
+    return [];
+  };
+
+  /**
+   * Retrieves budget against actual spending for a month
+   * @param {number} year - Year of the budgets
+   * @param {number} month - Month of the budgets (1-12)
+   * @param {string} currency - Currency the amounts are shown in
+   * @param {Object} [options] - Conversion mode
+   * @returns {Promise<Object|null>} Budget rows and totals, or null if no database
+   */
+  const handleGetBudgetReport = async (year, month, currency, options) => {
+    // Verify database is available before computing the budgets
+    if (db) {
+      return await db.getBudgetReport(year, month, currency, options);
+    }
+    // No budgets without a database
+    return null;
+  };
+
+  /**
+   * Sets the budget of a category for a month
+   * @param {Object} budget - Category, year, month, amount, currency and rollover
+   * @returns {Promise<Object>} The stored budget
+   */
+  const handleSetBudget = async (budget) => {
+    // Changing budgets needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    return await db.setBudget(budget);
+  };
+
+  /**
+   * Deletes a budget
+   * @param {number} id - Identifier of the budget
+   */
+  const handleDeleteBudget = async (id) => {
+    // Changing budgets needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    await db.deleteBudget(id);
+  };
+
+  /**
+   * Copies the budgets of one month to another
+   * @param {number} fromYear - Year to copy from
+   * @param {number} fromMonth - Month to copy from (1-12)
+   * @param {number} toYear - Year to copy to
+   * @param {number} toMonth - Month to copy to (1-12)
+   * @returns {Promise<number>} Number of budgets copied
+   */
+  const handleCopyBudgets = async (fromYear, fromMonth, toYear, toMonth) => {
+    // Changing budgets needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    return await db.copyBudgets(fromYear, fromMonth, toYear, toMonth);
+  };
+
+  /**
+   * Checks what a new cost would do to the budget of its category
+   * @param {string} category - Category of the cost
+   * @param {Date|string} date - Date of the cost
+   * @param {Object} cost - Sum and currency of the cost
+   * @returns {Promise<Object|null>} Budget status, or null without a budget or database
+   */
+  const handleGetBudgetStatus = async (category, date, cost) => {
+    // Verify database is available before reading the budget
+    if (db) {
+      return await db.getBudgetStatus(category, date, cost);
+    }
+    // No budget without a database
+    return null;
+  };
+
+  /**
+   * Retrieves the current exchange rates through the shared cache
+   * @param {Object} [options] - Pass { forceRefresh: true } to bypass the cache
+   * @returns {Promise<Object|null>} Rates with their fetch time, or null if no database
+   */
+  const handleGetRates = async (options) => {
+    // Rates are cached in the database, so it must be open first
+    if (db) {
+      return await db.getExchangeRates(options);
+    }
+    // Return null if database is not initialized
+    return null;
+  };
+
+  /**
+   * Retrieves the manual exchange rates
+   * @returns {Promise<Array>} Manual rates, or an empty array if no database
+   */
+  const handleGetRateOverrides = async () => {
+    // Verify database is available before reading the manual rates
+    if (db) {
+      return await db.getRateOverrides();
+    }
+    // No manual rates without a database
+    return [];
+  };
+
+  /**
+   * Adds a manual exchange rate
+   * @param {Object} override - Currency, rate, from and to dates, and note
+   * @returns {Promise<Object>} The stored manual rate
+   */
+  const handleAddRateOverride = async (override) => {
+    // Changing manual rates needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    return await db.addRateOverride(override);
+  };
+
+  /**
+   * Changes a manual exchange rate
+   * @param {number} id - Identifier of the manual rate
+   * @param {Object} changes - Changed fields
+   * @returns {Promise<Object>} The updated manual rate
+   */
+  const handleUpdateRateOverride = async (id, changes) => {
+    // Changing manual rates needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    return await db.updateRateOverride(id, changes);
+  };
+
+  /**
+   * Deletes a manual exchange rate
+   * @param {number} id - Identifier of the manual rate
+   */
+  const handleDeleteRateOverride = async (id) => {
+    // Changing manual rates needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    await db.deleteRateOverride(id);
+  };
+
+  /**
+   * Retrieves the daily fetched and effective rates of a currency
+   * @param {string} currency - Currency code
+   * @returns {Promise<Array>} Daily rates in date order, or an empty array if no database
+   */
+  const handleGetRateHistory = async (currency) => {
+    // Verify database is available before reading the snapshots
+    if (db) {
+      return await db.getRateHistory(currency);
+    }
+    // No history without a database
+    return [];
+  };
+
+  /**
+   * Passes every stored cost item to a consumer function
+   * @param {Function} onCost - Called once per cost item, in id order
+   * @returns {Promise<number>} Number of cost items exported
+   */
+  const handleExportAllCosts = async (onCost) => {
+    // Check if database is initialized before reading the costs
+    if (db) {
+      return await db.exportAllCosts(onCost);
+    }
+    // Nothing to export without a database
+    return 0;
+  };
+
+  /**
+   * Creates a backup of every store and the settings
+   * @returns {Promise<Object>} Backup object to be serialized
+   */
+  const handleCreateBackup = async () => {
+    // A backup needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    return await db.createBackup();
+  };
+
+  /**
+   * Restores a parsed backup into the database and settings
+   * @param {Object} backup - Backup as returned by parseBackup
+   * @param {string} mode - "merge" or "replace"
+   * @returns {Promise<Object>} Number of records written per store
+   */
+  const handleRestoreBackup = async (backup, mode) => {
+    // A restore needs the database to be open
+    if (!db) {
+      throw new Error("Database not opened");
+    }
+    return await db.restoreBackup(backup, mode);
+  };
+
   /**
    * Handles tab navigation changes
    * @param {Event} event - Tab change event
@@ -144,6 +716,44 @@ const App = () => {
   const handleTabChange = (event, newValue) => {
     // Update current tab state to switch between views
     setCurrentTab(newValue);
+    // A report opened by hand starts without a preset filter
+    setReportFilter(null);
+  };
+
+  /**
+   * Switches to the Monthly Report, fetched with the given filter
+   * @param {Object} filter - Period, currency, conversion, tags and category of the report
+   */
+  const handleOpenReport = (filter) => {
+    setReportFilter(filter);
+    setReportOpenCount((count) => count + 1);
+    setCurrentTab(1);
+  };
+
+  /**
+   * Searches the descriptions and categories of all costs
+   * @param {string} query - Words to search for
+   * @returns {Promise<Object|null>} Ranked results, or null if no database
+   */
+  const handleSearchCosts = async (query) => {
+    // Verify database is available before searching
+    if (db) {
+      return await db.searchCosts(query);
+    }
+    // Nothing to search without a database
+    return null;
+  };
+
+  /**
+   * Opens the month of a search result, narrowed to its description
+   * @param {Object} result - Picked search result
+   */
+  const handleOpenSearchResult = (result) => {
+    handleOpenReport({
+      year: result.year,
+      month: result.month,
+      text: result.description || result.category,
+    });
   };
 
   return (
@@ -155,11 +765,26 @@ const App = () => {
       <Box sx={{ flexGrow: 1 }}>
         {/* Top navigation bar with fixed position */}
         <AppBar position="static">
-          {/* Toolbar containing app title */}
+          {/* Toolbar containing app title, the ledger switcher and the search box */}
           <Toolbar>
             <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
               Cost Manager
             </Typography>
+            {/* Switch between ledgers and manage them */}
+            <LedgerMenu
+              ledgers={ledgers}
+              activeLedger={ledger}
+              disabled={!db}
+              onSwitch={handleSwitchLedger}
+              onCreate={handleCreateLedger}
+              onUpdate={handleUpdateLedger}
+              onDelete={handleDeleteLedger}
+            />
+            {/* Search over the costs of all years */}
+            <GlobalSearch
+              onSearch={handleSearchCosts}
+              onOpenResult={handleOpenSearchResult}
+            />
           </Toolbar>
           {/* Tab navigation for switching between app sections */}
           <Tabs
@@ -167,31 +792,118 @@ const App = () => {
             onChange={handleTabChange}
             textColor="inherit"
             indicatorColor="secondary"
-            centered
+            variant="scrollable"
+            scrollButtons="auto"
           >
             <Tab label="Add Cost" />
             <Tab label="Monthly Report" />
             <Tab label="Pie Chart" />
             <Tab label="Bar Chart" />
+            <Tab label="Statement" />
+            <Tab label="Import" />
+            <Tab label="Categories" />
+            <Tab label="Recurring" />
+            <Tab label="Budgets" />
             <Tab label="Settings" />
           </Tabs>
         </AppBar>
 
         {/* Main content area with responsive max width */}
-        <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+        {/* Keyed by ledger so every view starts over after a switch */}
+        <Container key={ledger.id} maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
           {/* Conditionally render components based on selected tab */}
-          {currentTab === 0 && <AddCostForm onCostAdded={handleAddCost} />}
-          {currentTab === 1 && <MonthlyReport onGetReport={handleGetReport} />}
+          {currentTab === 0 && (
+            <AddCostForm
+              onCostAdded={handleAddCost}
+              onGetCategories={handleGetCategories}
+              onGetTags={handleGetTags}
+              onGetBudgetStatus={handleGetBudgetStatus}
+            />
+          )}
+          {currentTab === 1 && (
+            <MonthlyReport
+              key={reportOpenCount}
+              onGetReport={handleGetReport}
+              onGetRangeReport={handleGetRangeReport}
+              onUpdateCost={handleUpdateCost}
+              onDeleteCost={handleDeleteCost}
+              onGetTags={handleGetTags}
+              onGetCategories={handleGetCategories}
+              initialFilter={reportFilter}
+            />
+          )}
           {/* Render pie chart view with category data handler */}
           {currentTab === 2 && (
-            <PieChartView onGetCategoryData={handleGetCategoryData} />
+            <PieChartView
+              onGetCategoryData={handleGetCategoryData}
+              onGetRangeCategoryData={handleGetRangeCategoryData}
+              onGetReport={handleGetReport}
+              onGetRangeReport={handleGetRangeReport}
+              onOpenReport={handleOpenReport}
+              onGetTags={handleGetTags}
+            />
           )}
           {/* Render bar chart view with yearly data handler */}
           {currentTab === 3 && (
-            <BarChartView onGetYearlyData={handleGetYearlyData} />
+            <BarChartView
+              onGetYearlyData={handleGetYearlyData}
+              onGetRangeTotals={handleGetRangeTotals}
+              onGetMultiYearData={handleGetMultiYearData}
+              onGetReport={handleGetReport}
+              onGetForecast={handleGetForecast}
+              onGetTags={handleGetTags}
+            />
+          )}
+          {/* Render printable statement with its data handler */}
+          {currentTab === 4 && (
+            <Statement onGetStatement={handleGetStatement} />
+          )}
+          {/* Render CSV import with bulk insert handler */}
+          {currentTab === 5 && <ImportCsv onImportCosts={handleImportCosts} />}
+          {/* Render category manager with its data handlers */}
+          {currentTab === 6 && (
+            <CategoryManager
+              onGetCategories={handleGetCategories}
+              onAddCategory={handleAddCategory}
+              onUpdateCategory={handleUpdateCategory}
+              onMergeCategories={handleMergeCategories}
+              onDeleteCategory={handleDeleteCategory}
+            />
+          )}
+          {/* Render recurring cost manager with its data handlers */}
+          {currentTab === 7 && (
+            <RecurringManager
+              onGetRecurring={handleGetRecurring}
+              onAddRecurring={handleAddRecurring}
+              onUpdateRecurring={handleUpdateRecurring}
+              onGetRecurringCosts={handleGetRecurringCosts}
+              onGetCategories={handleGetCategories}
+            />
+          )}
+          {/* Render budget view with its data handlers */}
+          {currentTab === 8 && (
+            <BudgetView
+              onGetBudgetReport={handleGetBudgetReport}
+              onSetBudget={handleSetBudget}
+              onDeleteBudget={handleDeleteBudget}
+              onCopyBudgets={handleCopyBudgets}
+              onGetCategories={handleGetCategories}
+            />
           )}
           {/* Render settings component for configuration */}
-          {currentTab === 4 && <Settings />}
+          {currentTab === 9 && (
+            <Settings
+              onGetRates={handleGetRates}
+              onGetRateOverrides={handleGetRateOverrides}
+              onAddRateOverride={handleAddRateOverride}
+              onUpdateRateOverride={handleUpdateRateOverride}
+              onDeleteRateOverride={handleDeleteRateOverride}
+              onGetRateHistory={handleGetRateHistory}
+              onExportAllCosts={handleExportAllCosts}
+              onCreateBackup={handleCreateBackup}
+              onRestoreBackup={handleRestoreBackup}
+            />
+          )}
         </Container>
       </Box>
     </ThemeProvider>
@@ -1,5 +1,5 @@
-// Import React and useState hook for managing component state
-import React, { useState } from "react";
+// Import React and hooks for state and lifecycle management
+import React, { useState, useEffect, useCallback } from "react";
 // Import Material-UI components for form layout and styling
 import {
   Box,
@@ -9,29 +9,125 @@ import {
   Paper,
   Typography,
   Alert,
+  Autocomplete,
 } from "@mui/material";
-// Import currency constants from the currency service
-import { CURRENCIES } from "../services/currencyService";
+// Import the user's currency list from the currency service
+import { getCurrencies, getDefaultCurrency } from "../services/currencyService";
+// Import money helpers for validating amounts per currency precision
+import { isValidAmount, getMinorUnits } from "../services/money";
+// Import date helpers for the purchase date input
+import { toDateInputValue, parseCostDate } from "../services/dateUtils";
+// Import the category icon renderer for the category picker
+import CategoryIcon from "./CategoryIcon";
+// Import chip input for the cost's tags
+import TagInput from "./TagInput";
 
 /**
  * AddCostForm component - Provides a form interface for adding new cost entries
  * @param {Object} props - Component props
  * @param {Function} props.onCostAdded - Callback function invoked when a cost is successfully added
+ * @param {Function} props.onGetCategories - Callback to fetch the stored categories for the picker
+ * @param {Function} props.onGetTags - Callback to fetch the known tags for autocomplete
+ * @param {Function} props.onGetBudgetStatus - Callback to check the cost against its category's budget
  * @returns {JSX.Element} Rendered form component with input fields for cost details
  */
-const AddCostForm = ({ onCostAdded }) => {
+const AddCostForm = ({
+  onCostAdded,
+  onGetCategories,
+  onGetTags,
+  onGetBudgetStatus,
+}) => {
   // State for managing the cost amount input
   const [sum, setSum] = useState("");
-  // State for managing the selected currency (defaults to USD)
-  const [currency, setCurrency] = useState("USD");
+  // Currencies configured by the user in Settings
+  const [currencies] = useState(getCurrencies);
+  // State for managing the selected currency (defaults to the default currency)
+  const [currency, setCurrency] = useState(getDefaultCurrency);
   // State for managing the category input
   const [category, setCategory] = useState("");
+  // State for the stored categories offered by the picker
+  const [categories, setCategories] = useState([]);
   // State for managing the description input
   const [description, setDescription] = useState("");
+  // State for managing the tags of the cost
+  const [tags, setTags] = useState([]);
+  // State for the known tags offered by the tag input
+  const [tagOptions, setTagOptions] = useState([]);
+  // State for managing the purchase date input (defaults to today)
+  const [date, setDate] = useState(() => toDateInputValue(new Date()));
   // State for displaying error messages
   const [error, setError] = useState("");
   // State for displaying success messages
   const [success, setSuccess] = useState(false);
+  // State for the budget of the entered category with the cost added
+  const [budgetStatus, setBudgetStatus] = useState(null);
+  // State for the over-budget warning kept after a cost is added
+  const [addedOverBudget, setAddedOverBudget] = useState(null);
+
+  /**
+   * Reloads the categories and tags offered as suggestions
+   */
+  const loadSuggestions = useCallback(async () => {
+    try {
+      setCategories(await onGetCategories());
+      setTagOptions(await onGetTags());
+    } catch (err) {
+      // The inputs still accept typed values without the lists
+      console.error("Failed to load suggestions:", err);
+    }
+  }, [onGetCategories, onGetTags]);
+
+  /**
+   * Lifecycle hook - Loads the suggestions once the database is available
+   */
+  useEffect(() => {
+    loadSuggestions();
+  }, [loadSuggestions]);
+
+  /**
+   * Checks the entered cost against its category's budget whenever the
+   * amount, currency, category or date changes
+   */
+  useEffect(() => {
+    const complete =
+      sum &&
+      isValidAmount(sum, currency) &&
+      category.trim() &&
+      parseCostDate(date);
+    if (!complete) {
+      setBudgetStatus(null);
+      return;
+    }
+
+    // Ignore answers for inputs that changed in the meantime
+    let cancelled = false;
+    onGetBudgetStatus(category.trim(), date, { sum, currency })
+      .then((status) => {
+        if (!cancelled) {
+          setBudgetStatus(status);
+        }
+      })
+      .catch((err) => {
+        // The cost can still be added without the check
+        console.error("Failed to check budget:", err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [onGetBudgetStatus, sum, currency, category, date]);
+
+  /**
+   * Describes a category's spending with the cost against its budget
+   * @param {Object} status - Budget status of the category
+   * @returns {string} Warning text
+   */
+  const describeOverBudget = (status) => {
+    const digits = getMinorUnits(status.currency);
+    return (
+      `${status.category} for ${status.month}/${status.year}: ` +
+      `${status.withCost.toFixed(digits)} of ${status.available.toFixed(digits)} ${status.currency} budgeted`
+    );
+  };
 
   /**
    * Handles form submission - Validates input and adds cost to database
@@ -43,10 +139,13 @@ const AddCostForm = ({ onCostAdded }) => {
     // Clear any existing error and success messages
     setError("");
     setSuccess(false);
+    setAddedOverBudget(null);
 
-    // Validate that amount is a positive number
-    if (!sum || parseFloat(sum) <= 0) {
-      setError("Please enter a valid amount");
+    // Validate that amount is positive and fits the currency's precision
+    if (!sum || !isValidAmount(sum, currency)) {
+      setError(
+        `Please enter a valid amount (up to ${getMinorUnits(currency)} decimals for ${currency})`
+      );
       return;
     }
 
@@ -56,24 +155,42 @@ const AddCostForm = ({ onCostAdded }) => {
       return;
     }
 
+    // Validate that the purchase date is a real calendar day
+    if (!parseCostDate(date)) {
+      setError("Please enter a valid date");
+      return;
+    }
+
     try {
       // Call parent callback to add cost to database
       await onCostAdded({
-        sum: parseFloat(sum),
+        sum: sum.trim(),
         currency,
         category: category.trim(),
         description: description.trim(),
+        tags,
+        date,
       });
 
-      // Clear all form fields after successful submission
+      // Clear the item fields after successful submission
+      // (the date is kept so several receipts from one day can be entered)
       setSum("");
       setCategory("");
       setDescription("");
-      // Display success message
+      setTags([]);
+      // Display success message, with the budget it went over
       setSuccess(true);
+      if (budgetStatus && budgetStatus.over) {
+        setAddedOverBudget(budgetStatus);
+      }
+      // New category names and tags become suggestions
+      loadSuggestions();
 
       // Auto-hide success message after 3 seconds
-      setTimeout(() => setSuccess(false), 3000);
+      setTimeout(() => {
+        setSuccess(false);
+        setAddedOverBudget(null);
+      }, 3000);
     } catch (err) {
       // Display error message if submission fails
       setError("Failed to add cost item");
@@ -100,6 +217,12 @@ const AddCostForm = ({ onCostAdded }) => {
           Cost added successfully!
         </Alert>
       )}
+      {/* Budget warning - the added cost took its category over budget */}
+      {addedOverBudget && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Over budget. {describeOverBudget(addedOverBudget)}
+        </Alert>
+      )}
 
       {/* Form container with submit handler */}
       <Box component="form" onSubmit={handleSubmit}>
@@ -112,7 +235,10 @@ const AddCostForm = ({ onCostAdded }) => {
           onChange={(e) => setSum(e.target.value)}
           margin="normal"
           required
-          inputProps={{ step: "0.01", min: "0" }}
+          inputProps={{
+            step: String(10 ** -getMinorUnits(currency)),
+            min: "0",
+          }}
         />
 
         {/* Currency selector dropdown */}
@@ -126,23 +252,62 @@ const AddCostForm = ({ onCostAdded }) => {
           required
         >
           {/* Map through available currencies to create menu items */}
-          {CURRENCIES.map((curr) => (
+          {currencies.map((curr) => (
             <MenuItem key={curr} value={curr}>
               {curr}
             </MenuItem>
           ))}
         </TextField>
 
-        {/* Category input field - required text field */}
+        {/* Purchase date picker - allows backdated and future-dated costs */}
         <TextField
           fullWidth
-          label="Category"
-          value={category}
-          onChange={(e) => setCategory(e.target.value)}
+          label="Date"
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
           margin="normal"
           required
+          InputLabelProps={{ shrink: true }}
+        />
+
+        {/* Category picker - choose a stored category or type a new one */}
+        <Autocomplete
+          freeSolo
+          options={categories.map((c) => c.name)}
+          inputValue={category}
+          onInputChange={(e, value) => setCategory(value)}
+          renderOption={(props, option) => {
+            const stored = categories.find((c) => c.name === option);
+            return (
+              <Box component="li" {...props} key={option} sx={{ gap: 1 }}>
+                <CategoryIcon icon={stored.icon} color={stored.color} />
+                {option}
+              </Box>
+            );
+          }}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              fullWidth
+              label="Category"
+              margin="normal"
+              required
+              helperText="Typing a new name creates a category"
+            />
+          )}
         />
 
+        {/* Budget warning - adding this cost takes its category over budget */}
+        {budgetStatus && budgetStatus.over && (
+          <Alert severity="warning" sx={{ mt: 1 }}>
+            {budgetStatus.wasOver
+              ? "This category is already over budget."
+              : "Adding this cost goes over the budget."}{" "}
+            {describeOverBudget(budgetStatus)}
+          </Alert>
+        )}
+
         {/* Description input field - optional multiline text area */}
         <TextField
           fullWidth
@@ -154,6 +319,15 @@ const AddCostForm = ({ onCostAdded }) => {
           rows={3}
         />
 
+        {/* Tags input - optional labels such as "business trip" */}
+        <TagInput
+          value={tags}
+          onChange={setTags}
+          options={tagOptions}
+          helperText="Press Enter to add a new tag"
+          sx={{ mt: 2, mb: 1 }}
+        />
+
         {/* Submit button to add the cost entry */}
         <Button
           type="submit"
@@ -0,0 +1,184 @@
+// Import React and useState hook for managing component state
+import React, { useState } from "react";
+// Import Material-UI components for the buttons, options and confirmation
+import {
+  Box,
+  Button,
+  Typography,
+  Alert,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from "@mui/material";
+// Import the backup file format helpers
+import { serializeBackup, parseBackup } from "../services/backup";
+// Import the download helper and the date formatter for the file name
+import { downloadFile } from "../services/download";
+import { toDateInputValue } from "../services/dateUtils";
+
+/**
+ * BackupRestore component - Downloads a full backup and restores one from a file
+ * @param {Object} props - Component props
+ * @param {Function} props.onCreateBackup - Callback resolving with a backup of all stores and settings
+ * @param {Function} props.onRestoreBackup - Callback restoring a parsed backup in "merge" or "replace" mode
+ * @param {Function} props.onRestored - Callback invoked after a successful restore
+ * @returns {JSX.Element} Backup and restore controls
+ */
+const BackupRestore = ({ onCreateBackup, onRestoreBackup, onRestored }) => {
+  // State for how a restored backup is combined with the current data
+  const [mode, setMode] = useState("merge");
+  // State for the parsed backup awaiting confirmation
+  const [pendingBackup, setPendingBackup] = useState(null);
+  // State for displaying error messages
+  const [error, setError] = useState("");
+  // State for displaying the result of the last action
+  const [success, setSuccess] = useState("");
+
+  /**
+   * Downloads a backup of the whole database as a JSON file
+   */
+  const handleBackup = async () => {
+    setError("");
+    setSuccess("");
+
+    try {
+      const backup = await onCreateBackup();
+      downloadFile(
+        serializeBackup(backup),
+        `cost-manager-backup-${toDateInputValue(new Date())}.json`,
+        "application/json"
+      );
+    } catch (err) {
+      // Display error message if the database cannot be read
+      setError(err.message || "Failed to create backup");
+    }
+  };
+
+  /**
+   * Reads and validates the selected backup file, then asks for confirmation
+   * @param {Event} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    // Allow choosing the same file again later
+    e.target.value = "";
+    setError("");
+    setSuccess("");
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      setPendingBackup(parseBackup(await file.text()));
+    } catch (err) {
+      // Display why the file cannot be restored
+      setError(err.message || "Failed to read the backup file");
+    }
+  };
+
+  /**
+   * Restores the confirmed backup
+   */
+  const handleConfirmRestore = async () => {
+    const backup = pendingBackup;
+    setPendingBackup(null);
+
+    try {
+      const counts = await onRestoreBackup(backup, mode);
+      const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+      setSuccess(`Backup restored (${total} records written)`);
+      onRestored();
+    } catch (err) {
+      // Nothing was changed if the restore failed
+      setError(err.message || "Failed to restore backup");
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      {/* Backup section title */}
+      <Typography variant="subtitle1" gutterBottom>
+        Backup & Restore
+      </Typography>
+
+      {/* Error alert message - displayed when backup or restore fails */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {/* Success alert message - displayed after a restore */}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Restore mode - merge into or replace the current data */}
+      <RadioGroup row value={mode} onChange={(e) => setMode(e.target.value)}>
+        <FormControlLabel
+          value="merge"
+          control={<Radio />}
+          label="Merge with current data"
+        />
+        <FormControlLabel
+          value="replace"
+          control={<Radio />}
+          label="Replace current data"
+        />
+      </RadioGroup>
+
+      {/* Backup download and restore file picker */}
+      <Box sx={{ display: "flex", gap: 2, mt: 1 }}>
+        <Button variant="outlined" onClick={handleBackup}>
+          Download Backup
+        </Button>
+        <Button variant="outlined" component="label">
+          Restore from File
+          <input
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={handleFileChange}
+          />
+        </Button>
+      </Box>
+
+      {/* Confirmation dialog shown before restoring a backup */}
+      <Dialog
+        open={Boolean(pendingBackup)}
+        onClose={() => setPendingBackup(null)}
+      >
+        <DialogTitle>Restore Backup</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {pendingBackup &&
+              `Backup from ${new Date(pendingBackup.createdAt).toLocaleString()}. ` +
+                (mode === "replace"
+                  ? "All current costs, rates and settings will be replaced. This cannot be undone."
+                  : "Missing costs, rates and settings will be added to the current data.")}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingBackup(null)}>Cancel</Button>
+          <Button
+            color={mode === "replace" ? "error" : "primary"}
+            variant="contained"
+            onClick={handleConfirmRestore}
+          >
+            Restore
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+// Export BackupRestore component as default export
+export default BackupRestore;
@@ -1,5 +1,5 @@
-// Import React and useState hook for managing component state
-import React, { useState } from "react";
+// Import React and hooks for state and lifecycle management
+import React, { useState, useEffect } from "react";
 // Import Material-UI components for form and layout
 import {
   Box,
@@ -8,11 +8,14 @@ import {
   Button,
   Paper,
   Typography,
+  FormControlLabel,
+  Checkbox,
 } from "@mui/material";
-// Import Recharts components for bar chart visualization
+// Import Recharts components for bar chart visualization with a projection line
 import {
-  BarChart,
+  ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -20,25 +23,202 @@ import {
   Legend,
   ResponsiveContainer,
 } from "recharts";
-// Import currency constants from the currency service
-import { CURRENCIES } from "../services/currencyService";
+// Import the user's currency list from the currency service
+import { getCurrencies, getDefaultCurrency } from "../services/currencyService";
+// Import selector for the exchange-rate conversion mode
+import ConversionSelect from "./ConversionSelect";
+// Import caption showing the age of the conversion rates
+import RatesAsOf from "./RatesAsOf";
+// Import warning about costs left out for lack of an exchange rate
+import SkippedCosts from "./SkippedCosts";
+// Import CSV/JSON export buttons
+import ExportButtons from "./ExportButtons";
+// Import money formatting for the segment total
+import { formatMoney, getMinorUnits } from "../services/money";
+// Import tag filter for narrowing the chart
+import TagFilter from "./TagFilter";
+// Import period selector for date-range charts
+import DateRangeSelector from "./DateRangeSelector";
+// Import the chart comparing several years month by month
+import YearComparisonChart from "./YearComparisonChart";
+// Import the monthly chart stacked by category
+import CategoryBreakdownChart from "./CategoryBreakdownChart";
+// Import the table listing the items behind a bar segment
+import CostItemsTable from "./CostItemsTable";
+
+/**
+ * Columns of the exported monthly totals
+ */
+const EXPORT_COLUMNS = [
+  { key: "month", label: "Month" },
+  { key: "total", label: "Total" },
+  { key: "currency", label: "Currency" },
+];
+
+/**
+ * Columns of the exported totals of a date range (per day, week or month)
+ */
+const RANGE_EXPORT_COLUMNS = [
+  { key: "start", label: "Period Start" },
+  { key: "total", label: "Total" },
+  { key: "currency", label: "Currency" },
+];
+
+/**
+ * Captions of the bar size chosen for a date range
+ */
+const BUCKET_LABELS = {
+  day: "Totals per day",
+  week: "Totals per week (from Monday)",
+  month: "Totals per month",
+};
+
+/**
+ * Descriptions of the forecast models shown in the tooltip
+ */
+const FORECAST_METHODS = {
+  current: "Spent so far, recurring items still due and the blended daily pace",
+  smoothed: "Smoothed monthly average plus recurring items",
+};
+
+/**
+ * Tooltip of the monthly chart, with the method and confidence of a projection
+ * @param {Object} props - Props passed by Recharts plus the chart currency
+ * @returns {JSX.Element|null} Tooltip box for the hovered month
+ */
+const ForecastTooltip = ({ active, payload, label, currency }) => {
+  if (!active || !payload || payload.length === 0) {
+    return null;
+  }
+  const row = payload[0].payload;
+  const digits = getMinorUnits(currency);
+
+  return (
+    <Paper sx={{ p: 1 }}>
+      <Typography variant="subtitle2">{label}</Typography>
+      <Typography variant="body2">
+        Total: {row.total.toFixed(digits)} {currency}
+      </Typography>
+      {row.forecast && (
+        <>
+          <Typography variant="body2">
+            Projected: {row.projected.toFixed(digits)} {currency}
+          </Typography>
+          {row.forecast.runRate !== undefined && (
+            <Typography variant="body2">
+              Run rate: {row.forecast.runRate.toFixed(digits)} {currency}
+            </Typography>
+          )}
+          <Typography variant="caption" color="text.secondary" component="div">
+            {FORECAST_METHODS[row.forecast.method]}
+          </Typography>
+          <Typography variant="caption" color="text.secondary" component="div">
+            Confidence: {row.forecast.confidence}
+          </Typography>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+/**
+ * Adds the projected totals of a forecast to the months of the current year
+ * @param {Array<Object>} data - Monthly chart rows of the current year
+ * @param {Object} forecast - Result of the forecast
+ * @returns {Array<Object>} Rows with projected and forecast set on projected months
+ */
+const withForecast = (data, forecast) =>
+  data.map((row, index) => {
+    const month = index + 1;
+    if (month === forecast.current.month) {
+      return {
+        ...row,
+        projected: forecast.current.smoothed,
+        forecast: {
+          method: "current",
+          runRate: forecast.current.runRate,
+          confidence: forecast.current.confidence,
+        },
+      };
+    }
+    const projection = forecast.months.find((m) => m.month === month);
+    return projection
+      ? {
+          ...row,
+          projected: projection.projected,
+          forecast: { method: "smoothed", confidence: projection.confidence },
+        }
+      : row;
+  });
 
 /**
  * BarChartView component - Displays yearly cost data as a bar chart visualization
  * @param {Object} props - Component props
- * @param {Function} props.onGetYearlyData - Callback to fetch yearly cost data by year and currency
+ * @param {Function} props.onGetYearlyData - Callback to fetch yearly cost data by year, currency, and options
+ * @param {Function} props.onGetRangeTotals - Callback to fetch totals per day, week or month by from and to days, currency, and options
+ * @param {Function} props.onGetMultiYearData - Callback to fetch monthly totals of several years by years, currency, and options
+ * @param {Function} props.onGetReport - Callback to fetch the items of a month by year, month, currency, and options
+ * @param {Function} props.onGetForecast - Callback to fetch the projection of the current year by currency and options
+ * @param {Function} props.onGetTags - Callback to fetch the known tags
  * @returns {JSX.Element} Bar chart with year/currency selectors showing monthly cost breakdown
  */
-const BarChartView = ({ onGetYearlyData }) => {
+const BarChartView = ({
+  onGetYearlyData,
+  onGetRangeTotals,
+  onGetMultiYearData,
+  onGetReport,
+  onGetForecast,
+  onGetTags,
+}) => {
   // Get the current year for default value
   const currentYear = new Date().getFullYear();
 
   // State for managing selected year filter
   const [year, setYear] = useState(currentYear);
+  // State for comparing several years instead of showing one
+  const [compareYears, setCompareYears] = useState(false);
+  // State for the years selected for comparison
+  const [comparedYears, setComparedYears] = useState([
+    currentYear - 1,
+    currentYear,
+  ]);
+  // State for the fetched comparison of several years (null otherwise)
+  const [comparison, setComparison] = useState(null);
+  // State for stacking each month's bar by category
+  const [byCategory, setByCategory] = useState(false);
+  // State for the stacked categories of the displayed year (null otherwise)
+  const [breakdown, setBreakdown] = useState(null);
+  // State for the request behind the displayed year, reused for its items
+  const [dataRequest, setDataRequest] = useState(null);
+  // State for the clicked bar segment and its items
+  const [segment, setSegment] = useState(null);
+  // State for the projection shown with the current year (null otherwise)
+  const [forecast, setForecast] = useState(null);
+  // State for the charted period: the selected year or a range of days
+  const [range, setRange] = useState({ preset: "calendar", from: "", to: "" });
+  // Currencies configured by the user in Settings
+  const [currencies] = useState(getCurrencies);
   // State for managing selected currency for conversion
-  const [currency, setCurrency] = useState("USD");
+  const [currency, setCurrency] = useState(getDefaultCurrency);
+  // State for managing which exchange rates are used for conversion
+  const [conversion, setConversion] = useState("current");
+  // State for the tags the chart is narrowed to and how they must match
+  const [tags, setTags] = useState([]);
+  const [tagMatch, setTagMatch] = useState("any");
+  // State for the known tags offered by the tag filter
+  const [tagOptions, setTagOptions] = useState([]);
   // State for storing the fetched chart data
   const [data, setData] = useState([]);
+  // State for the currency the displayed data was converted to
+  const [dataCurrency, setDataCurrency] = useState(currency);
+  // State for the period of the displayed data, as used in file names
+  const [dataPeriod, setDataPeriod] = useState("");
+  // State for the bar size of range data (null for a calendar year by month)
+  const [bucket, setBucket] = useState(null);
+  // State for the fetch time of the rates used by the chart
+  const [ratesAsOf, setRatesAsOf] = useState(null);
+  // State for the costs left out of the chart for lack of a rate
+  const [skipped, setSkipped] = useState([]);
   // State to track if user has requested chart data
   const [hasRequested, setHasRequested] = useState(false);
 
@@ -46,24 +226,95 @@ const BarChartView = ({ onGetYearlyData }) => {
   const years = Array.from({ length: 10 }, (_, i) => currentYear - i);
 
   /**
-   * Fetches and sets yearly cost data based on selected year and currency
+   * Lifecycle hook - Loads the known tags for the tag filter
+   */
+  useEffect(() => {
+    onGetTags()
+      .then(setTagOptions)
+      .catch((err) => console.error("Failed to load tags:", err));
+  }, [onGetTags]);
+
+  /**
+   * Fetches and sets cost totals for the selected year or range, and currency
    */
   const handleGetData = async () => {
     try {
       // Mark that chart data has been requested
       setHasRequested(true);
       // Fetch yearly data from parent component callback
-      const chartData = await onGetYearlyData(year, currency);
+      const options = { conversion, tags, tagMatch };
+      const isCalendar = range.preset === "calendar";
+      setSegment(null);
+      setBreakdown(null);
+      setForecast(null);
+
+      // Several years are fetched together and shown side by side
+      if (isCalendar && compareYears) {
+        const result = await onGetMultiYearData(
+          comparedYears,
+          currency,
+          options
+        );
+        setComparison(result);
+        setData([]);
+        setBucket(null);
+        setDataCurrency(currency);
+        setDataPeriod(result.years.join("-"));
+        setRatesAsOf(result.ratesAsOf);
+        setSkipped(result.skipped || []);
+        return;
+      }
+
+      const result = isCalendar
+        ? await onGetYearlyData(year, currency, { ...options, byCategory })
+        : await onGetRangeTotals(range.from, range.to, currency, options);
+      // The current year is shown with the projection of its remaining months
+      const projection =
+        isCalendar && !byCategory && year === currentYear
+          ? await onGetForecast(currency, options)
+          : null;
       // Store the fetched data in state for chart rendering
-      setData(chartData);
+      setComparison(null);
+      setData(projection ? withForecast(result.data, projection) : result.data);
+      setForecast(projection);
+      setBreakdown(result.categories || null);
+      setDataRequest({ year, currency, options });
+      setBucket(isCalendar ? null : result.bucket);
+      // Remember the currency and when the rates used for conversion were fetched
+      setDataCurrency(currency);
+      setDataPeriod(isCalendar ? `${year}` : `${range.from}-to-${range.to}`);
+      setRatesAsOf(result.ratesAsOf);
+      setSkipped(result.skipped || []);
     } catch (err) {
       // Log any errors that occur during data fetching
       console.error("Failed to get yearly data:", err);
     }
   };
 
+  /**
+   * Loads the items behind a clicked segment of the stacked chart
+   * @param {number} month - Month of the segment (1-12)
+   * @param {string} category - Category of the segment
+   */
+  const handleSegmentClick = async (month, category) => {
+    try {
+      const { year: dataYear, currency: dataCurr, options } = dataRequest;
+      const report = await onGetReport(dataYear, month, dataCurr, {
+        ...options,
+        category,
+      });
+      setSegment({ year: dataYear, month, category, report });
+    } catch (err) {
+      // Log any errors that occur during data fetching
+      console.error("Failed to get segment items:", err);
+    }
+  };
+
   // Check if any month has data with a total greater than zero
   const hasAnyData = data.some((item) => Number(item.total) > 0);
+  // Check if any compared year has costs
+  const hasComparisonData =
+    comparison !== null && comparison.totals.some((t) => t.totalMinor !== 0);
 
   return (
     // Main container paper with elevation shadow and centered layout
@@ -74,21 +325,80 @@ const BarChartView = ({ onGetYearlyData }) => {
       </Typography>
 
       {/* Filter controls section - Year and Currency selectors with Show Chart button */}
-      <Box sx={{ display: "flex", gap: 2, mb: 3 }}>
-        {/* Year selector dropdown */}
-        <TextField
-          select
-          label="Year"
-          value={year}
-          onChange={(e) => setYear(e.target.value)}
-          sx={{ minWidth: 120 }}
-        >
-          {years.map((y) => (
-            <MenuItem key={y} value={y}>
-              {y}
-            </MenuItem>
-          ))}
-        </TextField>
+      <Box sx={{ display: "flex", gap: 2, mb: 3, flexWrap: "wrap" }}>
+        {/* Period selector - the calendar period or a range of days */}
+        <DateRangeSelector
+          value={range}
+          onChange={setRange}
+          calendarLabel="Calendar year"
+        />
+
+        {/* Calendar period selectors, used unless a range is chosen */}
+        {range.preset === "calendar" && (
+          <>
+            {/* Year selector dropdown - several years when comparing */}
+            {compareYears ? (
+              <TextField
+                select
+                label="Years"
+                value={comparedYears}
+                onChange={(e) =>
+                  setComparedYears([...e.target.value].sort((a, b) => a - b))
+                }
+                SelectProps={{
+                  multiple: true,
+                  renderValue: (selected) => selected.join(", "),
+                }}
+                error={comparedYears.length === 0}
+                sx={{ minWidth: 160 }}
+              >
+                {years.map((y) => (
+                  <MenuItem key={y} value={y}>
+                    {y}
+                  </MenuItem>
+                ))}
+              </TextField>
+            ) : (
+              <TextField
+                select
+                label="Year"
+                value={year}
+                onChange={(e) => setYear(e.target.value)}
+                sx={{ minWidth: 120 }}
+              >
+                {years.map((y) => (
+                  <MenuItem key={y} value={y}>
+                    {y}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+
+            {/* Switch between one year and a comparison of years */}
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={compareYears}
+                  onChange={(e) => setCompareYears(e.target.checked)}
+                />
+              }
+              label="Compare years"
+            />
+
+            {/* Switch for stacking a single year's months by category */}
+            {!compareYears && (
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={byCategory}
+                    onChange={(e) => setByCategory(e.target.checked)}
+                  />
+                }
+                label="By category"
+              />
+            )}
+          </>
+        )}
 
         {/* Currency selector dropdown */}
         <TextField
@@ -98,50 +408,187 @@ const BarChartView = ({ onGetYearlyData }) => {
           onChange={(e) => setCurrency(e.target.value)}
           sx={{ minWidth: 100 }}
         >
-          {CURRENCIES.map((curr) => (
+          {currencies.map((curr) => (
             <MenuItem key={curr} value={curr}>
               {curr}
             </MenuItem>
           ))}
         </TextField>
 
+        {/* Exchange-rate mode selector (current or purchase-time rates) */}
+        <ConversionSelect value={conversion} onChange={setConversion} />
+
         {/* Button to fetch and display chart data */}
         <Button
           variant="contained"
           onClick={handleGetData}
+          disabled={
+            range.preset === "calendar" &&
+            compareYears &&
+            comparedYears.length === 0
+          }
           sx={{ minWidth: 120 }}
         >
           Show Chart
         </Button>
       </Box>
 
+      {/* Tag filter - narrows the chart to costs with the chosen tags */}
+      <TagFilter
+        tags={tags}
+        onTagsChange={setTags}
+        match={tagMatch}
+        onMatchChange={setTagMatch}
+        options={tagOptions}
+      />
+
       {/* Display message when no data exists for the selected period */}
-      {hasRequested && data.length > 0 && !hasAnyData && (
-        <Typography color="text.secondary" align="center">
-          No data for selected period
-        </Typography>
+      {hasRequested &&
+        ((data.length > 0 && !hasAnyData) ||
+          (comparison && !hasComparisonData)) && (
+          <Typography color="text.secondary" align="center">
+            No data for selected period
+          </Typography>
+        )}
+
+      {/* Display the months stacked by category in breakdown mode */}
+      {breakdown && hasAnyData && (
+        <CategoryBreakdownChart
+          data={data}
+          categories={breakdown}
+          onSegmentClick={handleSegmentClick}
+        />
       )}
 
       {/* Display bar chart when data is available */}
-      {data.length > 0 && hasAnyData && (
+      {!breakdown && data.length > 0 && hasAnyData && (
         <ResponsiveContainer width="100%" height={400}>
-          <BarChart data={data}>
+          <ComposedChart data={data}>
             {/* Grid lines for chart readability */}
             <CartesianGrid strokeDasharray="3 3" />
-            {/* X-axis showing months */}
-            <XAxis dataKey="month" />
+            {/* X-axis showing months, or the periods of a range */}
+            <XAxis dataKey={bucket ? "label" : "month"} />
             {/* Y-axis showing cost values */}
             <YAxis />
-            {/* Tooltip for hovering over bars */}
-            <Tooltip />
+            {/* Tooltip for hovering over bars, with the projection details */}
+            <Tooltip content={<ForecastTooltip currency={dataCurrency} />} />
             {/* Legend explaining the chart data */}
             <Legend />
             {/* Bar representation of monthly totals */}
             {/* Each bar shows the total cost for that month */}
             <Bar dataKey="total" fill="#8884d8" name={`Total (${currency})`} />
-          </BarChart>
+            {/* Dashed line of the projected totals of the current year */}
+            {forecast && (
+              <Line
+                type="monotone"
+                dataKey="projected"
+                stroke="#ff7300"
+                strokeWidth={2}
+                strokeDasharray="6 4"
+                name={`Projected (${currency})`}
+              />
+            )}
+          </ComposedChart>
         </ResponsiveContainer>
       )}
+
+      {/* Projection of the current month in words */}
+      {forecast && hasAnyData && (
+        <Typography variant="body2" sx={{ mt: 1 }}>
+          {data[forecast.current.month - 1].month} is projected to end at{" "}
+          {forecast.current.smoothed.toFixed(getMinorUnits(dataCurrency))}{" "}
+          {dataCurrency} ({forecast.current.confidence} confidence; run rate{" "}
+          {forecast.current.runRate.toFixed(getMinorUnits(dataCurrency))}, spent
+          so far {forecast.current.spent.toFixed(getMinorUnits(dataCurrency))}{" "}
+          in {forecast.current.daysElapsed} of {forecast.current.daysInMonth}{" "}
+          days).
+        </Typography>
+      )}
+
+      {/* Items behind the clicked segment of the stacked chart */}
+      {breakdown && segment && (
+        <Box sx={{ mt: 2, mb: 2 }}>
+          <Box
+            sx={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+            }}
+          >
+            <Typography variant="h6">
+              {data[segment.month - 1].month} {segment.year}: {segment.category}
+            </Typography>
+            <Button size="small" onClick={() => setSegment(null)}>
+              Close
+            </Button>
+          </Box>
+          <CostItemsTable
+            items={segment.report.costs}
+            currency={segment.report.total.currency}
+          />
+          <Typography align="right" sx={{ mt: 1 }}>
+            Total:{" "}
+            {formatMoney(
+              segment.report.total.totalMinor,
+              segment.report.total.currency
+            )}{" "}
+            {segment.report.total.currency}
+          </Typography>
+        </Box>
+      )}
+
+      {/* Grouped comparison of the selected years */}
+      {hasComparisonData && (
+        <YearComparisonChart comparison={comparison} currency={dataCurrency} />
+      )}
+
+      {/* Export of the compared monthly totals, one column per year */}
+      {hasComparisonData && (
+        <ExportButtons
+          fileName={`costs-by-month-${dataPeriod}`}
+          columns={[
+            { key: "month", label: "Month" },
+            ...comparison.years.map((y) => ({
+              key: String(y),
+              label: String(y),
+            })),
+            { key: "currency", label: "Currency" },
+          ]}
+          getRows={() =>
+            comparison.data.map((row) => ({ ...row, currency: dataCurrency }))
+          }
+        />
+      )}
+
+      {/* Bar size chosen for the length of the range */}
+      {bucket && hasAnyData && (
+        <Typography variant="caption" color="text.secondary">
+          {BUCKET_LABELS[bucket]}
+        </Typography>
+      )}
+
+      {/* Export of the displayed totals */}
+      {data.length > 0 && hasAnyData && (
+        <ExportButtons
+          fileName={`costs-by-${bucket || "month"}-${dataPeriod}`}
+          columns={
+            bucket
+              ? RANGE_EXPORT_COLUMNS
+              : forecast
+                ? [...EXPORT_COLUMNS, { key: "projected", label: "Projected" }]
+                : EXPORT_COLUMNS
+          }
+          getRows={() =>
+            data.map((row) => ({ ...row, currency: dataCurrency }))
+          }
+        />
+      )}
+
+      {/* Costs the chart could not convert */}
+      <SkippedCosts items={skipped} />
+
+      {/* Freshness of the exchange rates behind the chart */}
+      <RatesAsOf value={ratesAsOf} />
     </Paper>
   );
 };
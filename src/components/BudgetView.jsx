@@ -0,0 +1,482 @@
+// Import React and hooks for state and lifecycle management
+import React, { useState, useEffect, useCallback } from "react";
+// Import Material-UI components for the selectors, table and progress bars
+import {
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Paper,
+  Typography,
+  Alert,
+  Autocomplete,
+  Checkbox,
+  FormControlLabel,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+} from "@mui/material";
+// Import Material-UI icons for the budget actions
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+// Import the user's currency list from the currency service
+import { getCurrencies, getDefaultCurrency } from "../services/currencyService";
+// Import currency precision helper for the amounts
+import { getMinorUnits } from "../services/money";
+// Import selector for the exchange-rate conversion mode
+import ConversionSelect from "./ConversionSelect";
+// Import caption showing the age of the conversion rates
+import RatesAsOf from "./RatesAsOf";
+// Import warning about costs left out for lack of an exchange rate
+import SkippedCosts from "./SkippedCosts";
+// Import the category icon renderer for the category column
+import CategoryIcon from "./CategoryIcon";
+
+// Share of a budget spent from which its bar turns to a warning
+const WARNING_PERCENT = 80;
+
+/**
+ * Returns the inputs of a new budget in the default currency
+ * @returns {Object} Empty budget fields
+ */
+const getEmptyBudget = () => ({
+  category: "",
+  amount: "",
+  currency: getDefaultCurrency(),
+  rollover: false,
+});
+
+/**
+ * BudgetView component - Monthly budgets per category against actual spending
+ * Budgets are set per category and month; with rollover the unused part of
+ * the month before is added to the budget.
+ * @param {Object} props - Component props
+ * @param {Function} props.onGetBudgetReport - Callback to fetch budget against spending for a month
+ * @param {Function} props.onSetBudget - Callback to set the budget of a category for a month
+ * @param {Function} props.onDeleteBudget - Callback to delete a budget by id
+ * @param {Function} props.onCopyBudgets - Callback to copy the budgets of one month to another
+ * @param {Function} props.onGetCategories - Callback to fetch the stored categories for the picker
+ * @returns {JSX.Element} Budget table with progress bars and the budget inputs
+ */
+const BudgetView = ({
+  onGetBudgetReport,
+  onSetBudget,
+  onDeleteBudget,
+  onCopyBudgets,
+  onGetCategories,
+}) => {
+  // Get current date to set default year and month values
+  const currentDate = new Date();
+  const currentYear = currentDate.getFullYear();
+  const currentMonth = currentDate.getMonth() + 1;
+
+  // State for managing selected year (defaults to current year)
+  const [year, setYear] = useState(currentYear);
+  // State for managing selected month (defaults to current month)
+  const [month, setMonth] = useState(currentMonth);
+  // Currencies configured by the user in Settings
+  const [currencies] = useState(getCurrencies);
+  // State for managing the currency the amounts are shown in
+  const [currency, setCurrency] = useState(getDefaultCurrency);
+  // State for managing which exchange rates are used for conversion
+  const [conversion, setConversion] = useState("current");
+  // State for the fetched budget report
+  const [report, setReport] = useState(null);
+  // State for the category names offered by the picker
+  const [categories, setCategories] = useState([]);
+  // State for the budget inputs
+  const [budget, setBudget] = useState(getEmptyBudget);
+  // State for displaying error messages
+  const [error, setError] = useState("");
+  // State for displaying the result of the last action
+  const [success, setSuccess] = useState("");
+
+  // Generate array of years for the dropdown (next year and 9 previous years)
+  const years = Array.from({ length: 11 }, (_, i) => currentYear + 1 - i);
+  // Array of month objects with value and label for the dropdown
+  const months = [
+    { value: 1, label: "January" },
+    { value: 2, label: "February" },
+    { value: 3, label: "March" },
+    { value: 4, label: "April" },
+    { value: 5, label: "May" },
+    { value: 6, label: "June" },
+    { value: 7, label: "July" },
+    { value: 8, label: "August" },
+    { value: 9, label: "September" },
+    { value: 10, label: "October" },
+    { value: 11, label: "November" },
+    { value: 12, label: "December" },
+  ];
+
+  /**
+   * Reloads the budget report of the selected month and the category names
+   */
+  const loadReport = useCallback(async () => {
+    try {
+      setReport(await onGetBudgetReport(year, month, currency, { conversion }));
+      setCategories((await onGetCategories()).map((c) => c.name));
+    } catch (err) {
+      setError(err.message || "Failed to load budgets");
+    }
+  }, [onGetBudgetReport, onGetCategories, year, month, currency, conversion]);
+
+  /**
+   * Lifecycle hook - Loads the budgets whenever the month or currency changes
+   */
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  /**
+   * Runs a change, shows its outcome and reloads the budgets
+   * @param {Function} action - Async change to perform
+   * @param {Function} describe - Builds the success message from the result
+   * @returns {Promise<boolean>} Whether the change succeeded
+   */
+  const runAction = async (action, describe) => {
+    setError("");
+    setSuccess("");
+    try {
+      setSuccess(describe(await action()));
+      await loadReport();
+      return true;
+    } catch (err) {
+      setError(err.message || "Failed to change budgets");
+      return false;
+    }
+  };
+
+  /**
+   * Sets the entered budget for the selected month
+   */
+  const handleSave = async () => {
+    const saved = await runAction(
+      () => onSetBudget({ ...budget, year, month }),
+      (stored) => `Set the budget of ${stored.category}`
+    );
+    if (saved) {
+      setBudget(getEmptyBudget());
+    }
+  };
+
+  /**
+   * Deletes a budget of the selected month
+   * @param {Object} row - Budget row to delete
+   */
+  const handleDelete = (row) =>
+    runAction(
+      () => onDeleteBudget(row.id),
+      () => `Deleted the budget of ${row.category}`
+    );
+
+  /**
+   * Copies the previous month's budgets to the selected month
+   */
+  const handleCopyPrevious = () => {
+    const previous = new Date(year, month - 2, 1);
+    return runAction(
+      () =>
+        onCopyBudgets(
+          previous.getFullYear(),
+          previous.getMonth() + 1,
+          year,
+          month
+        ),
+      (copied) =>
+        copied > 0
+          ? `Copied ${copied} budgets from the previous month`
+          : "No budgets to copy from the previous month"
+    );
+  };
+
+  /**
+   * Picks the bar colour of a budget row from how much of it is spent
+   * @param {Object} row - Budget row
+   * @returns {string} LinearProgress colour
+   */
+  const getProgressColor = (row) => {
+    if (row.over) {
+      return "error";
+    }
+    return row.percent !== null && row.percent >= WARNING_PERCENT
+      ? "warning"
+      : "primary";
+  };
+
+  // Amounts are shown with the precision of the report's currency
+  const digits = getMinorUnits(report ? report.currency : currency);
+  const format = (amount) => amount.toFixed(digits);
+  // A budget needs a category and an amount
+  const canSave = budget.category.trim() !== "" && budget.amount !== "";
+
+  return (
+    // Main container paper with elevation shadow and centered layout
+    <Paper elevation={3} sx={{ p: 3, maxWidth: 900, mx: "auto", mt: 3 }}>
+      {/* Budget view title */}
+      <Typography variant="h5" gutterBottom>
+        Budgets
+      </Typography>
+
+      {/* Month, currency and conversion selectors */}
+      <Box sx={{ display: "flex", gap: 2, mb: 2, flexWrap: "wrap" }}>
+        <TextField
+          select
+          label="Year"
+          value={year}
+          onChange={(e) => setYear(e.target.value)}
+          size="small"
+          sx={{ minWidth: 100 }}
+        >
+          {years.map((y) => (
+            <MenuItem key={y} value={y}>
+              {y}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          label="Month"
+          value={month}
+          onChange={(e) => setMonth(e.target.value)}
+          size="small"
+          sx={{ minWidth: 140 }}
+        >
+          {months.map((m) => (
+            <MenuItem key={m.value} value={m.value}>
+              {m.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          label="Currency"
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          size="small"
+          sx={{ minWidth: 100 }}
+        >
+          {currencies.map((curr) => (
+            <MenuItem key={curr} value={curr}>
+              {curr}
+            </MenuItem>
+          ))}
+        </TextField>
+        <ConversionSelect value={conversion} onChange={setConversion} />
+        <Button variant="outlined" onClick={handleCopyPrevious}>
+          Copy from previous month
+        </Button>
+      </Box>
+
+      {/* Error alert message - displayed when a change is rejected */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {/* Success alert message - displayed after a change */}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Message when the month has no budgets yet */}
+      {report && report.rows.length === 0 && (
+        <Typography color="text.secondary">
+          No budgets for this month. Set one below or copy the previous month's
+          budgets.
+        </Typography>
+      )}
+
+      {/* Budgets of the month against their spending */}
+      {report && report.rows.length > 0 && (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Category</TableCell>
+                <TableCell align="right">Budget</TableCell>
+                <TableCell align="right">Spent</TableCell>
+                <TableCell align="right">Remaining</TableCell>
+                <TableCell sx={{ width: 200 }}>Progress</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.rows.map((row) => (
+                <TableRow key={row.id}>
+                  <TableCell>
+                    <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                      <CategoryIcon icon={row.icon} color={row.color} />
+                      {row.category}
+                    </Box>
+                  </TableCell>
+                  <TableCell align="right">
+                    {format(row.available)}
+                    {/* Unused budget carried over from the month before */}
+                    {row.carried > 0 && (
+                      <Typography
+                        variant="caption"
+                        color="text.secondary"
+                        display="block"
+                      >
+                        incl. {format(row.carried)} rolled over
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{format(row.spent)}</TableCell>
+                  <TableCell
+                    align="right"
+                    sx={{ color: row.over ? "error.main" : undefined }}
+                  >
+                    {format(row.remaining)}
+                  </TableCell>
+                  <TableCell>
+                    <LinearProgress
+                      variant="determinate"
+                      value={row.over ? 100 : Math.min(row.percent || 0, 100)}
+                      color={getProgressColor(row)}
+                      aria-label={`${row.category} budget used`}
+                    />
+                    <Typography variant="caption" color="text.secondary">
+                      {row.percent === null ? "-" : `${row.percent}%`}
+                      {row.over && " - over budget"}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                    <Tooltip title="Edit">
+                      <IconButton
+                        size="small"
+                        aria-label="Edit budget"
+                        onClick={() =>
+                          setBudget({
+                            category: row.category,
+                            amount: String(row.amount),
+                            currency: row.budgetCurrency,
+                            rollover: row.rollover,
+                          })
+                        }
+                      >
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton
+                        size="small"
+                        aria-label="Delete budget"
+                        onClick={() => handleDelete(row)}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {/* Totals of the budgeted categories */}
+              <TableRow>
+                <TableCell sx={{ fontWeight: "bold" }}>Total</TableCell>
+                <TableCell align="right" sx={{ fontWeight: "bold" }}>
+                  {format(report.total.available)}
+                </TableCell>
+                <TableCell align="right" sx={{ fontWeight: "bold" }}>
+                  {format(report.total.spent)}
+                </TableCell>
+                <TableCell align="right" sx={{ fontWeight: "bold" }}>
+                  {format(report.total.remaining)}
+                </TableCell>
+                <TableCell colSpan={2}>{report.currency}</TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Spending in categories without a budget this month */}
+      {report && report.unbudgeted.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2">Without a budget</Typography>
+          {report.unbudgeted.map((item) => (
+            <Typography
+              key={item.category}
+              variant="body2"
+              color="text.secondary"
+            >
+              {item.category}: {format(item.spent)} {report.currency}
+            </Typography>
+          ))}
+        </Box>
+      )}
+
+      {report && (
+        <SkippedCosts items={report.skipped} budgets={report.skippedBudgets} />
+      )}
+      {report && <RatesAsOf value={report.ratesAsOf} />}
+
+      {/* Inputs for setting a category's budget of the selected month */}
+      <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+        Set Budget
+      </Typography>
+      <Box
+        sx={{ display: "flex", gap: 2, flexWrap: "wrap", alignItems: "center" }}
+      >
+        <Autocomplete
+          freeSolo
+          options={categories}
+          inputValue={budget.category}
+          onInputChange={(e, category) => setBudget({ ...budget, category })}
+          renderInput={(params) => (
+            <TextField {...params} label="Category" size="small" />
+          )}
+          sx={{ minWidth: 180 }}
+        />
+        <TextField
+          label="Amount"
+          type="number"
+          value={budget.amount}
+          onChange={(e) => setBudget({ ...budget, amount: e.target.value })}
+          inputProps={{ min: 0, step: "any" }}
+          size="small"
+          sx={{ width: 130 }}
+        />
+        <TextField
+          select
+          label="Currency"
+          value={budget.currency}
+          onChange={(e) => setBudget({ ...budget, currency: e.target.value })}
+          size="small"
+          sx={{ minWidth: 100 }}
+        >
+          {currencies.map((curr) => (
+            <MenuItem key={curr} value={curr}>
+              {curr}
+            </MenuItem>
+          ))}
+        </TextField>
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={budget.rollover}
+              onChange={(e) =>
+                setBudget({ ...budget, rollover: e.target.checked })
+              }
+            />
+          }
+          label="Roll over unused budget"
+        />
+        <Button variant="outlined" onClick={handleSave} disabled={!canSave}>
+          Save
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+// Export BudgetView component as default export
+export default BudgetView;
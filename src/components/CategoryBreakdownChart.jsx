@@ -0,0 +1,74 @@
+// Import React and useState hook for managing component state
+import React, { useState } from "react";
+// Import Recharts components for the stacked bar chart
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+
+/**
+ * CategoryBreakdownChart component - Monthly totals stacked by category
+ * Clicking a legend entry hides or shows that category; clicking a bar
+ * segment reports its month and category.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.data - Months with their totals per category (data[i].categories)
+ * @param {Array<Object>} props.categories - Categories with name and color, largest first
+ * @param {Function} props.onSegmentClick - Callback invoked with the month (1-12) and category of a clicked segment
+ * @returns {JSX.Element} Stacked bar chart with a toggleable legend
+ */
+const CategoryBreakdownChart = ({ data, categories, onSegmentClick }) => {
+  // State for the names of the categories hidden through the legend
+  const [hidden, setHidden] = useState([]);
+
+  /**
+   * Hides a shown category or shows a hidden one
+   * @param {Object} entry - Clicked legend entry
+   */
+  const handleLegendClick = (entry) => {
+    setHidden((current) =>
+      current.includes(entry.value)
+        ? current.filter((name) => name !== entry.value)
+        : [...current, entry.value]
+    );
+  };
+
+  return (
+    <ResponsiveContainer width="100%" height={400}>
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="month" />
+        <YAxis />
+        <Tooltip />
+        {/* Legend entries toggle their category */}
+        <Legend
+          onClick={handleLegendClick}
+          wrapperStyle={{ cursor: "pointer" }}
+        />
+        {/* One stacked segment per category, in its own color */}
+        {categories.map((category) => (
+          <Bar
+            key={category.name}
+            name={category.name}
+            dataKey={(row) => row.categories[category.name] || 0}
+            stackId="categories"
+            fill={category.color}
+            hide={hidden.includes(category.name)}
+            cursor="pointer"
+            onClick={(segment, index) =>
+              onSegmentClick(index + 1, category.name)
+            }
+          />
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+// Export CategoryBreakdownChart component as default export
+export default CategoryBreakdownChart;
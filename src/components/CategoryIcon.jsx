@@ -0,0 +1,50 @@
+// Import React library for component creation
+import React from "react";
+// Import the Material-UI icons a category can use
+import CategoryOutlinedIcon from "@mui/icons-material/Category";
+import RestaurantIcon from "@mui/icons-material/Restaurant";
+import ShoppingCartIcon from "@mui/icons-material/ShoppingCart";
+import DirectionsCarIcon from "@mui/icons-material/DirectionsCar";
+import HomeIcon from "@mui/icons-material/Home";
+import LocalHospitalIcon from "@mui/icons-material/LocalHospital";
+import SchoolIcon from "@mui/icons-material/School";
+import FlightIcon from "@mui/icons-material/Flight";
+import SportsEsportsIcon from "@mui/icons-material/SportsEsports";
+import PetsIcon from "@mui/icons-material/Pets";
+import ReceiptIcon from "@mui/icons-material/Receipt";
+import SavingsIcon from "@mui/icons-material/Savings";
+
+/**
+ * Icon components by the names stored with each category (see CATEGORY_ICONS)
+ */
+const ICONS = {
+  Category: CategoryOutlinedIcon,
+  Restaurant: RestaurantIcon,
+  ShoppingCart: ShoppingCartIcon,
+  DirectionsCar: DirectionsCarIcon,
+  Home: HomeIcon,
+  LocalHospital: LocalHospitalIcon,
+  School: SchoolIcon,
+  Flight: FlightIcon,
+  SportsEsports: SportsEsportsIcon,
+  Pets: PetsIcon,
+  Receipt: ReceiptIcon,
+  Savings: SavingsIcon,
+};
+
+/**
+ * CategoryIcon component - Shows a category's icon in its colour
+ * @param {Object} props - Component props
+ * @param {string} props.icon - Icon name stored with the category
+ * @param {string} [props.color] - Colour of the category
+ * @param {string} [props.fontSize] - Material-UI icon size
+ * @returns {JSX.Element} The category icon
+ */
+const CategoryIcon = ({ icon, color, fontSize = "small" }) => {
+  // Unknown names (e.g. from newer data) fall back to the generic icon
+  const Icon = ICONS[icon] || CategoryOutlinedIcon;
+  return <Icon fontSize={fontSize} sx={{ color }} />;
+};
+
+// Export CategoryIcon component as default export
+export default CategoryIcon;
@@ -0,0 +1,348 @@
+// Import React and hooks for state and lifecycle management
+import React, { useState, useEffect, useCallback } from "react";
+// Import Material-UI components for the list, inputs and dialogs
+import {
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Paper,
+  Typography,
+  Alert,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from "@mui/material";
+// Import Material-UI icons for the list actions
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import CallMergeIcon from "@mui/icons-material/CallMerge";
+// Import the icon names and colours a category can use
+import {
+  CATEGORY_ICONS,
+  CATEGORY_COLORS,
+  DEFAULT_CATEGORY_ICON,
+} from "../services/categories";
+// Import the category icon renderer
+import CategoryIcon from "./CategoryIcon";
+
+/**
+ * CategoryFields component - Name, colour and icon inputs of a category
+ * @param {Object} props - Component props
+ * @param {Object} props.value - Current { name, color, icon } values
+ * @param {Function} props.onChange - Callback invoked with the changed values
+ * @returns {JSX.Element} Inputs for a category's name and appearance
+ */
+const CategoryFields = ({ value, onChange }) => (
+  <Box sx={{ display: "flex", gap: 2, alignItems: "center", flexWrap: "wrap" }}>
+    {/* Category name input */}
+    <TextField
+      label="Name"
+      value={value.name}
+      onChange={(e) => onChange({ ...value, name: e.target.value })}
+      size="small"
+    />
+    {/* Colour picker - the colour used for the category in every chart */}
+    <TextField
+      label="Colour"
+      type="color"
+      value={value.color}
+      onChange={(e) => onChange({ ...value, color: e.target.value })}
+      size="small"
+      sx={{ width: 90 }}
+    />
+    {/* Icon selector */}
+    <TextField
+      select
+      label="Icon"
+      value={value.icon}
+      onChange={(e) => onChange({ ...value, icon: e.target.value })}
+      size="small"
+      sx={{ minWidth: 90 }}
+    >
+      {CATEGORY_ICONS.map((icon) => (
+        <MenuItem key={icon} value={icon}>
+          <CategoryIcon icon={icon} color={value.color} />
+        </MenuItem>
+      ))}
+    </TextField>
+  </Box>
+);
+
+/**
+ * CategoryManager component - Lets the user add, edit, merge and delete categories
+ * @param {Object} props - Component props
+ * @param {Function} props.onGetCategories - Callback to fetch all categories
+ * @param {Function} props.onAddCategory - Callback to add a category with name, colour and icon
+ * @param {Function} props.onUpdateCategory - Callback to rename or restyle a category by id
+ * @param {Function} props.onMergeCategories - Callback to move the costs of one category into another
+ * @param {Function} props.onDeleteCategory - Callback to delete an unused category by id
+ * @returns {JSX.Element} Category list with editing actions
+ */
+const CategoryManager = ({
+  onGetCategories,
+  onAddCategory,
+  onUpdateCategory,
+  onMergeCategories,
+  onDeleteCategory,
+}) => {
+  // State for the stored categories
+  const [categories, setCategories] = useState([]);
+  // State for the new category inputs
+  const [newCategory, setNewCategory] = useState({
+    name: "",
+    color: CATEGORY_COLORS[0],
+    icon: DEFAULT_CATEGORY_ICON,
+  });
+  // State for the category open in the edit dialog
+  const [editing, setEditing] = useState(null);
+  // State for the category open in the merge dialog and its target id
+  const [merging, setMerging] = useState(null);
+  const [mergeTarget, setMergeTarget] = useState("");
+  // State for displaying error messages
+  const [error, setError] = useState("");
+  // State for displaying the result of the last action
+  const [success, setSuccess] = useState("");
+
+  /**
+   * Reloads the category list
+   */
+  const loadCategories = useCallback(async () => {
+    try {
+      setCategories(await onGetCategories());
+    } catch (err) {
+      setError(err.message || "Failed to load categories");
+    }
+  }, [onGetCategories]);
+
+  /**
+   * Lifecycle hook - Loads the categories once the database is available
+   */
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  /**
+   * Runs a change, shows its outcome and reloads the list
+   * @param {Function} action - Async change to perform
+   * @param {Function} describe - Builds the success message from the result
+   */
+  const runAction = async (action, describe) => {
+    setError("");
+    setSuccess("");
+    try {
+      const result = await action();
+      setSuccess(describe(result));
+      await loadCategories();
+      return true;
+    } catch (err) {
+      setError(err.message || "Failed to change categories");
+      return false;
+    }
+  };
+
+  /**
+   * Adds the entered category
+   */
+  const handleAdd = async () => {
+    const added = await runAction(
+      () => onAddCategory(newCategory),
+      (category) => `Added "${category.name}"`
+    );
+    if (added) {
+      setNewCategory({ ...newCategory, name: "" });
+    }
+  };
+
+  /**
+   * Saves the edit dialog; a new name is applied to all of the category's costs
+   */
+  const handleSaveEdit = async () => {
+    const { id, name, color, icon } = editing;
+    const saved = await runAction(
+      () => onUpdateCategory(id, { name, color, icon }),
+      (result) =>
+        result.costsUpdated > 0
+          ? `Saved "${result.category.name}" and updated ${result.costsUpdated} cost items`
+          : `Saved "${result.category.name}"`
+    );
+    if (saved) {
+      setEditing(null);
+    }
+  };
+
+  /**
+   * Moves the costs of the category in the merge dialog into the chosen one
+   */
+  const handleConfirmMerge = async () => {
+    const source = merging;
+    const target = categories.find((category) => category.id === mergeTarget);
+    setMerging(null);
+    await runAction(
+      () => onMergeCategories(source.id, target.id),
+      (moved) =>
+        `Merged "${source.name}" into "${target.name}" (${moved} cost items)`
+    );
+  };
+
+  /**
+   * Deletes an unused category
+   * @param {Object} category - Category to delete
+   */
+  const handleDelete = (category) =>
+    runAction(
+      () => onDeleteCategory(category.id),
+      () => `Deleted "${category.name}"`
+    );
+
+  return (
+    // Main container paper with elevation shadow and centered layout
+    <Paper elevation={3} sx={{ p: 3, maxWidth: 600, mx: "auto", mt: 3 }}>
+      {/* Category manager title */}
+      <Typography variant="h5" gutterBottom>
+        Categories
+      </Typography>
+
+      {/* Error alert message - displayed when a change is rejected */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {/* Success alert message - displayed after a change */}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          {success}
+        </Alert>
+      )}
+
+      {/* List of categories with their actions */}
+      <List dense>
+        {categories.map((category) => (
+          <ListItem
+            key={category.id}
+            secondaryAction={
+              <Box>
+                <Tooltip title="Edit">
+                  <IconButton
+                    size="small"
+                    aria-label={`Edit ${category.name}`}
+                    onClick={() => setEditing(category)}
+                  >
+                    <EditIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Merge into another category">
+                  <span>
+                    <IconButton
+                      size="small"
+                      aria-label={`Merge ${category.name}`}
+                      disabled={categories.length < 2}
+                      onClick={() => {
+                        setMerging(category);
+                        setMergeTarget("");
+                      }}
+                    >
+                      <CallMergeIcon fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+                <Tooltip title="Delete (only when unused)">
+                  <IconButton
+                    size="small"
+                    aria-label={`Delete ${category.name}`}
+                    onClick={() => handleDelete(category)}
+                  >
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+            }
+          >
+            <ListItemIcon>
+              <CategoryIcon icon={category.icon} color={category.color} />
+            </ListItemIcon>
+            <ListItemText primary={category.name} />
+          </ListItem>
+        ))}
+      </List>
+
+      {/* Inputs for adding a category */}
+      <Typography variant="subtitle1" sx={{ mt: 2, mb: 1 }}>
+        Add Category
+      </Typography>
+      <Box sx={{ display: "flex", gap: 2, alignItems: "center" }}>
+        <CategoryFields value={newCategory} onChange={setNewCategory} />
+        <Button
+          variant="outlined"
+          onClick={handleAdd}
+          disabled={!newCategory.name.trim()}
+        >
+          Add
+        </Button>
+      </Box>
+
+      {/* Dialog for renaming or restyling a category */}
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)}>
+        <DialogTitle>Edit Category</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 1 }}>
+            {editing && (
+              <CategoryFields value={editing} onChange={setEditing} />
+            )}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveEdit}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dialog for merging a category into another one */}
+      <Dialog open={Boolean(merging)} onClose={() => setMerging(null)}>
+        <DialogTitle>Merge "{merging && merging.name}"</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            fullWidth
+            label="Merge into"
+            value={mergeTarget}
+            onChange={(e) => setMergeTarget(e.target.value)}
+            margin="normal"
+            helperText="All costs move to this category and the merged category is removed"
+          >
+            {categories
+              .filter((category) => merging && category.id !== merging.id)
+              .map((category) => (
+                <MenuItem key={category.id} value={category.id}>
+                  {category.name}
+                </MenuItem>
+              ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMerging(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleConfirmMerge}
+            disabled={mergeTarget === ""}
+          >
+            Merge
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+// Export CategoryManager component as default export
+export default CategoryManager;
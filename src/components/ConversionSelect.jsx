@@ -0,0 +1,38 @@
+// Import React library for component creation
+import React from "react";
+// Import Material-UI components for the selector
+import { TextField, MenuItem } from "@mui/material";
+
+/**
+ * Available exchange-rate conversion modes for the report views
+ */
+const CONVERSION_OPTIONS = [
+  { value: "current", label: "Current rate" },
+  { value: "purchase", label: "Rate at purchase" },
+];
+
+/**
+ * ConversionSelect component - Chooses which exchange rates a report converts with
+ * @param {Object} props - Component props
+ * @param {string} props.value - Selected conversion mode ("current" or "purchase")
+ * @param {Function} props.onChange - Callback invoked with the newly selected mode
+ * @returns {JSX.Element} Dropdown for the conversion mode
+ */
+const ConversionSelect = ({ value, onChange }) => (
+  <TextField
+    select
+    label="Exchange Rates"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    sx={{ minWidth: 170 }}
+  >
+    {CONVERSION_OPTIONS.map((option) => (
+      <MenuItem key={option.value} value={option.value}>
+        {option.label}
+      </MenuItem>
+    ))}
+  </TextField>
+);
+
+// Export ConversionSelect component as default export
+export default ConversionSelect;
@@ -0,0 +1,69 @@
+// Import React library for component creation
+import React from "react";
+// Import Material-UI components for the table
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+// Import money formatting using each currency's precision
+import { formatMoney } from "../services/money";
+// Import date helper for the item dates
+import { toDateInputValue } from "../services/dateUtils";
+
+/**
+ * CostItemsTable component - Read-only list of report items with their converted amounts
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.items - Report items (as returned in report costs)
+ * @param {string} props.currency - Currency the items were converted to
+ * @param {boolean} [props.showCategory] - Whether to include the category column
+ * @param {number} [props.shareOfMinor] - Converted total (minor units) to show each item's share of
+ * @returns {JSX.Element} Table of the items
+ */
+const CostItemsTable = ({
+  items,
+  currency,
+  showCategory = false,
+  shareOfMinor,
+}) => (
+  <TableContainer>
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Date</TableCell>
+          {showCategory && <TableCell>Category</TableCell>}
+          <TableCell>Description</TableCell>
+          <TableCell align="right">Original</TableCell>
+          <TableCell align="right">Converted ({currency})</TableCell>
+          {shareOfMinor > 0 && <TableCell align="right">Share</TableCell>}
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {items.map((item) => (
+          <TableRow key={item.id}>
+            <TableCell>{toDateInputValue(item.date)}</TableCell>
+            {showCategory && <TableCell>{item.category}</TableCell>}
+            <TableCell>{item.description}</TableCell>
+            <TableCell align="right">
+              {formatMoney(item.sumMinor, item.currency)} {item.currency}
+            </TableCell>
+            <TableCell align="right">
+              {formatMoney(item.convertedMinor, currency)}
+            </TableCell>
+            {shareOfMinor > 0 && (
+              <TableCell align="right">
+                {((item.convertedMinor / shareOfMinor) * 100).toFixed(1)}%
+              </TableCell>
+            )}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  </TableContainer>
+);
+
+// Export CostItemsTable component as default export
+export default CostItemsTable;
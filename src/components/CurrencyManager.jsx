@@ -0,0 +1,213 @@
+// Import React and useState hook for managing component state
+import React, { useState } from "react";
+// Import Material-UI components for the list and inputs
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+} from "@mui/material";
+// Import Material-UI icons for the list actions
+import ArrowUpwardIcon from "@mui/icons-material/ArrowUpward";
+import ArrowDownwardIcon from "@mui/icons-material/ArrowDownward";
+import DeleteIcon from "@mui/icons-material/Delete";
+import StarIcon from "@mui/icons-material/Star";
+import StarBorderIcon from "@mui/icons-material/StarBorder";
+// Import currency list helpers from the currency service
+import {
+  getCurrencies,
+  setCurrencies,
+  getDefaultCurrency,
+  setDefaultCurrency,
+  normalizeCurrencyCode,
+  isValidCurrencyCode,
+  getCurrencyName,
+} from "../services/currencyService";
+
+/**
+ * CurrencyManager component - Lets the user add, remove and reorder currencies
+ * and choose the default currency. Changes are saved immediately.
+ * @param {Object} props - Component props
+ * @param {Object|null} props.rates - Current rate table, used to check that new currencies can be converted (null while loading, which blocks adding)
+ * @param {Function} props.onChange - Callback invoked with the updated currency list
+ * @returns {JSX.Element} Editable list of the user's currencies
+ */
+const CurrencyManager = ({ rates, onChange }) => {
+  // State for the user's ordered currency list
+  const [currencies, setCurrencyList] = useState(getCurrencies);
+  // State for the default currency
+  const [defaultCurrency, setDefault] = useState(getDefaultCurrency);
+  // State for managing the new currency code input
+  const [newCode, setNewCode] = useState("");
+  // State for displaying error messages
+  const [error, setError] = useState("");
+
+  /**
+   * Persists a new currency list and notifies the parent
+   * @param {Array<string>} list - Updated ordered list of currency codes
+   */
+  const saveList = (list) => {
+    setCurrencies(list);
+    setCurrencyList(list);
+    onChange(list);
+  };
+
+  /**
+   * Validates and appends the entered currency code
+   */
+  const handleAdd = () => {
+    setError("");
+    const code = normalizeCurrencyCode(newCode);
+
+    // Validate that the code is a known ISO 4217 code
+    if (!isValidCurrencyCode(code)) {
+      setError(`"${newCode}" is not an ISO 4217 currency code`);
+      return;
+    }
+
+    // Validate that the code is not already in the list
+    if (currencies.includes(code)) {
+      setError(`${code} is already in the list`);
+      return;
+    }
+
+    // Validate that the rate feed can convert the currency
+    if (!rates) {
+      setError(
+        "Exchange rates are not loaded yet, so currencies cannot be added"
+      );
+      return;
+    }
+    if (!(rates[code] > 0)) {
+      setError(`The exchange rate feed has no rate for ${code}`);
+      return;
+    }
+
+    saveList([...currencies, code]);
+    setNewCode("");
+  };
+
+  /**
+   * Removes a currency from the list (the default currency cannot be removed)
+   * @param {string} code - Currency code to remove
+   */
+  const handleRemove = (code) => {
+    setError("");
+    saveList(currencies.filter((curr) => curr !== code));
+  };
+
+  /**
+   * Moves a currency one position up or down
+   * @param {number} index - Current position of the currency
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const handleMove = (index, offset) => {
+    const list = [...currencies];
+    const [code] = list.splice(index, 1);
+    list.splice(index + offset, 0, code);
+    saveList(list);
+  };
+
+  /**
+   * Makes a currency the default selection in forms and reports
+   * @param {string} code - Currency code to use as default
+   */
+  const handleSetDefault = (code) => {
+    setDefaultCurrency(code);
+    setDefault(code);
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      {/* Currency list section title */}
+      <Typography variant="subtitle1">Currencies</Typography>
+
+      {/* Error alert message - displayed when a code cannot be added */}
+      {error && (
+        <Alert severity="error" sx={{ my: 1 }}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Ordered list of the user's currencies with their actions */}
+      <List dense>
+        {currencies.map((code, index) => (
+          <ListItem
+            key={code}
+            secondaryAction={
+              <Box>
+                <Tooltip title="Make default">
+                  <IconButton
+                    size="small"
+                    aria-label={`Make ${code} the default currency`}
+                    onClick={() => handleSetDefault(code)}
+                  >
+                    {code === defaultCurrency ? (
+                      <StarIcon fontSize="small" color="primary" />
+                    ) : (
+                      <StarBorderIcon fontSize="small" />
+                    )}
+                  </IconButton>
+                </Tooltip>
+                <IconButton
+                  size="small"
+                  aria-label={`Move ${code} up`}
+                  disabled={index === 0}
+                  onClick={() => handleMove(index, -1)}
+                >
+                  <ArrowUpwardIcon fontSize="small" />
+                </IconButton>
+                <IconButton
+                  size="small"
+                  aria-label={`Move ${code} down`}
+                  disabled={index === currencies.length - 1}
+                  onClick={() => handleMove(index, 1)}
+                >
+                  <ArrowDownwardIcon fontSize="small" />
+                </IconButton>
+                <IconButton
+                  size="small"
+                  aria-label={`Remove ${code}`}
+                  disabled={code === defaultCurrency || currencies.length === 1}
+                  onClick={() => handleRemove(code)}
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            }
+          >
+            <ListItemText primary={code} secondary={getCurrencyName(code)} />
+          </ListItem>
+        ))}
+      </List>
+
+      {/* Input for adding a currency by its ISO code */}
+      <Box sx={{ display: "flex", gap: 2, alignItems: "center" }}>
+        <TextField
+          label="Add Currency (ISO code)"
+          value={newCode}
+          onChange={(e) => setNewCode(e.target.value)}
+          size="small"
+          inputProps={{ maxLength: 4 }}
+          helperText={rates ? " " : "Waiting for exchange rates"}
+        />
+        <Button
+          variant="outlined"
+          onClick={handleAdd}
+          disabled={!newCode || !rates}
+        >
+          Add
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+// Export CurrencyManager component as default export
+export default CurrencyManager;
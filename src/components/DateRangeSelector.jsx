@@ -0,0 +1,95 @@
+// Import React library for component creation
+import React from "react";
+// Import Material-UI components for the selector and date inputs
+import { TextField, MenuItem } from "@mui/material";
+// Import the preset range calculation
+import { getPresetRange } from "../services/dateUtils";
+
+/**
+ * Named ranges offered besides the calendar period and a custom range
+ */
+const RANGE_PRESETS = [
+  { value: "last7", label: "Last 7 days" },
+  { value: "last30", label: "Last 30 days" },
+  { value: "last90", label: "Last 90 days" },
+  { value: "thisMonth", label: "This month" },
+  { value: "lastMonth", label: "Last month" },
+  { value: "thisYear", label: "This year" },
+  { value: "lastYear", label: "Last year" },
+  { value: "fiscalYear", label: "Fiscal year (from April)" },
+];
+
+/**
+ * DateRangeSelector component - Chooses the period a view reports on
+ * "calendar" keeps the view's own year/month selectors; the presets and
+ * "custom" select a range of days passed as "YYYY-MM-DD" from and to.
+ * @param {Object} props - Component props
+ * @param {Object} props.value - Selected { preset, from, to }
+ * @param {Function} props.onChange - Callback invoked with the new { preset, from, to }
+ * @param {string} props.calendarLabel - Label of the calendar period option (e.g. "Single month")
+ * @returns {JSX.Element} Range dropdown, plus start and end inputs for a custom range
+ */
+const DateRangeSelector = ({ value, onChange, calendarLabel }) => {
+  /**
+   * Switches to another preset, filling in its days
+   * @param {string} preset - Selected option value
+   */
+  const handlePresetChange = (preset) => {
+    if (preset === "custom") {
+      // Start the custom range from the previously shown days
+      const start = value.from ? value : getPresetRange("last30");
+      onChange({ preset, from: start.from, to: start.to });
+      return;
+    }
+    onChange({ preset, ...(getPresetRange(preset) || { from: "", to: "" }) });
+  };
+
+  // "YYYY-MM-DD" strings compare in calendar order
+  const invalidOrder = Boolean(value.from && value.to && value.to < value.from);
+
+  return (
+    <>
+      {/* Period dropdown */}
+      <TextField
+        select
+        label="Period"
+        value={value.preset}
+        onChange={(e) => handlePresetChange(e.target.value)}
+        sx={{ minWidth: 170 }}
+      >
+        <MenuItem value="calendar">{calendarLabel}</MenuItem>
+        {RANGE_PRESETS.map((preset) => (
+          <MenuItem key={preset.value} value={preset.value}>
+            {preset.label}
+          </MenuItem>
+        ))}
+        <MenuItem value="custom">Custom range</MenuItem>
+      </TextField>
+
+      {/* Start and end days of a custom range */}
+      {value.preset === "custom" && (
+        <>
+          <TextField
+            label="From"
+            type="date"
+            value={value.from}
+            onChange={(e) => onChange({ ...value, from: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="To"
+            type="date"
+            value={value.to}
+            onChange={(e) => onChange({ ...value, to: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+            error={invalidOrder}
+            helperText={invalidOrder ? "Must not be before the start" : ""}
+          />
+        </>
+      )}
+    </>
+  );
+};
+
+// Export DateRangeSelector component as default export
+export default DateRangeSelector;
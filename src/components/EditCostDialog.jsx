@@ -0,0 +1,205 @@
+// Import React and hooks for state and lifecycle management
+import React, { useState, useEffect } from "react";
+// Import Material-UI components for the dialog and form fields
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+} from "@mui/material";
+// Import the user's currency list from the currency service
+import { getCurrencies, getDefaultCurrency } from "../services/currencyService";
+// Import money helpers for validating amounts per currency precision
+import { isValidAmount, getMinorUnits } from "../services/money";
+// Import date helpers for the purchase date input
+import { toDateInputValue, parseCostDate } from "../services/dateUtils";
+// Import chip input for the cost's tags
+import TagInput from "./TagInput";
+
+/**
+ * EditCostDialog component - Modal form for changing an existing cost entry
+ * @param {Object} props - Component props
+ * @param {Object|null} props.cost - Cost item being edited, or null when the dialog is closed
+ * @param {Array<string>} props.tagOptions - Known tags offered as suggestions
+ * @param {Function} props.onSave - Callback invoked with the cost id and the changed fields (including date)
+ * @param {Function} props.onClose - Callback invoked when the dialog is dismissed
+ * @returns {JSX.Element} Dialog with pre-filled fields for the selected cost
+ */
+const EditCostDialog = ({ cost, tagOptions, onSave, onClose }) => {
+  // State for managing the cost amount input
+  const [sum, setSum] = useState("");
+  // Currencies configured by the user in Settings
+  const [currencies] = useState(getCurrencies);
+  // State for managing the selected currency
+  const [currency, setCurrency] = useState(getDefaultCurrency);
+  // State for managing the category input
+  const [category, setCategory] = useState("");
+  // State for managing the description input
+  const [description, setDescription] = useState("");
+  // State for managing the tags of the cost
+  const [tags, setTags] = useState([]);
+  // State for managing the purchase date input
+  const [date, setDate] = useState("");
+  // State for displaying error messages
+  const [error, setError] = useState("");
+
+  /**
+   * Lifecycle hook - Copies the selected cost into the form whenever it changes
+   */
+  useEffect(() => {
+    if (cost) {
+      setSum(String(cost.sum));
+      setCurrency(cost.currency);
+      setCategory(cost.category);
+      setDescription(cost.description);
+      setTags(cost.tags);
+      setDate(toDateInputValue(new Date(cost.date)));
+      setError("");
+    }
+  }, [cost]);
+
+  // Keep the item's own currency selectable even if it was removed from the list
+  const currencyOptions = currencies.includes(currency)
+    ? currencies
+    : [...currencies, currency];
+
+  /**
+   * Validates the form and passes the changed fields to the parent
+   */
+  const handleSave = async () => {
+    // Validate that amount is positive and fits the currency's precision
+    if (!sum || !isValidAmount(sum, currency)) {
+      setError(
+        `Please enter a valid amount (up to ${getMinorUnits(currency)} decimals for ${currency})`
+      );
+      return;
+    }
+
+    // Validate that category is not empty
+    if (!category.trim()) {
+      setError("Please enter a category");
+      return;
+    }
+
+    // Validate that the purchase date is a real calendar day
+    if (!parseCostDate(date)) {
+      setError("Please enter a valid date");
+      return;
+    }
+
+    try {
+      // Call parent callback to persist the changes
+      await onSave(cost.id, {
+        sum: sum.trim(),
+        currency,
+        category: category.trim(),
+        description: description.trim(),
+        tags,
+        date,
+      });
+    } catch (err) {
+      // Display error message if the update fails
+      setError("Failed to update cost item");
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(cost)} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Edit Cost</DialogTitle>
+      <DialogContent>
+        {/* Error alert message - displayed when validation or saving fails */}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {/* Amount input field - numeric input with decimal support */}
+        <TextField
+          fullWidth
+          label="Amount"
+          type="number"
+          value={sum}
+          onChange={(e) => setSum(e.target.value)}
+          margin="normal"
+          required
+          inputProps={{
+            step: String(10 ** -getMinorUnits(currency)),
+            min: "0",
+          }}
+        />
+
+        {/* Currency selector dropdown */}
+        <TextField
+          fullWidth
+          select
+          label="Currency"
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          margin="normal"
+          required
+        >
+          {currencyOptions.map((curr) => (
+            <MenuItem key={curr} value={curr}>
+              {curr}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        {/* Purchase date picker - changing it moves the cost to another month */}
+        <TextField
+          fullWidth
+          label="Date"
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          margin="normal"
+          required
+          InputLabelProps={{ shrink: true }}
+        />
+
+        {/* Category input field - required text field */}
+        <TextField
+          fullWidth
+          label="Category"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          margin="normal"
+          required
+        />
+
+        {/* Description input field - optional multiline text area */}
+        <TextField
+          fullWidth
+          label="Description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          margin="normal"
+          multiline
+          rows={3}
+        />
+
+        {/* Tags input - optional labels such as "reimbursable" */}
+        <TagInput
+          value={tags}
+          onChange={setTags}
+          options={tagOptions}
+          sx={{ mt: 2, mb: 1 }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// Export EditCostDialog component as default export
+export default EditCostDialog;
@@ -0,0 +1,87 @@
+// Import React and useState hook for managing component state
+import React, { useState } from "react";
+// Import Material-UI components for the buttons and error message
+import { Box, Button, Alert } from "@mui/material";
+// Import Material-UI icon for the export actions
+import DownloadIcon from "@mui/icons-material/Download";
+// Import the CSV writer and the download helper
+import { toCsv } from "../services/csv";
+import { downloadFile } from "../services/download";
+
+/**
+ * ExportButtons component - Downloads tabular data as CSV or JSON
+ * @param {Object} props - Component props
+ * @param {string} props.fileName - File name without extension
+ * @param {Array<Object>} props.columns - Columns to export, each with a key and a label
+ * @param {Function} props.getRows - Returns (or resolves with) the row objects to export
+ * @param {boolean} [props.disabled] - Disables the buttons, e.g. when there is no data
+ * @returns {JSX.Element} CSV and JSON export buttons
+ */
+const ExportButtons = ({ fileName, columns, getRows, disabled }) => {
+  // State for displaying error messages
+  const [error, setError] = useState("");
+
+  /**
+   * Collects the rows and downloads them in the chosen format
+   * @param {string} format - "csv" or "json"
+   */
+  const handleExport = async (format) => {
+    setError("");
+
+    try {
+      // Keep only the exported columns, in column order
+      const rows = (await getRows()).map((row) =>
+        Object.fromEntries(
+          columns.map((column) => [column.key, row[column.key]])
+        )
+      );
+
+      if (format === "csv") {
+        // Header row with the column labels, then one line per row;
+        // the byte-order mark lets spreadsheets detect UTF-8
+        const csv = toCsv([
+          columns.map((column) => column.label),
+          ...rows.map((row) => columns.map((column) => row[column.key])),
+        ]);
+        downloadFile(`﻿${csv}`, `${fileName}.csv`, "text/csv");
+      } else {
+        downloadFile(
+          JSON.stringify(rows, null, 2),
+          `${fileName}.json`,
+          "application/json"
+        );
+      }
+    } catch (err) {
+      // Display error message if the data cannot be collected
+      setError(err.message || "Failed to export data");
+    }
+  };
+
+  return (
+    <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+      <Button
+        size="small"
+        variant="outlined"
+        startIcon={<DownloadIcon />}
+        onClick={() => handleExport("csv")}
+        disabled={disabled}
+      >
+        CSV
+      </Button>
+      <Button
+        size="small"
+        variant="outlined"
+        startIcon={<DownloadIcon />}
+        onClick={() => handleExport("json")}
+        disabled={disabled}
+      >
+        JSON
+      </Button>
+      {/* Error alert message - displayed when the export fails */}
+      {error && <Alert severity="error">{error}</Alert>}
+    </Box>
+  );
+};
+
+// Export ExportButtons component as default export
+export default ExportButtons;
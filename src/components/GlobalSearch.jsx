@@ -0,0 +1,167 @@
+// Import React and hooks for state and lifecycle management
+import React, { useState, useEffect, useRef } from "react";
+// Import Material-UI components for the search box and result list
+import {
+  Box,
+  TextField,
+  InputAdornment,
+  Paper,
+  Popper,
+  ClickAwayListener,
+  List,
+  ListItemButton,
+  ListItemText,
+  Typography,
+} from "@mui/material";
+// Import Material-UI icon for the search box
+import SearchIcon from "@mui/icons-material/Search";
+// Import money formatting using each currency's precision
+import { formatMoney } from "../services/money";
+// Import date helper for the result dates
+import { toDateInputValue } from "../services/dateUtils";
+
+// Delay after the last keystroke before searching (milliseconds)
+const SEARCH_DELAY = 300;
+
+/**
+ * GlobalSearch component - Search box over the costs of all years
+ * Matches the words of descriptions and categories and lists the best
+ * results below the box; picking one opens its month.
+ * @param {Object} props - Component props
+ * @param {Function} props.onSearch - Callback to search the costs for a query
+ * @param {Function} props.onOpenResult - Callback invoked with the picked result
+ * @returns {JSX.Element} Search box with a result list
+ */
+const GlobalSearch = ({ onSearch, onOpenResult }) => {
+  // State for the typed query
+  const [query, setQuery] = useState("");
+  // State for the results of the query (null before searching)
+  const [found, setFound] = useState(null);
+  // State for whether the result list is shown
+  const [open, setOpen] = useState(false);
+  // Box the result list is anchored to
+  const anchorRef = useRef(null);
+
+  /**
+   * Lifecycle hook - Searches shortly after the query stops changing
+   */
+  useEffect(() => {
+    if (!query.trim()) {
+      setFound(null);
+      return;
+    }
+
+    // Ignore answers for queries that changed in the meantime
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      onSearch(query)
+        .then((result) => {
+          if (!cancelled) {
+            setFound(result);
+          }
+        })
+        .catch((err) => console.error("Failed to search costs:", err));
+    }, SEARCH_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [onSearch, query]);
+
+  /**
+   * Opens the month of a result and closes the list
+   * @param {Object} result - Picked search result
+   */
+  const handlePick = (result) => {
+    setOpen(false);
+    onOpenResult(result);
+  };
+
+  return (
+    <ClickAwayListener onClickAway={() => setOpen(false)}>
+      <Box ref={anchorRef}>
+        {/* Search box in the app bar */}
+        <TextField
+          size="small"
+          placeholder="Search all costs"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={(e) => e.key === "Escape" && setOpen(false)}
+          inputProps={{ "aria-label": "Search all costs" }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon sx={{ color: "inherit" }} />
+              </InputAdornment>
+            ),
+          }}
+          sx={{
+            width: 280,
+            bgcolor: "rgba(255, 255, 255, 0.15)",
+            borderRadius: 1,
+            "& .MuiInputBase-root": { color: "inherit" },
+          }}
+        />
+
+        {/* Best results, newest first among equally good ones */}
+        <Popper
+          open={open && Boolean(found)}
+          anchorEl={anchorRef.current}
+          placement="bottom-end"
+          sx={{ zIndex: (theme) => theme.zIndex.appBar + 1 }}
+        >
+          <Paper
+            elevation={8}
+            sx={{ width: 420, maxHeight: 480, overflow: "auto" }}
+          >
+            {found && found.results.length === 0 && (
+              <Typography sx={{ p: 2 }} color="text.secondary">
+                No costs match "{found.query}".
+              </Typography>
+            )}
+            {found && found.results.length > 0 && (
+              <List dense>
+                {found.results.map((result) => (
+                  <ListItemButton
+                    key={result.id}
+                    onClick={() => handlePick(result)}
+                  >
+                    <ListItemText
+                      primary={result.description || result.category}
+                      secondary={`${toDateInputValue(new Date(result.date))} · ${result.category}`}
+                    />
+                    <Typography
+                      variant="body2"
+                      sx={{ ml: 2, whiteSpace: "nowrap" }}
+                    >
+                      {formatMoney(result.sumMinor, result.currency)}{" "}
+                      {result.currency}
+                    </Typography>
+                  </ListItemButton>
+                ))}
+              </List>
+            )}
+            {/* Say so when only the best part of the matches is listed */}
+            {found && found.total > found.results.length && (
+              <Typography
+                variant="caption"
+                color="text.secondary"
+                sx={{ display: "block", px: 2, pb: 1 }}
+              >
+                Showing the best {found.results.length} of {found.total}{" "}
+                matches. Add words to narrow the search.
+              </Typography>
+            )}
+          </Paper>
+        </Popper>
+      </Box>
+    </ClickAwayListener>
+  );
+};
+
+// Export GlobalSearch component as default export
+export default GlobalSearch;
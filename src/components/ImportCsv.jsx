@@ -0,0 +1,393 @@
+// Import React and useState hook for managing component state
+import React, { useState } from "react";
+// Import Material-UI components for the form, preview table and layout
+import {
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Paper,
+  Typography,
+  Alert,
+  FormControlLabel,
+  Checkbox,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+// Import the CSV parser
+import { parseCsv } from "../services/csv";
+// Import currency helpers for validating the currency column
+import {
+  getCurrencies,
+  getDefaultCurrency,
+  normalizeCurrencyCode,
+  isValidCurrencyCode,
+} from "../services/currencyService";
+// Import money helper for validating amounts per currency precision
+import { isValidAmount } from "../services/money";
+// Import date helpers for reading the date column
+import {
+  DATE_FORMATS,
+  parseDateInFormat,
+  toDateInputValue,
+} from "../services/dateUtils";
+
+/**
+ * Cost fields a CSV column can be mapped to, with header names used to guess the mapping
+ */
+const FIELDS = [
+  { key: "sum", label: "Amount", hints: ["amount", "sum", "price", "cost"] },
+  { key: "currency", label: "Currency", hints: ["currency", "curr", "ccy"] },
+  { key: "category", label: "Category", hints: ["category", "type", "group"] },
+  {
+    key: "description",
+    label: "Description",
+    hints: ["description", "desc", "details", "note", "memo"],
+  },
+  { key: "date", label: "Date", hints: ["date", "day", "when"] },
+];
+
+// Number of rows shown in the preview table
+const PREVIEW_LIMIT = 100;
+
+/**
+ * Guesses which column holds each field from the header names
+ * @param {Array<string>} header - Header cells of the file
+ * @returns {Object} Mapping of field key to column index (or "" when not found)
+ */
+const guessMapping = (header) => {
+  const mapping = {};
+  FIELDS.forEach((field) => {
+    const index = header.findIndex((name) =>
+      field.hints.includes(name.trim().toLowerCase())
+    );
+    mapping[field.key] = index === -1 ? "" : index;
+  });
+  return mapping;
+};
+
+/**
+ * Turns one CSV row into a cost object and collects its validation errors
+ * @param {Array<string>} cells - Cells of the row
+ * @param {Object} mapping - Mapping of field key to column index
+ * @param {Object} options - Fallback currency, the user's currencies and the date format of the file
+ * @returns {Object} The cost to import and the list of errors for the row
+ */
+const validateRow = (cells, mapping, options) => {
+  // Read a mapped cell, or an empty string for unmapped fields
+  const get = (key) =>
+    mapping[key] === "" ? "" : (cells[mapping[key]] || "").trim();
+  const errors = [];
+
+  // Rows without a currency column use the selected fallback currency
+  const currency = get("currency")
+    ? normalizeCurrencyCode(get("currency"))
+    : options.currency;
+  if (!isValidCurrencyCode(currency)) {
+    errors.push(`Unknown currency "${get("currency")}"`);
+  } else if (!options.currencies.includes(currency)) {
+    // Only the user's currencies are known to have exchange rates
+    errors.push(`${currency} is not in your currency list (see Settings)`);
+  }
+
+  // Amounts must be positive and fit the currency's precision
+  const sumText = get("sum");
+  if (!isValidAmount(sumText, currency)) {
+    errors.push(`Invalid amount "${sumText}"`);
+  }
+
+  // Category is required, as in the Add Cost form
+  const category = get("category");
+  if (!category) {
+    errors.push("Missing category");
+  }
+
+  // Rows without a date column are recorded for today
+  let date = new Date();
+  if (mapping.date !== "") {
+    date = parseDateInFormat(get("date"), options.dateFormat);
+    if (!date) {
+      errors.push(`Invalid date "${get("date")}"`);
+    }
+  }
+
+  return {
+    cost: {
+      sum: sumText,
+      currency,
+      category,
+      description: get("description"),
+      date: date && toDateInputValue(date),
+    },
+    errors,
+  };
+};
+
+/**
+ * ImportCsv component - Imports costs from a CSV file with column mapping and preview
+ * @param {Object} props - Component props
+ * @param {Function} props.onImportCosts - Callback to add an array of costs in a single transaction
+ * @returns {JSX.Element} File picker, column mapping, preview table and import button
+ */
+const ImportCsv = ({ onImportCosts }) => {
+  // State for the name of the loaded file
+  const [fileName, setFileName] = useState("");
+  // State for the parsed rows of the file
+  const [rows, setRows] = useState([]);
+  // State for whether the first row holds column names
+  const [hasHeader, setHasHeader] = useState(true);
+  // State for the column chosen for each cost field
+  const [mapping, setMapping] = useState(guessMapping([]));
+  // State for the date format used in the file
+  const [dateFormat, setDateFormat] = useState(DATE_FORMATS[0]);
+  // State for the currency used when the file has no currency column
+  const [currency, setCurrency] = useState(getDefaultCurrency);
+  // State for displaying error messages
+  const [error, setError] = useState("");
+  // State for displaying the result of the last import
+  const [success, setSuccess] = useState("");
+
+  /**
+   * Reads and parses the selected file
+   * @param {Event} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setError("");
+    setSuccess("");
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      // Parse the file locally; nothing is uploaded
+      const parsed = parseCsv(await file.text());
+      if (parsed.length === 0) {
+        setError("The file contains no rows");
+        return;
+      }
+
+      setFileName(file.name);
+      setRows(parsed);
+      setMapping(guessMapping(parsed[0]));
+    } catch {
+      setError("Failed to read the file");
+    }
+  };
+
+  // Column names shown in the mapping selectors
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const columns = Array.from({ length: columnCount }, (_, i) =>
+    hasHeader && rows[0][i] ? rows[0][i] : `Column ${i + 1}`
+  );
+  // Data rows with their parsed costs and validation errors
+  const currencies = getCurrencies();
+  const preview = (hasHeader ? rows.slice(1) : rows).map((cells, index) => ({
+    line: index + (hasHeader ? 2 : 1),
+    ...validateRow(cells, mapping, { currency, currencies, dateFormat }),
+  }));
+  const validRows = preview.filter((row) => row.errors.length === 0);
+  // Amount and category have no sensible default, so they must be mapped
+  const isMappingComplete = mapping.sum !== "" && mapping.category !== "";
+
+  /**
+   * Imports all valid rows in a single transaction
+   */
+  const handleImport = async () => {
+    setError("");
+    setSuccess("");
+
+    try {
+      // Add every valid row at once through the parent component callback
+      const count = await onImportCosts(validRows.map((row) => row.cost));
+      setSuccess(`Imported ${count} cost items from ${fileName}`);
+      // Clear the loaded file after a successful import
+      setRows([]);
+      setFileName("");
+    } catch (err) {
+      // Display error message if the import fails (nothing was saved)
+      setError(err.message || "Failed to import cost items");
+    }
+  };
+
+  return (
+    // Main container paper with elevation shadow and centered layout
+    <Paper elevation={3} sx={{ p: 3, maxWidth: 900, mx: "auto", mt: 3 }}>
+      {/* Import title */}
+      <Typography variant="h5" gutterBottom>
+        Import Costs from CSV
+      </Typography>
+
+      {/* Error alert message - displayed when reading or importing fails */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {/* Success alert message - displayed after a successful import */}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          {success}
+        </Alert>
+      )}
+
+      {/* File picker - the file is parsed in the browser */}
+      <Button variant="outlined" component="label">
+        Choose CSV File
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          hidden
+          onChange={handleFileChange}
+        />
+      </Button>
+      {fileName && (
+        <Typography component="span" sx={{ ml: 2 }}>
+          {fileName}
+        </Typography>
+      )}
+
+      {rows.length > 0 && (
+        <Box sx={{ mt: 3 }}>
+          {/* Header row toggle */}
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={hasHeader}
+                onChange={(e) => setHasHeader(e.target.checked)}
+              />
+            }
+            label="First row contains column names"
+          />
+
+          {/* Column mapping selectors - one per cost field */}
+          <Box sx={{ display: "flex", flexWrap: "wrap", gap: 2, my: 2 }}>
+            {FIELDS.map((field) => (
+              <TextField
+                key={field.key}
+                select
+                label={field.label}
+                value={mapping[field.key]}
+                onChange={(e) =>
+                  setMapping({ ...mapping, [field.key]: e.target.value })
+                }
+                sx={{ minWidth: 150 }}
+              >
+                <MenuItem value="">(not in file)</MenuItem>
+                {columns.map((name, index) => (
+                  <MenuItem key={index} value={index}>
+                    {name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            ))}
+          </Box>
+
+          {/* File-wide options for dates and missing currencies */}
+          <Box sx={{ display: "flex", gap: 2, mb: 2 }}>
+            <TextField
+              select
+              label="Date Format"
+              value={dateFormat}
+              onChange={(e) => setDateFormat(e.target.value)}
+              sx={{ minWidth: 150 }}
+            >
+              {DATE_FORMATS.map((format) => (
+                <MenuItem key={format} value={format}>
+                  {format}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Currency if not in file"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              sx={{ minWidth: 180 }}
+            >
+              {currencies.map((curr) => (
+                <MenuItem key={curr} value={curr}>
+                  {curr}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+
+          {/* Mapping hint - amount and category must come from the file */}
+          {!isMappingComplete && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Map the Amount and Category columns to continue.
+            </Alert>
+          )}
+
+          {/* Preview table with per-row validation errors */}
+          {isMappingComplete && (
+            <Box>
+              <Typography sx={{ mb: 1 }}>
+                {validRows.length} of {preview.length} rows are valid
+                {preview.length > PREVIEW_LIMIT &&
+                  ` (showing the first ${PREVIEW_LIMIT})`}
+              </Typography>
+              <TableContainer sx={{ maxHeight: 400 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Line</TableCell>
+                      <TableCell>Date</TableCell>
+                      <TableCell>Category</TableCell>
+                      <TableCell>Description</TableCell>
+                      <TableCell>Amount</TableCell>
+                      <TableCell>Currency</TableCell>
+                      <TableCell>Status</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {preview.slice(0, PREVIEW_LIMIT).map((row) => (
+                      <TableRow
+                        key={row.line}
+                        sx={
+                          row.errors.length > 0
+                            ? { backgroundColor: "#fdecea" }
+                            : undefined
+                        }
+                      >
+                        <TableCell>{row.line}</TableCell>
+                        <TableCell>{row.cost.date}</TableCell>
+                        <TableCell>{row.cost.category}</TableCell>
+                        <TableCell>{row.cost.description}</TableCell>
+                        <TableCell>{row.cost.sum}</TableCell>
+                        <TableCell>{row.cost.currency}</TableCell>
+                        <TableCell>
+                          {row.errors.length > 0 ? row.errors.join("; ") : "OK"}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              {/* Button to import every valid row at once */}
+              <Button
+                variant="contained"
+                color="primary"
+                onClick={handleImport}
+                disabled={validRows.length === 0}
+                sx={{ mt: 2 }}
+              >
+                Import {validRows.length} Valid Rows
+              </Button>
+            </Box>
+          )}
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+// Export ImportCsv component as default export
+export default ImportCsv;
@@ -0,0 +1,332 @@
+// Import React and useState hook for managing component state
+import React, { useState } from "react";
+// Import Material-UI components for the menu and the manage dialog
+import {
+  Box,
+  Button,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Divider,
+  TextField,
+  Typography,
+  Alert,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from "@mui/material";
+// Import Material-UI icons for the menu and the ledger actions
+import ArrowDropDownIcon from "@mui/icons-material/ArrowDropDown";
+import CheckIcon from "@mui/icons-material/Check";
+import SettingsIcon from "@mui/icons-material/Settings";
+import SaveIcon from "@mui/icons-material/Save";
+import DeleteIcon from "@mui/icons-material/Delete";
+// Import the user's currency list from the currency service
+import { getCurrencies } from "../services/currencyService";
+
+/**
+ * LedgerRow component - Name and default currency inputs of one ledger
+ * @param {Object} props - Component props
+ * @param {Object} props.ledger - Stored ledger
+ * @param {boolean} props.active - Whether the ledger is the open one
+ * @param {Array<string>} props.currencies - Currencies offered as default
+ * @param {Function} props.onSave - Callback invoked with the changed name and currency
+ * @param {Function} props.onDelete - Callback invoked to delete the ledger
+ * @returns {JSX.Element} Editable ledger row
+ */
+const LedgerRow = ({ ledger, active, currencies, onSave, onDelete }) => {
+  // State for the edited name and currency
+  const [name, setName] = useState(ledger.name);
+  const [currency, setCurrency] = useState(ledger.currency);
+
+  // Only offer saving once something changed
+  const changed = name !== ledger.name || currency !== ledger.currency;
+
+  return (
+    <Box sx={{ display: "flex", gap: 1, alignItems: "center", mb: 1 }}>
+      <TextField
+        label="Name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        size="small"
+        helperText={active ? "Open now" : " "}
+      />
+      <TextField
+        select
+        label="Default currency"
+        value={currency}
+        onChange={(e) => setCurrency(e.target.value)}
+        size="small"
+        helperText=" "
+        sx={{ minWidth: 150 }}
+      >
+        {currencies.map((code) => (
+          <MenuItem key={code} value={code}>
+            {code}
+          </MenuItem>
+        ))}
+      </TextField>
+      <Tooltip title="Save">
+        <span>
+          <IconButton
+            aria-label="Save ledger"
+            disabled={!changed}
+            onClick={() => onSave({ name, currency })}
+          >
+            <SaveIcon />
+          </IconButton>
+        </span>
+      </Tooltip>
+      <Tooltip title={active ? "Switch to another ledger to delete" : "Delete"}>
+        <span>
+          <IconButton
+            aria-label="Delete ledger"
+            disabled={active}
+            onClick={onDelete}
+          >
+            <DeleteIcon />
+          </IconButton>
+        </span>
+      </Tooltip>
+    </Box>
+  );
+};
+
+/**
+ * LedgerMenu component - Switches between ledgers from the app bar and
+ * manages them (create, rename, default currency, delete)
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.ledgers - All ledgers
+ * @param {Object} props.activeLedger - The open ledger
+ * @param {boolean} props.disabled - Whether switching is unavailable (while a ledger opens)
+ * @param {Function} props.onSwitch - Callback to open a ledger by id
+ * @param {Function} props.onCreate - Callback to create a ledger from its name and currency
+ * @param {Function} props.onUpdate - Callback to rename a ledger or change its currency
+ * @param {Function} props.onDelete - Callback to delete a ledger and its data by id, calling its second argument while other tabs hold up the delete
+ * @returns {JSX.Element} Ledger switcher with a manage dialog
+ */
+const LedgerMenu = ({
+  ledgers,
+  activeLedger,
+  disabled,
+  onSwitch,
+  onCreate,
+  onUpdate,
+  onDelete,
+}) => {
+  // Currencies configured by the user in Settings
+  const [currencies] = useState(getCurrencies);
+  // Element the switch menu is anchored to (null when closed)
+  const [anchor, setAnchor] = useState(null);
+  // State for whether the manage dialog is open
+  const [managing, setManaging] = useState(false);
+  // State for the new ledger inputs
+  const [newName, setNewName] = useState("");
+  const [newCurrency, setNewCurrency] = useState(activeLedger.currency);
+  // State for the ledger awaiting delete confirmation
+  const [deleting, setDeleting] = useState(null);
+  // State for whether the delete waits for other tabs to close the ledger
+  const [waiting, setWaiting] = useState(false);
+  // State for displaying error messages
+  const [error, setError] = useState("");
+
+  /**
+   * Runs a ledger change and shows its error, if any
+   * @param {Function} action - Change to perform
+   * @returns {Promise<boolean>} Whether the change succeeded
+   */
+  const runAction = async (action) => {
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message || "Failed to change ledgers");
+      return false;
+    }
+  };
+
+  /**
+   * Creates a ledger and opens it
+   */
+  const handleCreate = async () => {
+    const created = await runAction(() =>
+      onCreate({ name: newName, currency: newCurrency })
+    );
+    if (created) {
+      setNewName("");
+      setManaging(false);
+    }
+  };
+
+  /**
+   * Deletes the ledger awaiting confirmation with all its data
+   */
+  const handleConfirmDelete = async () => {
+    await runAction(() => onDelete(deleting.id, () => setWaiting(true)));
+    setWaiting(false);
+    setDeleting(null);
+  };
+
+  return (
+    <>
+      {/* Name of the open ledger, opening the switch menu */}
+      <Button
+        color="inherit"
+        endIcon={<ArrowDropDownIcon />}
+        onClick={(e) => setAnchor(e.currentTarget)}
+        disabled={disabled}
+        aria-label="Switch ledger"
+        sx={{ mr: 2, textTransform: "none" }}
+      >
+        {activeLedger.name}
+      </Button>
+      <Menu
+        anchorEl={anchor}
+        open={Boolean(anchor)}
+        onClose={() => setAnchor(null)}
+      >
+        {ledgers.map((ledger) => (
+          <MenuItem
+            key={ledger.id}
+            selected={ledger.id === activeLedger.id}
+            onClick={() => {
+              setAnchor(null);
+              if (ledger.id !== activeLedger.id) {
+                onSwitch(ledger.id);
+              }
+            }}
+          >
+            <ListItemIcon>
+              {ledger.id === activeLedger.id && <CheckIcon fontSize="small" />}
+            </ListItemIcon>
+            <ListItemText primary={ledger.name} secondary={ledger.currency} />
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem
+          onClick={() => {
+            setAnchor(null);
+            setError("");
+            setManaging(true);
+          }}
+        >
+          <ListItemIcon>
+            <SettingsIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText primary="Manage ledgers" />
+        </MenuItem>
+      </Menu>
+
+      {/* Dialog for creating, renaming and deleting ledgers */}
+      <Dialog
+        open={managing}
+        onClose={() => setManaging(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Ledgers</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Each ledger keeps its own costs, categories, budgets and recurring
+            costs.
+          </Typography>
+          {/* Error alert message - displayed when a change is rejected */}
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <Box sx={{ pt: 1 }}>
+            {ledgers.map((ledger) => (
+              <LedgerRow
+                key={`${ledger.id}-${ledger.name}-${ledger.currency}`}
+                ledger={ledger}
+                active={ledger.id === activeLedger.id}
+                currencies={currencies}
+                onSave={(changes) =>
+                  runAction(() => onUpdate(ledger.id, changes))
+                }
+                onDelete={() => setDeleting(ledger)}
+              />
+            ))}
+          </Box>
+
+          {/* Inputs for a new ledger, opened once created */}
+          <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>
+            New Ledger
+          </Typography>
+          <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+            <TextField
+              label="Name"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              size="small"
+            />
+            <TextField
+              select
+              label="Default currency"
+              value={newCurrency}
+              onChange={(e) => setNewCurrency(e.target.value)}
+              size="small"
+              sx={{ minWidth: 150 }}
+            >
+              {currencies.map((code) => (
+                <MenuItem key={code} value={code}>
+                  {code}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Button
+              variant="outlined"
+              onClick={handleCreate}
+              disabled={!newName.trim() || disabled}
+            >
+              Create
+            </Button>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setManaging(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Confirmation before a ledger and its data are deleted */}
+      <Dialog open={Boolean(deleting)} onClose={() => setDeleting(null)}>
+        <DialogTitle>Delete Ledger</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {deleting &&
+              `Delete "${deleting.name}" with all its costs? This cannot be undone.`}
+          </DialogContentText>
+          {/* The data is deleted once no other tab has the ledger open */}
+          {waiting && (
+            <Alert severity="info" sx={{ mt: 2 }}>
+              Waiting for other tabs to close this ledger...
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button disabled={waiting} onClick={() => setDeleting(null)}>
+            Cancel
+          </Button>
+          <Button
+            color="error"
+            disabled={waiting}
+            onClick={handleConfirmDelete}
+          >
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+// Export LedgerMenu component as default export
+export default LedgerMenu;
@@ -1,5 +1,5 @@
-// Import React and useState hook for managing component state
-import React, { useState } from "react";
+// Import React and hooks for state and lifecycle management
+import React, { useState, useEffect, useCallback, useRef } from "react";
 // Import Material-UI components for form, table, and layout
 import {
   Box,
@@ -14,31 +14,166 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  TableSortLabel,
+  TablePagination,
+  InputAdornment,
+  IconButton,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
 } from "@mui/material";
-// Import currency constants from the currency service
-import { CURRENCIES } from "../services/currencyService";
+// Import Material-UI icons for the row actions
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+// Import the user's currency list from the currency service
+import { getCurrencies, getDefaultCurrency } from "../services/currencyService";
+// Import selector for the exchange-rate conversion mode
+import ConversionSelect from "./ConversionSelect";
+// Import caption showing the age of the conversion rates
+import RatesAsOf from "./RatesAsOf";
+// Import warning about costs left out for lack of an exchange rate
+import SkippedCosts from "./SkippedCosts";
+// Import money formatting using each currency's precision
+import { formatMoney } from "../services/money";
+// Import dialog used for editing a cost row
+import EditCostDialog from "./EditCostDialog";
+// Import CSV/JSON export buttons
+import ExportButtons from "./ExportButtons";
+// Import tag filter for narrowing the report
+import TagFilter from "./TagFilter";
+// Import period selector for date-range reports
+import DateRangeSelector from "./DateRangeSelector";
+// Import date helper for writing exported dates
+import { toDateInputValue } from "../services/dateUtils";
+
+/**
+ * Columns of the exported report: the original item and its converted amount
+ */
+const EXPORT_COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "category", label: "Category" },
+  { key: "description", label: "Description" },
+  { key: "tags", label: "Tags" },
+  { key: "sum", label: "Amount" },
+  { key: "currency", label: "Currency" },
+  { key: "converted", label: "Converted Amount" },
+  { key: "convertedCurrency", label: "Converted Currency" },
+];
+
+/**
+ * Sortable columns of the report table, with the value each one sorts by
+ */
+const SORT_VALUES = {
+  date: (cost) => new Date(cost.date).getTime(),
+  category: (cost) => cost.category.toLowerCase(),
+  description: (cost) => (cost.description || "").toLowerCase(),
+  amount: (cost) => cost.sum,
+  currency: (cost) => cost.currency,
+  converted: (cost) => cost.convertedMinor,
+};
+
+/**
+ * Page sizes offered below the report table
+ */
+const ROWS_PER_PAGE_OPTIONS = [25, 50, 100];
+
+/**
+ * Returns the report items in the order of a sortable column
+ * @param {Array<Object>} costs - Report items
+ * @param {Object} sort - Column key (see SORT_VALUES) and direction ("asc" or "desc")
+ * @returns {Array<Object>} Sorted copy of the items, ties in id order
+ */
+const sortCosts = (costs, sort) => {
+  const value = SORT_VALUES[sort.by];
+  const direction = sort.direction === "asc" ? 1 : -1;
+  return [...costs].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (x !== y) {
+      return (x < y ? -1 : 1) * direction;
+    }
+    return a.id - b.id;
+  });
+};
 
 /**
  * MonthlyReport component - Displays detailed monthly cost report in tabular format
  * @param {Object} props - Component props
- * @param {Function} props.onGetReport - Callback to fetch monthly report data by year, month, and currency
+ * @param {Function} props.onGetReport - Callback to fetch monthly report data by year, month, currency, and options
+ * @param {Function} props.onGetRangeReport - Callback to fetch report data by from and to days, currency, and options
+ * @param {Function} props.onUpdateCost - Callback to update a cost item by id with changed fields
+ * @param {Function} props.onDeleteCost - Callback to delete a cost item by id
+ * @param {Function} props.onGetTags - Callback to fetch the known tags
+ * @param {Function} props.onGetCategories - Callback to fetch the stored categories for the category filter
+ * @param {Object} [props.initialFilter] - Period, currency and filters to open the report with, fetched right away
  * @returns {JSX.Element} Monthly report table with cost details and total summary
  */
-const MonthlyReport = ({ onGetReport }) => {
+const MonthlyReport = ({
+  onGetReport,
+  onGetRangeReport,
+  onUpdateCost,
+  onDeleteCost,
+  onGetTags,
+  onGetCategories,
+  initialFilter,
+}) => {
   // Get the current year and month for default values
   const currentYear = new Date().getFullYear();
   const currentMonth = new Date().getMonth() + 1;
 
+  // Filter the report is opened with, e.g. from a pie chart slice
+  const initial = initialFilter || {};
+
   // State for managing selected year filter
-  const [year, setYear] = useState(currentYear);
+  const [year, setYear] = useState(initial.year || currentYear);
   // State for managing selected month filter
-  const [month, setMonth] = useState(currentMonth);
+  const [month, setMonth] = useState(initial.month || currentMonth);
+  // State for the reported period: the selected month or a range of days
+  const [range, setRange] = useState(
+    initial.range || { preset: "calendar", from: "", to: "" }
+  );
+  // Currencies configured by the user in Settings
+  const [currencies] = useState(getCurrencies);
   // State for managing selected currency for conversion
-  const [currency, setCurrency] = useState("USD");
+  const [currency, setCurrency] = useState(
+    initial.currency || getDefaultCurrency
+  );
+  // State for managing which exchange rates are used for conversion
+  const [conversion, setConversion] = useState(initial.conversion || "current");
+  // State for the tags the report is narrowed to and how they must match
+  const [tags, setTags] = useState(initial.tags || []);
+  const [tagMatch, setTagMatch] = useState(initial.tagMatch || "any");
+  // State for the known tags offered by the tag filter
+  const [tagOptions, setTagOptions] = useState([]);
+  // State for the category the report is narrowed to ("" for all)
+  const [category, setCategory] = useState(initial.category || "");
+  // State for the stored categories offered by the category filter
+  const [categoryOptions, setCategoryOptions] = useState([]);
+  // State for the text searched in descriptions and categories
+  const [text, setText] = useState(initial.text || "");
+  // State for the converted amount range ("" for no bound)
+  const [minAmount, setMinAmount] = useState(initial.minAmount || "");
+  const [maxAmount, setMaxAmount] = useState(initial.maxAmount || "");
+  // State for the currency the items were entered in ("" for all)
+  const [originalCurrency, setOriginalCurrency] = useState(
+    initial.originalCurrency || ""
+  );
+  // State for the column the table is sorted by, and its direction
+  const [sort, setSort] = useState({ by: "date", direction: "asc" });
+  // State for the displayed page of the table and its size
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(ROWS_PER_PAGE_OPTIONS[0]);
   // State for storing the fetched report data
   const [report, setReport] = useState(null);
   // State to track if user has requested a report
   const [hasRequested, setHasRequested] = useState(false);
+  // State for the cost item currently open in the edit dialog
+  const [editingCost, setEditingCost] = useState(null);
+  // State for the cost item awaiting delete confirmation
+  const [deletingCost, setDeletingCost] = useState(null);
 
   // Generate array of years for the dropdown (current year and 9 previous years)
   const years = Array.from({ length: 10 }, (_, i) => currentYear - i);
@@ -59,24 +194,214 @@ const MonthlyReport = ({ onGetReport }) => {
   ];
 
   /**
-   * Fetches and sets monthly report data based on selected year, month, and currency
+   * Lifecycle hook - Loads the known tags for the tag filter
    */
-  const handleGetReport = async () => {
+  useEffect(() => {
+    onGetTags()
+      .then(setTagOptions)
+      .catch((err) => console.error("Failed to load tags:", err));
+  }, [onGetTags]);
+
+  /**
+   * Lifecycle hook - Loads the stored categories for the category filter
+   */
+  useEffect(() => {
+    onGetCategories()
+      .then(setCategoryOptions)
+      .catch((err) => console.error("Failed to load categories:", err));
+  }, [onGetCategories]);
+
+  // Filter the report was last opened with and fetched for
+  const fetchedFilter = useRef(null);
+
+  /**
+   * Fetches and sets report data for the selected month or range, and currency
+   */
+  const handleGetReport = useCallback(async () => {
     try {
       // Mark that a report has been requested
       setHasRequested(true);
       // Fetch report data from parent component callback
-      const reportData = await onGetReport(year, month, currency);
-      // Store the fetched report in state
+      const options = {
+        conversion,
+        tags,
+        tagMatch,
+        category,
+        text,
+        originalCurrency,
+        minAmount,
+        maxAmount,
+      };
+      const reportData =
+        range.preset === "calendar"
+          ? await onGetReport(year, month, currency, options)
+          : await onGetRangeReport(range.from, range.to, currency, options);
+      // Store the fetched report in state, starting at its first page
       setReport(reportData);
+      setPage(0);
     } catch (err) {
       // Log any errors that occur during report fetching
       console.error("Failed to get report:", err);
     }
+  }, [
+    year,
+    month,
+    range,
+    currency,
+    conversion,
+    tags,
+    tagMatch,
+    category,
+    text,
+    originalCurrency,
+    minAmount,
+    maxAmount,
+    onGetReport,
+    onGetRangeReport,
+  ]);
+
+  /**
+   * Lifecycle hook - Fetches the report right away when opened with a filter
+   */
+  useEffect(() => {
+    // Only once per filter: later changes are fetched with the Get Report
+    // button
+    if (initialFilter && fetchedFilter.current !== initialFilter) {
+      fetchedFilter.current = initialFilter;
+      handleGetReport();
+    }
+  }, [initialFilter, handleGetReport]);
+
+  /**
+   * Reloads the currently displayed report after a row was changed
+   */
+  const refreshReport = async () => {
+    // Re-fetch using the period, currency and filter of the displayed report
+    const options = {
+      conversion: report.conversion,
+      tags: report.tags,
+      tagMatch: report.tagMatch,
+      category: report.category,
+      text: report.text,
+      originalCurrency: report.originalCurrency,
+      minAmount: report.minAmount,
+      maxAmount: report.maxAmount,
+    };
+    const reportData = report.from
+      ? await onGetRangeReport(
+          report.from,
+          report.to,
+          report.total.currency,
+          options
+        )
+      : await onGetReport(
+          report.year,
+          report.month,
+          report.total.currency,
+          options
+        );
+    setReport(reportData);
+    // Stay on the page unless it no longer has items
+    const lastPage = Math.max(
+      0,
+      Math.ceil(reportData.costs.length / rowsPerPage) - 1
+    );
+    setPage((current) => Math.min(current, lastPage));
+  };
+
+  /**
+   * Saves changes from the edit dialog and refreshes the table
+   * @param {number} id - Identifier of the edited cost item
+   * @param {Object} patch - Changed fields of the cost item
+   */
+  const handleSaveEdit = async (id, patch) => {
+    // Persist the changes through the parent component callback
+    await onUpdateCost(id, patch);
+    // Close the dialog and show the updated values
+    setEditingCost(null);
+    await refreshReport();
+    // The edit may have introduced new tags
+    setTagOptions(await onGetTags());
+  };
+
+  /**
+   * Deletes the confirmed cost item and refreshes the table
+   */
+  const handleConfirmDelete = async () => {
+    try {
+      // Remove the item through the parent component callback
+      await onDeleteCost(deletingCost.id);
+      await refreshReport();
+    } catch (err) {
+      // Log any errors that occur during deletion
+      console.error("Failed to delete cost:", err);
+    } finally {
+      // Close the confirmation dialog
+      setDeletingCost(null);
+    }
+  };
+
+  /**
+   * Builds the export rows for the displayed report
+   * @returns {Array<Object>} One row per cost item with its converted amount
+   */
+  const getExportRows = () =>
+    report.costs.map((cost) => ({
+      ...cost,
+      date: toDateInputValue(cost.date),
+      tags: cost.tags.join("; "),
+      convertedCurrency: report.total.currency,
+    }));
+
+  /**
+   * Sorts the table by a column, toggling the direction on a repeated click
+   * @param {string} by - Column key (see SORT_VALUES)
+   */
+  const handleSort = (by) => {
+    setSort((current) => ({
+      by,
+      direction:
+        current.by === by && current.direction === "asc" ? "desc" : "asc",
+    }));
+    setPage(0);
   };
 
+  /**
+   * Renders a clickable header cell that sorts the table by its column
+   * @param {string} by - Column key (see SORT_VALUES)
+   * @param {string} label - Header text
+   * @param {string} [align] - Cell alignment
+   * @returns {JSX.Element} Header cell with a sort label
+   */
+  const sortableHeader = (by, label, align) => (
+    <TableCell
+      align={align}
+      sortDirection={sort.by === by ? sort.direction : false}
+    >
+      <TableSortLabel
+        active={sort.by === by}
+        direction={sort.by === by ? sort.direction : "asc"}
+        onClick={() => handleSort(by)}
+      >
+        {label}
+      </TableSortLabel>
+    </TableCell>
+  );
+
   // Check if report was requested but contains no cost data
   const hasNoData = hasRequested && report && report.costs.length === 0;
+  // Items of the displayed page in the chosen order
+  const pageCosts = report
+    ? sortCosts(report.costs, sort).slice(
+        page * rowsPerPage,
+        (page + 1) * rowsPerPage
+      )
+    : [];
+  // The amount range must not be reversed
+  const invalidAmountRange =
+    minAmount !== "" &&
+    maxAmount !== "" &&
+    Number(maxAmount) < Number(minAmount);
 
   return (
     // Main container paper with elevation shadow and centered layout
@@ -87,36 +412,48 @@ const MonthlyReport = ({ onGetReport }) => {
       </Typography>
 
       {/* Filter controls section - Year, Month, Currency selectors and Get Report button */}
-      <Box sx={{ display: "flex", gap: 2, mb: 3 }}>
-        {/* Year selector dropdown */}
-        <TextField
-          select
-          label="Year"
-          value={year}
-          onChange={(e) => setYear(e.target.value)}
-          sx={{ minWidth: 120 }}
-        >
-          {years.map((y) => (
-            <MenuItem key={y} value={y}>
-              {y}
-            </MenuItem>
-          ))}
-        </TextField>
+      <Box sx={{ display: "flex", gap: 2, mb: 3, flexWrap: "wrap" }}>
+        {/* Period selector - the calendar period or a range of days */}
+        <DateRangeSelector
+          value={range}
+          onChange={setRange}
+          calendarLabel="Single month"
+        />
 
-        {/* Month selector dropdown */}
-        <TextField
-          select
-          label="Month"
-          value={month}
-          onChange={(e) => setMonth(e.target.value)}
-          sx={{ minWidth: 150 }}
-        >
-          {months.map((m) => (
-            <MenuItem key={m.value} value={m.value}>
-              {m.label}
-            </MenuItem>
-          ))}
-        </TextField>
+        {/* Calendar period selectors, used unless a range is chosen */}
+        {range.preset === "calendar" && (
+          <>
+            {/* Year selector dropdown */}
+            <TextField
+              select
+              label="Year"
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+              sx={{ minWidth: 120 }}
+            >
+              {years.map((y) => (
+                <MenuItem key={y} value={y}>
+                  {y}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            {/* Month selector dropdown */}
+            <TextField
+              select
+              label="Month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              sx={{ minWidth: 150 }}
+            >
+              {months.map((m) => (
+                <MenuItem key={m.value} value={m.value}>
+                  {m.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </>
+        )}
 
         {/* Currency selector dropdown */}
         <TextField
@@ -127,23 +464,115 @@ const MonthlyReport = ({ onGetReport }) => {
           sx={{ minWidth: 100 }}
         >
           {/* Map through available currencies to create menu items */}
-          {CURRENCIES.map((curr) => (
+          {currencies.map((curr) => (
             <MenuItem key={curr} value={curr}>
               {curr}
             </MenuItem>
           ))}
         </TextField>
 
+        {/* Exchange-rate mode selector (current or purchase-time rates) */}
+        <ConversionSelect value={conversion} onChange={setConversion} />
+
         {/* Button to fetch the report based on selected filters */}
         <Button
           variant="contained"
           onClick={handleGetReport}
+          disabled={invalidAmountRange}
           sx={{ minWidth: 120 }}
         >
           Get Report
         </Button>
       </Box>
 
+      {/* Item filters - text, category, original currency and amount range */}
+      <Box sx={{ display: "flex", gap: 2, mb: 2, flexWrap: "wrap" }}>
+        {/* Text searched in descriptions and categories */}
+        <TextField
+          label="Search"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleGetReport()}
+          placeholder="Description or category"
+          sx={{ minWidth: 200 }}
+        />
+
+        {/* Category filter - narrows the report to a single category */}
+        <TextField
+          select
+          label="Category"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          sx={{ minWidth: 200 }}
+        >
+          <MenuItem value="">All categories</MenuItem>
+          {/* Keep a filtered category selectable even if it is not stored */}
+          {category && !categoryOptions.some((c) => c.name === category) && (
+            <MenuItem value={category}>{category}</MenuItem>
+          )}
+          {categoryOptions.map((c) => (
+            <MenuItem key={c.name} value={c.name}>
+              {c.name}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        {/* Currency the items were entered in */}
+        <TextField
+          select
+          label="Original currency"
+          value={originalCurrency}
+          onChange={(e) => setOriginalCurrency(e.target.value)}
+          sx={{ minWidth: 150 }}
+        >
+          <MenuItem value="">All currencies</MenuItem>
+          {currencies.map((curr) => (
+            <MenuItem key={curr} value={curr}>
+              {curr}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        {/* Range of the converted amounts, in the report currency */}
+        <TextField
+          label="Min amount"
+          type="number"
+          value={minAmount}
+          onChange={(e) => setMinAmount(e.target.value)}
+          InputProps={{
+            endAdornment: (
+              <InputAdornment position="end">{currency}</InputAdornment>
+            ),
+          }}
+          inputProps={{ step: "any" }}
+          sx={{ width: 150 }}
+        />
+        <TextField
+          label="Max amount"
+          type="number"
+          value={maxAmount}
+          onChange={(e) => setMaxAmount(e.target.value)}
+          InputProps={{
+            endAdornment: (
+              <InputAdornment position="end">{currency}</InputAdornment>
+            ),
+          }}
+          inputProps={{ step: "any" }}
+          error={invalidAmountRange}
+          helperText={invalidAmountRange ? "Must not be below the minimum" : ""}
+          sx={{ width: 150 }}
+        />
+      </Box>
+
+      {/* Tag filter - narrows the report to costs with the chosen tags */}
+      <TagFilter
+        tags={tags}
+        onTagsChange={setTags}
+        match={tagMatch}
+        onMatchChange={setTagMatch}
+        options={tagOptions}
+      />
+
       {/* Display message when no data is available for the selected period */}
       {hasNoData && (
         <Typography color="text.secondary" align="center">
@@ -151,6 +580,9 @@ const MonthlyReport = ({ onGetReport }) => {
         </Typography>
       )}
 
+      {/* Costs the report could not convert */}
+      {report && <SkippedCosts items={report.skipped} />}
+
       {/* Display report table when data is available */}
       {report && report.costs.length > 0 && (
         <Box>
@@ -160,37 +592,147 @@ const MonthlyReport = ({ onGetReport }) => {
               {/* Table header with column names */}
               <TableHead>
                 <TableRow>
-                  <TableCell>Date</TableCell>
-                  <TableCell>Category</TableCell>
-                  <TableCell>Description</TableCell>
-                  <TableCell>Amount</TableCell>
-                  <TableCell>Currency</TableCell>
+                  {sortableHeader("date", "Date")}
+                  {sortableHeader("category", "Category")}
+                  {sortableHeader("description", "Description")}
+                  <TableCell>Tags</TableCell>
+                  {sortableHeader("amount", "Amount")}
+                  {sortableHeader("currency", "Currency")}
+                  {sortableHeader(
+                    "converted",
+                    `Converted (${report.total.currency})`,
+                    "right"
+                  )}
+                  <TableCell align="right">Actions</TableCell>
                 </TableRow>
               </TableHead>
               {/* Table body with cost data rows */}
               <TableBody>
-                {/* Map through cost items to create table rows */}
-                {report.costs.map((cost, index) => (
-                  <TableRow key={index}>
-                    <TableCell>{cost.Date.day}</TableCell>
+                {/* Map through the items of the page to create table rows */}
+                {pageCosts.map((cost) => (
+                  <TableRow key={cost.id}>
+                    <TableCell>
+                      {report.from
+                        ? toDateInputValue(cost.date)
+                        : cost.Date.day}
+                    </TableCell>
                     <TableCell>{cost.category}</TableCell>
                     <TableCell>{cost.description}</TableCell>
-                    <TableCell>{cost.sum.toFixed(2)}</TableCell>
+                    <TableCell>
+                      {cost.tags.map((tag) => (
+                        <Chip
+                          key={tag}
+                          label={tag}
+                          size="small"
+                          sx={{ m: 0.25 }}
+                        />
+                      ))}
+                    </TableCell>
+                    <TableCell>
+                      {formatMoney(cost.sumMinor, cost.currency)}
+                    </TableCell>
                     <TableCell>{cost.currency}</TableCell>
+                    <TableCell align="right">
+                      {formatMoney(cost.convertedMinor, report.total.currency)}
+                    </TableCell>
+                    {/* Row actions for editing or deleting the item */}
+                    <TableCell align="right">
+                      <IconButton
+                        size="small"
+                        aria-label="Edit cost"
+                        onClick={() => setEditingCost(cost)}
+                      >
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        aria-label="Delete cost"
+                        onClick={() => setDeletingCost(cost)}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
                   </TableRow>
                 ))}
               </TableBody>
             </Table>
           </TableContainer>
+          {/* Page navigation for long reports */}
+          <TablePagination
+            component="div"
+            count={report.costs.length}
+            page={page}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(Number(e.target.value));
+              setPage(0);
+            }}
+            rowsPerPageOptions={ROWS_PER_PAGE_OPTIONS}
+          />
 
           {/* Total sum section displayed at the bottom right */}
-          <Box sx={{ mt: 3, textAlign: "right" }}>
-            <Typography variant="h6">
-              Total: {report.total.total.toFixed(2)} {report.total.currency}
-            </Typography>
+          <Box
+            sx={{
+              mt: 3,
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "flex-start",
+            }}
+          >
+            {/* Export of the displayed items */}
+            <ExportButtons
+              fileName={
+                report.from
+                  ? `costs-${report.from}-to-${report.to}`
+                  : `costs-${report.year}-${String(report.month).padStart(2, "0")}`
+              }
+              columns={EXPORT_COLUMNS}
+              getRows={getExportRows}
+            />
+            <Box sx={{ textAlign: "right" }}>
+              <Typography variant="h6">
+                Total:{" "}
+                {formatMoney(report.total.totalMinor, report.total.currency)}{" "}
+                {report.total.currency}
+              </Typography>
+              <RatesAsOf value={report.ratesAsOf} />
+            </Box>
           </Box>
         </Box>
       )}
+
+      {/* Dialog for editing the selected cost item */}
+      <EditCostDialog
+        cost={editingCost}
+        tagOptions={tagOptions}
+        onSave={handleSaveEdit}
+        onClose={() => setEditingCost(null)}
+      />
+
+      {/* Confirmation dialog shown before deleting a cost item */}
+      <Dialog
+        open={Boolean(deletingCost)}
+        onClose={() => setDeletingCost(null)}
+      >
+        <DialogTitle>Delete Cost</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {deletingCost &&
+              `Delete "${deletingCost.description || deletingCost.category}" (${formatMoney(deletingCost.sumMinor, deletingCost.currency)} ${deletingCost.currency})? This cannot be undone.`}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeletingCost(null)}>Cancel</Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleConfirmDelete}
+          >
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Paper>
   );
 };
@@ -1,5 +1,5 @@
-// Import React and useState hook for managing component state
-import React, { useState } from "react";
+// Import React and hooks for state and lifecycle management
+import React, { useState, useEffect } from "react";
 // Import Material-UI components for form and layout
 import {
   Box,
@@ -9,6 +9,8 @@ import {
   Paper,
   Typography,
 } from "@mui/material";
+// Import Material-UI icon for the jump to the Monthly Report
+import OpenInNewIcon from "@mui/icons-material/OpenInNew";
 // Import Recharts components for pie chart visualization
 import {
   PieChart,
@@ -18,29 +20,53 @@ import {
   Legend,
   Tooltip,
 } from "recharts";
-// Import currency constants from the currency service
-import { CURRENCIES } from "../services/currencyService";
+// Import the user's currency list from the currency service
+import { getCurrencies, getDefaultCurrency } from "../services/currencyService";
+// Import currency precision helper for chart labels
+import { getMinorUnits, formatMoney } from "../services/money";
+// Import selector for the exchange-rate conversion mode
+import ConversionSelect from "./ConversionSelect";
+// Import caption showing the age of the conversion rates
+import RatesAsOf from "./RatesAsOf";
+// Import warning about costs left out for lack of an exchange rate
+import SkippedCosts from "./SkippedCosts";
+// Import CSV/JSON export buttons
+import ExportButtons from "./ExportButtons";
+// Import tag filter for narrowing the chart
+import TagFilter from "./TagFilter";
+// Import period selector for date-range charts
+import DateRangeSelector from "./DateRangeSelector";
+// Import table listing the items of a clicked slice
+import CostItemsTable from "./CostItemsTable";
 
 /**
- * Color palette for pie chart segments
+ * Columns of the exported category totals
  */
-// Array of hex colors for different pie chart slices
-const COLORS = [
-  "#0088FE",
-  "#00C49F",
-  "#FFBB28",
-  "#FF8042",
-  "#8884D8",
-  "#82CA9D",
+const EXPORT_COLUMNS = [
+  { key: "name", label: "Category" },
+  { key: "value", label: "Total" },
+  { key: "currency", label: "Currency" },
 ];
 
 /**
  * PieChartView component - Visualizes monthly costs grouped by category using a pie chart
  * @param {Object} props - Component props
- * @param {Function} props.onGetCategoryData - Callback to fetch category-wise cost data by year, month, and currency
+ * @param {Function} props.onGetCategoryData - Callback to fetch category-wise cost data by year, month, currency, and options
+ * @param {Function} props.onGetRangeCategoryData - Callback to fetch category-wise cost data by from and to days, currency, and options
+ * @param {Function} props.onGetReport - Callback to fetch monthly report data by year, month, currency, and options
+ * @param {Function} props.onGetRangeReport - Callback to fetch report data by from and to days, currency, and options
+ * @param {Function} props.onOpenReport - Callback to open the Monthly Report with the given filter
+ * @param {Function} props.onGetTags - Callback to fetch the known tags
  * @returns {JSX.Element} Pie chart displaying cost distribution across categories
  */
-const PieChartView = ({ onGetCategoryData }) => {
+const PieChartView = ({
+  onGetCategoryData,
+  onGetRangeCategoryData,
+  onGetReport,
+  onGetRangeReport,
+  onOpenReport,
+  onGetTags,
+}) => {
   // Get the current year and month for default values
   const currentYear = new Date().getFullYear();
   const currentMonth = new Date().getMonth() + 1;
@@ -49,10 +75,33 @@ const PieChartView = ({ onGetCategoryData }) => {
   const [year, setYear] = useState(currentYear);
   // State for managing selected month filter
   const [month, setMonth] = useState(currentMonth);
+  // State for the charted period: the selected month or a range of days
+  const [range, setRange] = useState({ preset: "calendar", from: "", to: "" });
+  // Currencies configured by the user in Settings
+  const [currencies] = useState(getCurrencies);
   // State for managing selected currency for conversion
-  const [currency, setCurrency] = useState("USD");
+  const [currency, setCurrency] = useState(getDefaultCurrency);
+  // State for managing which exchange rates are used for conversion
+  const [conversion, setConversion] = useState("current");
+  // State for the tags the chart is narrowed to and how they must match
+  const [tags, setTags] = useState([]);
+  const [tagMatch, setTagMatch] = useState("any");
+  // State for the known tags offered by the tag filter
+  const [tagOptions, setTagOptions] = useState([]);
   // State for storing the fetched chart data
   const [data, setData] = useState([]);
+  // State for the currency the displayed data was converted to
+  const [dataCurrency, setDataCurrency] = useState(currency);
+  // State for the period of the displayed data, as used in file names
+  const [dataPeriod, setDataPeriod] = useState("");
+  // State for the fetch time of the rates used by the chart
+  const [ratesAsOf, setRatesAsOf] = useState(null);
+  // State for the costs left out of the chart for lack of a rate
+  const [skipped, setSkipped] = useState([]);
+  // State for the period and filter the displayed data was fetched with
+  const [dataRequest, setDataRequest] = useState(null);
+  // State for the clicked slice with the report of its items
+  const [slice, setSlice] = useState(null);
   // State to track if user has requested chart data
   const [hasRequested, setHasRequested] = useState(false);
 
@@ -75,22 +124,98 @@ const PieChartView = ({ onGetCategoryData }) => {
   ];
 
   /**
-   * Fetches and sets category cost data based on selected year, month, and currency
+   * Lifecycle hook - Loads the known tags for the tag filter
+   */
+  useEffect(() => {
+    onGetTags()
+      .then(setTagOptions)
+      .catch((err) => console.error("Failed to load tags:", err));
+  }, [onGetTags]);
+
+  /**
+   * Fetches and sets category cost data for the selected month or range, and currency
    */
   const handleGetData = async () => {
     try {
       // Mark that chart data has been requested
       setHasRequested(true);
       // Fetch category data from parent component callback
-      const chartData = await onGetCategoryData(year, month, currency);
+      const options = { conversion, tags, tagMatch };
+      const isCalendar = range.preset === "calendar";
+      const result = isCalendar
+        ? await onGetCategoryData(year, month, currency, options)
+        : await onGetRangeCategoryData(range.from, range.to, currency, options);
       // Store the fetched data in state for chart rendering
-      setData(chartData);
+      setData(result.data);
+      // Remember the currency and when the rates used for conversion were fetched
+      setDataCurrency(currency);
+      setDataPeriod(
+        isCalendar
+          ? `${year}-${String(month).padStart(2, "0")}`
+          : `${range.from}-to-${range.to}`
+      );
+      setRatesAsOf(result.ratesAsOf);
+      setSkipped(result.skipped || []);
+      // Remember the query so a slice lists the items of the same data
+      setDataRequest({ range, year, month, currency, options });
+      setSlice(null);
     } catch (err) {
       // Log any errors that occur during data fetching
       console.error("Failed to get chart data:", err);
     }
   };
 
+  /**
+   * Fetches the items of a clicked slice or legend entry
+   * @param {string} category - Name of the clicked category
+   */
+  const handleSliceClick = async (category) => {
+    const entry = data.find((row) => row.name === category);
+    if (!entry) {
+      return;
+    }
+    try {
+      // Narrow the displayed period and filter to the category
+      const { range: period, options } = dataRequest;
+      const sliceOptions = { ...options, category };
+      const report =
+        period.preset === "calendar"
+          ? await onGetReport(
+              dataRequest.year,
+              dataRequest.month,
+              dataRequest.currency,
+              sliceOptions
+            )
+          : await onGetRangeReport(
+              period.from,
+              period.to,
+              dataRequest.currency,
+              sliceOptions
+            );
+      setSlice({ ...entry, report });
+    } catch (err) {
+      // Log any errors that occur during item fetching
+      console.error("Failed to get category items:", err);
+    }
+  };
+
+  /**
+   * Opens the Monthly Report for the displayed period, filtered to the slice
+   */
+  const handleOpenReport = () => {
+    onOpenReport({
+      range: dataRequest.range,
+      year: dataRequest.year,
+      month: dataRequest.month,
+      currency: dataRequest.currency,
+      ...dataRequest.options,
+      category: slice.name,
+    });
+  };
+
+  // Total of all slices, for the share of the clicked one
+  const dataTotal = data.reduce((sum, row) => sum + row.value, 0);
+
   return (
     // Main container paper with elevation shadow and centered layout
     <Paper elevation={3} sx={{ p: 3, maxWidth: 900, mx: "auto", mt: 3 }}>
@@ -100,36 +225,48 @@ const PieChartView = ({ onGetCategoryData }) => {
       </Typography>
 
       {/* Filter controls section - Year, Month, Currency selectors and Show Chart button */}
-      <Box sx={{ display: "flex", gap: 2, mb: 3 }}>
-        {/* Year selector dropdown */}
-        <TextField
-          select
-          label="Year"
-          value={year}
-          onChange={(e) => setYear(e.target.value)}
-          sx={{ minWidth: 120 }}
-        >
-          {years.map((y) => (
-            <MenuItem key={y} value={y}>
-              {y}
-            </MenuItem>
-          ))}
-        </TextField>
+      <Box sx={{ display: "flex", gap: 2, mb: 3, flexWrap: "wrap" }}>
+        {/* Period selector - the calendar period or a range of days */}
+        <DateRangeSelector
+          value={range}
+          onChange={setRange}
+          calendarLabel="Single month"
+        />
 
-        {/* Month selector dropdown */}
-        <TextField
-          select
-          label="Month"
-          value={month}
-          onChange={(e) => setMonth(e.target.value)}
-          sx={{ minWidth: 150 }}
-        >
-          {months.map((m) => (
-            <MenuItem key={m.value} value={m.value}>
-              {m.label}
-            </MenuItem>
-          ))}
-        </TextField>
+        {/* Calendar period selectors, used unless a range is chosen */}
+        {range.preset === "calendar" && (
+          <>
+            {/* Year selector dropdown */}
+            <TextField
+              select
+              label="Year"
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+              sx={{ minWidth: 120 }}
+            >
+              {years.map((y) => (
+                <MenuItem key={y} value={y}>
+                  {y}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            {/* Month selector dropdown */}
+            <TextField
+              select
+              label="Month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              sx={{ minWidth: 150 }}
+            >
+              {months.map((m) => (
+                <MenuItem key={m.value} value={m.value}>
+                  {m.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </>
+        )}
 
         {/* Currency selector dropdown */}
         <TextField
@@ -139,13 +276,16 @@ const PieChartView = ({ onGetCategoryData }) => {
           onChange={(e) => setCurrency(e.target.value)}
           sx={{ minWidth: 100 }}
         >
-          {CURRENCIES.map((curr) => (
+          {currencies.map((curr) => (
             <MenuItem key={curr} value={curr}>
               {curr}
             </MenuItem>
           ))}
         </TextField>
 
+        {/* Exchange-rate mode selector (current or purchase-time rates) */}
+        <ConversionSelect value={conversion} onChange={setConversion} />
+
         {/* Button to fetch and display chart data */}
         <Button
           variant="contained"
@@ -155,6 +295,15 @@ const PieChartView = ({ onGetCategoryData }) => {
           Show Chart
         </Button>
       </Box>
+
+      {/* Tag filter - narrows the chart to costs with the chosen tags */}
+      <TagFilter
+        tags={tags}
+        onTagsChange={setTags}
+        match={tagMatch}
+        onMatchChange={setTagMatch}
+        options={tagOptions}
+      />
       {/* Display message when no data exists for the selected period */}
       {hasRequested && data.length === 0 && (
         <Typography color="text.secondary" align="center">
@@ -171,27 +320,85 @@ const PieChartView = ({ onGetCategoryData }) => {
               cx="50%"
               cy="50%"
               labelLine={false}
-              label={(entry) => `${entry.name}: ${entry.value.toFixed(2)}`}
+              label={(entry) =>
+                `${entry.name}: ${entry.value.toFixed(getMinorUnits(dataCurrency))}`
+              }
               outerRadius={120}
               fill="#8884d8"
               dataKey="value"
+              onClick={(entry) => handleSliceClick(entry.name)}
+              cursor="pointer"
             >
               {/* Map data entries to colored pie slices */}
-              {/* Each slice gets a color from the COLORS array */}
-              {data.map((entry, index) => (
-                <Cell
-                  key={`cell-${index}`}
-                  fill={COLORS[index % COLORS.length]}
-                />
+              {/* Each slice uses the color stored with its category */}
+              {data.map((entry) => (
+                <Cell key={entry.name} fill={entry.color} />
               ))}
             </Pie>
             {/* Tooltip for hovering over pie slices */}
             <Tooltip />
-            {/* Legend showing category names and colors */}
-            <Legend />
+            {/* Legend showing category names and colors; an entry opens its items */}
+            <Legend
+              onClick={(entry) => handleSliceClick(entry.value)}
+              wrapperStyle={{ cursor: "pointer" }}
+            />
           </PieChart>
         </ResponsiveContainer>
       )}
+
+      {/* Items of the clicked slice */}
+      {slice && (
+        <Box sx={{ mt: 3 }}>
+          <Box
+            sx={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              flexWrap: "wrap",
+              gap: 1,
+              mb: 1,
+            }}
+          >
+            <Typography variant="h6" sx={{ color: slice.color }}>
+              {slice.name}:{" "}
+              {formatMoney(
+                slice.report.total.totalMinor,
+                slice.report.total.currency
+              )}{" "}
+              {slice.report.total.currency} (
+              {((slice.value / dataTotal) * 100).toFixed(1)}% of total)
+            </Typography>
+            <Box>
+              <Button startIcon={<OpenInNewIcon />} onClick={handleOpenReport}>
+                Open in Monthly Report
+              </Button>
+              <Button onClick={() => setSlice(null)}>Close</Button>
+            </Box>
+          </Box>
+          <CostItemsTable
+            items={slice.report.costs}
+            currency={slice.report.total.currency}
+            shareOfMinor={slice.report.total.totalMinor}
+          />
+        </Box>
+      )}
+
+      {/* Export of the displayed totals */}
+      {data.length > 0 && (
+        <ExportButtons
+          fileName={`costs-by-category-${dataPeriod}`}
+          columns={EXPORT_COLUMNS}
+          getRows={() =>
+            data.map((row) => ({ ...row, currency: dataCurrency }))
+          }
+        />
+      )}
+
+      {/* Costs the chart could not convert */}
+      <SkippedCosts items={skipped} />
+
+      {/* Freshness of the exchange rates behind the chart */}
+      <RatesAsOf value={ratesAsOf} />
     </Paper>
   );
 };
@@ -0,0 +1,388 @@
+// Import React and hooks for state and lifecycle management
+import React, { useState, useEffect, useCallback } from "react";
+// Import Material-UI components for the list, inputs and chart layout
+import {
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Typography,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+} from "@mui/material";
+// Import Material-UI icons for the override actions
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+// Import Recharts components for the rate history chart
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+// Import the base currency the rates are quoted against
+import { BASE_CURRENCY } from "../services/currencyService";
+// Import date helper for the date inputs
+import { toDateInputValue } from "../services/dateUtils";
+// Import the resolution of which manual rates apply on a day
+import { getEffectiveOverrides } from "../services/rateOverrides";
+
+/**
+ * Returns the inputs of a new manual rate, starting today
+ * @param {string} currency - Currency preselected in the inputs
+ * @returns {Object} Empty override fields
+ */
+const getEmptyOverride = (currency) => ({
+  currency,
+  rate: "",
+  from: toDateInputValue(new Date()),
+  to: "",
+  note: "",
+});
+
+/**
+ * RateOverrides component - Manual exchange rates and the fetched rate history
+ * A manual rate replaces the fetched rate of its currency on the days it
+ * covers, in every conversion of the app.
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.currencies - The user's currencies
+ * @param {Function} props.onGetRateOverrides - Callback to fetch the manual rates
+ * @param {Function} props.onAddRateOverride - Callback to add a manual rate
+ * @param {Function} props.onUpdateRateOverride - Callback to change a manual rate by id
+ * @param {Function} props.onDeleteRateOverride - Callback to delete a manual rate by id
+ * @param {Function} props.onGetRateHistory - Callback to fetch the daily rates of a currency
+ * @returns {JSX.Element} Manual rate editor with a history chart
+ */
+const RateOverrides = ({
+  currencies,
+  onGetRateOverrides,
+  onAddRateOverride,
+  onUpdateRateOverride,
+  onDeleteRateOverride,
+  onGetRateHistory,
+}) => {
+  // Only currencies other than the base have a rate to set
+  const rated = currencies.filter((code) => code !== BASE_CURRENCY);
+
+  // State for the stored manual rates
+  const [overrides, setOverrides] = useState([]);
+  // State for the manual rate inputs
+  const [form, setForm] = useState(() => getEmptyOverride(rated[0] || ""));
+  // State for the id of the manual rate being edited (null when adding)
+  const [editingId, setEditingId] = useState(null);
+  // State for the currency whose history is charted
+  const [historyCurrency, setHistoryCurrency] = useState(rated[0] || "");
+  // State for the charted daily rates
+  const [history, setHistory] = useState([]);
+  // State for displaying error messages
+  const [error, setError] = useState("");
+
+  /**
+   * Reloads the manual rates
+   */
+  const loadOverrides = useCallback(async () => {
+    try {
+      setOverrides(await onGetRateOverrides());
+    } catch (err) {
+      setError(err.message || "Failed to load manual exchange rates");
+    }
+  }, [onGetRateOverrides]);
+
+  /**
+   * Lifecycle hook - Loads the manual rates once the database is available
+   */
+  useEffect(() => {
+    loadOverrides();
+  }, [loadOverrides]);
+
+  /**
+   * Lifecycle hook - Loads the history of the charted currency, again
+   * after the manual rates change
+   */
+  useEffect(() => {
+    if (!historyCurrency) {
+      return;
+    }
+    onGetRateHistory(historyCurrency)
+      .then(setHistory)
+      .catch((err) => console.error("Failed to load rate history:", err));
+  }, [onGetRateHistory, historyCurrency, overrides]);
+
+  /**
+   * Adds the entered manual rate, or saves the one being edited
+   */
+  const handleSave = async () => {
+    setError("");
+    try {
+      if (editingId === null) {
+        await onAddRateOverride(form);
+      } else {
+        await onUpdateRateOverride(editingId, form);
+      }
+      setForm(getEmptyOverride(form.currency));
+      setEditingId(null);
+      await loadOverrides();
+    } catch (err) {
+      setError(err.message || "Failed to save manual exchange rate");
+    }
+  };
+
+  /**
+   * Opens a manual rate in the inputs for editing
+   * @param {Object} override - Manual rate to edit
+   */
+  const handleEdit = (override) => {
+    setEditingId(override.id);
+    setForm({
+      currency: override.currency,
+      rate: String(override.rate),
+      from: override.from,
+      to: override.to || "",
+      note: override.note,
+    });
+  };
+
+  /**
+   * Deletes a manual rate
+   * @param {Object} override - Manual rate to delete
+   */
+  const handleDelete = async (override) => {
+    setError("");
+    try {
+      await onDeleteRateOverride(override.id);
+      if (editingId === override.id) {
+        setEditingId(null);
+        setForm(getEmptyOverride(form.currency));
+      }
+      await loadOverrides();
+    } catch (err) {
+      setError(err.message || "Failed to delete manual exchange rate");
+    }
+  };
+
+  // Change one input
+  const set = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  // Manual rates in effect today are marked in the list
+  const effectiveToday = getEffectiveOverrides(overrides, new Date());
+  const isUsedToday = (override) =>
+    effectiveToday[override.currency] &&
+    effectiveToday[override.currency].id === override.id;
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      {/* Manual rates section title */}
+      <Typography variant="subtitle1">Manual Exchange Rates</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        A manual rate replaces the fetched rate on the days it covers, for
+        example the rate your bank charged. Rates are per one {BASE_CURRENCY}.
+      </Typography>
+
+      {/* Error alert message - displayed when a rate is rejected */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {/* List of the manual rates with their actions */}
+      {overrides.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Currency</TableCell>
+              <TableCell align="right">Rate</TableCell>
+              <TableCell>From</TableCell>
+              <TableCell>To</TableCell>
+              <TableCell>Note</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {overrides.map((override) => (
+              <TableRow key={override.id} selected={override.id === editingId}>
+                <TableCell>
+                  {override.currency}
+                  {isUsedToday(override) && (
+                    <Chip
+                      label="Today"
+                      size="small"
+                      color="primary"
+                      sx={{ ml: 1 }}
+                    />
+                  )}
+                </TableCell>
+                <TableCell align="right">{override.rate}</TableCell>
+                <TableCell>{override.from}</TableCell>
+                <TableCell>{override.to || "Open-ended"}</TableCell>
+                <TableCell>{override.note}</TableCell>
+                <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                  <Tooltip title="Edit">
+                    <IconButton
+                      size="small"
+                      aria-label="Edit manual rate"
+                      onClick={() => handleEdit(override)}
+                    >
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete">
+                    <IconButton
+                      size="small"
+                      aria-label="Delete manual rate"
+                      onClick={() => handleDelete(override)}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {/* Inputs for adding or editing a manual rate */}
+      <Box
+        sx={{
+          display: "flex",
+          gap: 2,
+          flexWrap: "wrap",
+          alignItems: "center",
+          mt: 2,
+        }}
+      >
+        <TextField
+          select
+          label="Currency"
+          value={form.currency}
+          onChange={set("currency")}
+          size="small"
+          sx={{ minWidth: 100 }}
+        >
+          {rated.map((code) => (
+            <MenuItem key={code} value={code}>
+              {code}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label={`Rate per 1 ${BASE_CURRENCY}`}
+          type="number"
+          value={form.rate}
+          onChange={set("rate")}
+          inputProps={{ min: 0, step: "any" }}
+          size="small"
+          sx={{ width: 150 }}
+        />
+        <TextField
+          label="From"
+          type="date"
+          value={form.from}
+          onChange={set("from")}
+          InputLabelProps={{ shrink: true }}
+          size="small"
+        />
+        <TextField
+          label="To (optional)"
+          type="date"
+          value={form.to}
+          onChange={set("to")}
+          InputLabelProps={{ shrink: true }}
+          size="small"
+        />
+        <TextField
+          label="Note"
+          value={form.note}
+          onChange={set("note")}
+          size="small"
+        />
+        <Button
+          variant="outlined"
+          onClick={handleSave}
+          disabled={!form.currency || form.rate === "" || !form.from}
+        >
+          {editingId === null ? "Add" : "Save"}
+        </Button>
+        {editingId !== null && (
+          <Button
+            onClick={() => {
+              setEditingId(null);
+              setForm(getEmptyOverride(form.currency));
+            }}
+          >
+            Cancel
+          </Button>
+        )}
+      </Box>
+
+      {/* Fetched and effective daily rates of one currency */}
+      <Box sx={{ mt: 3 }}>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 1 }}>
+          <Typography variant="subtitle2">Rate History</Typography>
+          <TextField
+            select
+            label="Currency"
+            value={historyCurrency}
+            onChange={(e) => setHistoryCurrency(e.target.value)}
+            size="small"
+            sx={{ minWidth: 100 }}
+          >
+            {rated.map((code) => (
+              <MenuItem key={code} value={code}>
+                {code}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+        {history.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No rates fetched yet. A snapshot is kept for every day the rates are
+            fetched.
+          </Typography>
+        ) : (
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={history}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" />
+              <YAxis domain={["auto", "auto"]} />
+              <ChartTooltip />
+              <Legend />
+              <Line
+                type="monotone"
+                dataKey="fetched"
+                name="Fetched"
+                stroke="#8884d8"
+                dot={false}
+                connectNulls
+              />
+              {/* Rate used for conversions, with the manual rates applied */}
+              <Line
+                type="stepAfter"
+                dataKey="effective"
+                name="Used"
+                stroke="#ff7300"
+                strokeDasharray="6 4"
+                dot={false}
+                connectNulls
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+// Export RateOverrides component as default export
+export default RateOverrides;
@@ -0,0 +1,26 @@
+// Import React library for component creation
+import React from "react";
+// Import Material-UI typography for the caption
+import { Typography } from "@mui/material";
+
+/**
+ * RatesAsOf component - Caption showing when the conversion rates were fetched
+ * @param {Object} props - Component props
+ * @param {Date|null} props.value - Fetch time of the rates used by a report
+ * @returns {JSX.Element|null} Caption text, or nothing when no time is known
+ */
+const RatesAsOf = ({ value }) => {
+  // Render nothing until a report with rates has been loaded
+  if (!value) {
+    return null;
+  }
+
+  return (
+    <Typography variant="caption" color="text.secondary" display="block">
+      Exchange rates as of {new Date(value).toLocaleString()}
+    </Typography>
+  );
+};
+
+// Export RatesAsOf component as default export
+export default RatesAsOf;
@@ -0,0 +1,565 @@
+// Import React and hooks for state and lifecycle management
+import React, { useState, useEffect, useCallback } from "react";
+// Import Material-UI components for the table, inputs and dialogs
+import {
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Paper,
+  Typography,
+  Alert,
+  Autocomplete,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from "@mui/material";
+// Import Material-UI icons for the schedule actions
+import EditIcon from "@mui/icons-material/Edit";
+import PauseIcon from "@mui/icons-material/Pause";
+import PlayArrowIcon from "@mui/icons-material/PlayArrow";
+import EventBusyIcon from "@mui/icons-material/EventBusy";
+import ListIcon from "@mui/icons-material/List";
+// Import the user's currency list from the currency service
+import { getCurrencies, getDefaultCurrency } from "../services/currencyService";
+// Import money formatting using each currency's precision
+import { formatMoney } from "../services/money";
+// Import date helper for the date inputs
+import { toDateInputValue } from "../services/dateUtils";
+// Import the schedule helpers of recurring costs
+import {
+  RECURRING_FREQUENCIES,
+  describeSchedule,
+  getNextOccurrence,
+} from "../services/recurrence";
+// Import chip input for the schedule's tags
+import TagInput from "./TagInput";
+
+/**
+ * Labels of the frequencies offered by the schedule inputs
+ */
+const FREQUENCY_LABELS = {
+  days: "Every N days",
+  weekly: "Weekly",
+  monthly: "Monthly",
+  yearly: "Yearly",
+};
+
+/**
+ * Returns the inputs of a new recurring cost, starting today
+ * @returns {Object} Empty schedule fields
+ */
+const getEmptySchedule = () => ({
+  sum: "",
+  currency: getDefaultCurrency(),
+  category: "",
+  description: "",
+  tags: [],
+  frequency: "monthly",
+  interval: 1,
+  startDate: toDateInputValue(new Date()),
+  endDate: "",
+});
+
+/**
+ * RecurringFields component - Cost and schedule inputs of a recurring cost
+ * @param {Object} props - Component props
+ * @param {Object} props.value - Current schedule fields
+ * @param {Function} props.onChange - Callback invoked with the changed fields
+ * @param {Array<string>} props.categories - Stored category names offered by the picker
+ * @returns {JSX.Element} Inputs for the amount, category, description, tags and schedule
+ */
+const RecurringFields = ({ value, onChange, categories }) => {
+  // Currencies configured by the user in Settings
+  const [currencies] = useState(getCurrencies);
+  // Change one field
+  const set = (field) => (fieldValue) =>
+    onChange({ ...value, [field]: fieldValue });
+
+  return (
+    <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap" }}>
+      {/* Amount and its currency */}
+      <TextField
+        label="Amount"
+        type="number"
+        value={value.sum}
+        onChange={(e) => set("sum")(e.target.value)}
+        inputProps={{ step: "any" }}
+        size="small"
+        sx={{ width: 130 }}
+      />
+      <TextField
+        select
+        label="Currency"
+        value={value.currency}
+        onChange={(e) => set("currency")(e.target.value)}
+        size="small"
+        sx={{ minWidth: 100 }}
+      >
+        {currencies.map((curr) => (
+          <MenuItem key={curr} value={curr}>
+            {curr}
+          </MenuItem>
+        ))}
+      </TextField>
+
+      {/* Category picker - typing a new name creates the category */}
+      <Autocomplete
+        freeSolo
+        options={categories}
+        inputValue={value.category}
+        onInputChange={(e, category) => set("category")(category)}
+        renderInput={(params) => (
+          <TextField {...params} label="Category" size="small" />
+        )}
+        sx={{ minWidth: 180 }}
+      />
+      <TextField
+        label="Description"
+        value={value.description}
+        onChange={(e) => set("description")(e.target.value)}
+        size="small"
+        sx={{ minWidth: 200 }}
+      />
+      <TagInput
+        value={value.tags}
+        onChange={set("tags")}
+        options={[]}
+        sx={{ minWidth: 200 }}
+      />
+
+      {/* How often the cost repeats, from the start until the optional end */}
+      <TextField
+        select
+        label="Repeats"
+        value={value.frequency}
+        onChange={(e) => set("frequency")(e.target.value)}
+        size="small"
+        sx={{ minWidth: 150 }}
+      >
+        {RECURRING_FREQUENCIES.map((frequency) => (
+          <MenuItem key={frequency} value={frequency}>
+            {FREQUENCY_LABELS[frequency]}
+          </MenuItem>
+        ))}
+      </TextField>
+      <TextField
+        label={value.frequency === "days" ? "Every N days" : "Interval"}
+        type="number"
+        value={value.interval}
+        onChange={(e) => set("interval")(e.target.value)}
+        inputProps={{ min: 1, step: 1 }}
+        size="small"
+        sx={{ width: 120 }}
+      />
+      <TextField
+        label="Start"
+        type="date"
+        value={value.startDate}
+        onChange={(e) => set("startDate")(e.target.value)}
+        InputLabelProps={{ shrink: true }}
+        size="small"
+      />
+      <TextField
+        label="End (optional)"
+        type="date"
+        value={value.endDate || ""}
+        onChange={(e) => set("endDate")(e.target.value)}
+        InputLabelProps={{ shrink: true }}
+        size="small"
+      />
+    </Box>
+  );
+};
+
+/**
+ * RecurringManager component - Lets the user add, edit, pause and end recurring costs
+ * Due occurrences are added to the costs when the app starts and after
+ * each change here.
+ * @param {Object} props - Component props
+ * @param {Function} props.onGetRecurring - Callback to fetch all recurring costs
+ * @param {Function} props.onAddRecurring - Callback to add a recurring cost
+ * @param {Function} props.onUpdateRecurring - Callback to change a recurring cost by id
+ * @param {Function} props.onGetRecurringCosts - Callback to fetch the cost items generated by a recurring cost
+ * @param {Function} props.onGetCategories - Callback to fetch the stored categories for the picker
+ * @returns {JSX.Element} Recurring cost list with editing actions
+ */
+const RecurringManager = ({
+  onGetRecurring,
+  onAddRecurring,
+  onUpdateRecurring,
+  onGetRecurringCosts,
+  onGetCategories,
+}) => {
+  // State for the stored recurring costs
+  const [schedules, setSchedules] = useState([]);
+  // State for the category names offered by the picker
+  const [categories, setCategories] = useState([]);
+  // State for the new recurring cost inputs
+  const [newSchedule, setNewSchedule] = useState(getEmptySchedule);
+  // State for the recurring cost open in the edit dialog
+  const [editing, setEditing] = useState(null);
+  // State for the recurring cost whose generated items are listed
+  const [generated, setGenerated] = useState(null);
+  // State for displaying error messages
+  const [error, setError] = useState("");
+  // State for displaying the result of the last action
+  const [success, setSuccess] = useState("");
+
+  /**
+   * Reloads the recurring costs and the category names
+   */
+  const loadSchedules = useCallback(async () => {
+    try {
+      setSchedules(await onGetRecurring());
+      setCategories((await onGetCategories()).map((c) => c.name));
+    } catch (err) {
+      setError(err.message || "Failed to load recurring costs");
+    }
+  }, [onGetRecurring, onGetCategories]);
+
+  /**
+   * Lifecycle hook - Loads the recurring costs once the database is available
+   */
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  /**
+   * Runs a change, shows its outcome and reloads the list
+   * @param {Function} action - Async change to perform
+   * @param {Function} describe - Builds the success message from the result
+   * @returns {Promise<boolean>} Whether the change succeeded
+   */
+  const runAction = async (action, describe) => {
+    setError("");
+    setSuccess("");
+    try {
+      const result = await action();
+      const added =
+        result.costsAdded > 0
+          ? ` and added ${result.costsAdded} due cost items`
+          : "";
+      setSuccess(`${describe(result.schedule)}${added}`);
+      setGenerated(null);
+      await loadSchedules();
+      return true;
+    } catch (err) {
+      setError(err.message || "Failed to change recurring costs");
+      return false;
+    }
+  };
+
+  /**
+   * Adds the entered recurring cost
+   */
+  const handleAdd = async () => {
+    const added = await runAction(
+      () => onAddRecurring(newSchedule),
+      (schedule) => `Added "${schedule.description || schedule.category}"`
+    );
+    if (added) {
+      setNewSchedule(getEmptySchedule());
+    }
+  };
+
+  /**
+   * Saves the edit dialog; the changes apply to occurrences not added yet
+   */
+  const handleSaveEdit = async () => {
+    // Only the editable fields of the schedule are taken over
+    const saved = await runAction(
+      () => onUpdateRecurring(editing.id, editing),
+      (schedule) => `Saved "${schedule.description || schedule.category}"`
+    );
+    if (saved) {
+      setEditing(null);
+    }
+  };
+
+  /**
+   * Pauses or resumes a recurring cost
+   * @param {Object} schedule - Recurring cost to change
+   */
+  const handleTogglePause = (schedule) =>
+    runAction(
+      () => onUpdateRecurring(schedule.id, { paused: !schedule.paused }),
+      (updated) =>
+        `${updated.paused ? "Paused" : "Resumed"} "${updated.description || updated.category}"`
+    );
+
+  /**
+   * Ends a recurring cost today, keeping the items it already added
+   * @param {Object} schedule - Recurring cost to end
+   */
+  const handleEnd = (schedule) =>
+    runAction(
+      () =>
+        onUpdateRecurring(schedule.id, {
+          endDate: toDateInputValue(new Date()),
+        }),
+      (updated) => `Ended "${updated.description || updated.category}"`
+    );
+
+  /**
+   * Lists the cost items a recurring cost has added
+   * @param {Object} schedule - Recurring cost to list the items of
+   */
+  const handleShowItems = async (schedule) => {
+    try {
+      setGenerated({ schedule, items: await onGetRecurringCosts(schedule.id) });
+    } catch (err) {
+      setError(err.message || "Failed to load the generated items");
+    }
+  };
+
+  /**
+   * Describes when a recurring cost adds its next item
+   * @param {Object} schedule - Recurring cost
+   * @returns {string} Next date, or why there is none
+   */
+  const describeNext = (schedule) => {
+    const next = getNextOccurrence(schedule, new Date());
+    if (!next) {
+      return "Ended";
+    }
+    return schedule.paused ? "Paused" : toDateInputValue(next);
+  };
+
+  // A new recurring cost needs an amount, a category and a start
+  const canAdd =
+    newSchedule.sum !== "" &&
+    newSchedule.category.trim() !== "" &&
+    newSchedule.startDate !== "";
+
+  return (
+    // Main container paper with elevation shadow and centered layout
+    <Paper elevation={3} sx={{ p: 3, maxWidth: 900, mx: "auto", mt: 3 }}>
+      {/* Recurring manager title */}
+      <Typography variant="h5" gutterBottom>
+        Recurring Costs
+      </Typography>
+
+      {/* Error alert message - displayed when a change is rejected */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {/* Success alert message - displayed after a change */}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Message when no recurring cost exists yet */}
+      {schedules.length === 0 && (
+        <Typography color="text.secondary">
+          No recurring costs yet. Add rent, phone plans or subscriptions below
+          and they are entered automatically when due.
+        </Typography>
+      )}
+
+      {/* List of recurring costs with their actions */}
+      {schedules.length > 0 && (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Description</TableCell>
+                <TableCell>Category</TableCell>
+                <TableCell align="right">Amount</TableCell>
+                <TableCell>Schedule</TableCell>
+                <TableCell>Next</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {schedules.map((schedule) => (
+                <TableRow key={schedule.id}>
+                  <TableCell>
+                    {schedule.description}
+                    {schedule.tags.map((tag) => (
+                      <Chip
+                        key={tag}
+                        label={tag}
+                        size="small"
+                        sx={{ m: 0.25 }}
+                      />
+                    ))}
+                  </TableCell>
+                  <TableCell>{schedule.category}</TableCell>
+                  <TableCell align="right">
+                    {formatMoney(schedule.sumMinor, schedule.currency)}{" "}
+                    {schedule.currency}
+                  </TableCell>
+                  <TableCell>
+                    {describeSchedule(schedule)} from {schedule.startDate}
+                    {schedule.endDate && ` until ${schedule.endDate}`}
+                  </TableCell>
+                  <TableCell>{describeNext(schedule)}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                    <Tooltip title="Generated items">
+                      <IconButton
+                        size="small"
+                        aria-label="Show generated items"
+                        onClick={() => handleShowItems(schedule)}
+                      >
+                        <ListIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Edit">
+                      <IconButton
+                        size="small"
+                        aria-label="Edit recurring cost"
+                        onClick={() => setEditing(schedule)}
+                      >
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title={schedule.paused ? "Resume" : "Pause"}>
+                      <IconButton
+                        size="small"
+                        aria-label={
+                          schedule.paused
+                            ? "Resume recurring cost"
+                            : "Pause recurring cost"
+                        }
+                        onClick={() => handleTogglePause(schedule)}
+                      >
+                        {schedule.paused ? (
+                          <PlayArrowIcon fontSize="small" />
+                        ) : (
+                          <PauseIcon fontSize="small" />
+                        )}
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="End today">
+                      <span>
+                        <IconButton
+                          size="small"
+                          aria-label="End recurring cost"
+                          disabled={!getNextOccurrence(schedule, new Date())}
+                          onClick={() => handleEnd(schedule)}
+                        >
+                          <EventBusyIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Items added by the selected recurring cost */}
+      {generated && (
+        <Box sx={{ mt: 3 }}>
+          <Box
+            sx={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+            }}
+          >
+            <Typography variant="h6">
+              Items added by "
+              {generated.schedule.description || generated.schedule.category}"
+            </Typography>
+            <Button size="small" onClick={() => setGenerated(null)}>
+              Close
+            </Button>
+          </Box>
+          {generated.items.length === 0 ? (
+            <Typography color="text.secondary">No items added yet.</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Description</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {generated.items.map((item) => (
+                  <TableRow key={item.id}>
+                    <TableCell>{toDateInputValue(item.date)}</TableCell>
+                    <TableCell>{item.description}</TableCell>
+                    <TableCell align="right">
+                      {formatMoney(item.sumMinor, item.currency)}{" "}
+                      {item.currency}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </Box>
+      )}
+
+      {/* Inputs for adding a recurring cost */}
+      <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+        Add Recurring Cost
+      </Typography>
+      <RecurringFields
+        value={newSchedule}
+        onChange={setNewSchedule}
+        categories={categories}
+      />
+      <Button
+        variant="outlined"
+        onClick={handleAdd}
+        disabled={!canAdd}
+        sx={{ mt: 2 }}
+      >
+        Add
+      </Button>
+
+      {/* Dialog for editing a recurring cost */}
+      <Dialog
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        maxWidth="md"
+      >
+        <DialogTitle>Edit Recurring Cost</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 1 }}>
+            {editing && (
+              <RecurringFields
+                value={editing}
+                onChange={setEditing}
+                categories={categories}
+              />
+            )}
+          </Box>
+          <Typography variant="caption" color="text.secondary">
+            Changes apply to occurrences that were not added yet.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveEdit}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+// Export RecurringManager component as default export
+export default RecurringManager;
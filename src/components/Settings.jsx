@@ -1,9 +1,10 @@
 // Import React and hooks for state and lifecycle management
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 // Import Material-UI components for form and layout
 import {
   Box,
   TextField,
+  MenuItem,
   Button,
   Paper,
   Typography,
@@ -13,70 +14,170 @@ import {
 import {
   getExchangeRateUrl,
   setExchangeRateUrl,
+  getRatesTtlMinutes,
+  setRatesTtlMinutes,
+  getRatesFormat,
+  setRatesFormat,
+  RATE_PROVIDERS,
+  BASE_CURRENCY,
+  getCurrencies,
 } from "../services/currencyService";
+// Import caption showing the age of the displayed rates
+import RatesAsOf from "./RatesAsOf";
+// Import editor for the user's currency list
+import CurrencyManager from "./CurrencyManager";
+// Import editor for manual exchange rates and the rate history
+import RateOverrides from "./RateOverrides";
+// Import CSV/JSON export buttons
+import ExportButtons from "./ExportButtons";
+// Import full backup and restore controls
+import BackupRestore from "./BackupRestore";
 
 /**
- * Settings component - Manages application settings including exchange rate URL configuration
+ * Columns of the full cost export
+ */
+const EXPORT_COLUMNS = [
+  { key: "id", label: "Id" },
+  { key: "date", label: "Date" },
+  { key: "category", label: "Category" },
+  { key: "description", label: "Description" },
+  { key: "tags", label: "Tags" },
+  { key: "sum", label: "Amount" },
+  { key: "currency", label: "Currency" },
+  { key: "dateAdded", label: "Date Added" },
+];
+
+/**
+ * Settings component - Manages application settings including exchange rate URL and currency list configuration
+ * @param {Object} props - Component props
+ * @param {Function} props.onGetRates - Callback to get the cached exchange rates (optionally forcing a refresh)
+ * @param {Function} props.onGetRateOverrides - Callback to fetch the manual exchange rates
+ * @param {Function} props.onAddRateOverride - Callback to add a manual exchange rate
+ * @param {Function} props.onUpdateRateOverride - Callback to change a manual exchange rate by id
+ * @param {Function} props.onDeleteRateOverride - Callback to delete a manual exchange rate by id
+ * @param {Function} props.onGetRateHistory - Callback to fetch the daily rates of a currency
+ * @param {Function} props.onExportAllCosts - Callback that passes every stored cost item to a consumer function
+ * @param {Function} props.onCreateBackup - Callback resolving with a backup of the whole database
+ * @param {Function} props.onRestoreBackup - Callback restoring a parsed backup in "merge" or "replace" mode
  * @returns {JSX.Element} Settings form for configuring exchange rate API endpoint
  */
-const Settings = () => {
+const Settings = ({
+  onGetRates,
+  onGetRateOverrides,
+  onAddRateOverride,
+  onUpdateRateOverride,
+  onDeleteRateOverride,
+  onGetRateHistory,
+  onExportAllCosts,
+  onCreateBackup,
+  onRestoreBackup,
+}) => {
   // State for managing the exchange rate URL input
   const [url, setUrl] = useState("");
-  // State for storing the fetched exchange rates
+  // State for managing the rates cache lifetime input (minutes)
+  const [ttl, setTtl] = useState("");
+  // State for managing the selected response format of the rate feed
+  const [format, setFormat] = useState("auto");
+  // State for storing the cached exchange rates with their fetch time
   const [rates, setRates] = useState(null);
+  // State for the user's currency list shown in the rates section
+  const [currencies, setCurrencies] = useState(getCurrencies);
+  // Key used to remount the currency editor after a restore
+  const [currencyEditorKey, setCurrencyEditorKey] = useState(0);
   // State for displaying success messages
   const [success, setSuccess] = useState(false);
   // State for displaying error messages
   const [error, setError] = useState("");
 
   /**
-   * Lifecycle hook - Loads saved exchange rate URL and fetches current rates on component mount
+   * Lifecycle hook - Loads saved settings on component mount
    */
   useEffect(() => {
-    // Retrieve the saved URL from local storage
-    const savedUrl = getExchangeRateUrl();
-    // Set the URL in the input field
-    setUrl(savedUrl);
-    // Fetch and display the current exchange rates
-    fetchRates(savedUrl);
+    // Retrieve the saved URL and cache lifetime from local storage
+    setUrl(getExchangeRateUrl());
+    setTtl(String(getRatesTtlMinutes()));
+    setFormat(getRatesFormat());
   }, []);
 
   /**
-   * Fetches exchange rates from the provided URL
-   * @param {string} ratesUrl - URL endpoint for exchange rate API
+   * Loads exchange rates through the shared cache
+   * @param {boolean} forceRefresh - Whether to bypass the cache and refetch
    */
-  const fetchRates = async (ratesUrl) => {
-    try {
-      // Clear any previous error messages
-      setError("");
-      // Fetch exchange rates from the API
-      const response = await fetch(ratesUrl);
-      // Parse the JSON response
-      const data = await response.json();
-      // Store the rates in state for display
-      setRates(data);
-    } catch {
-      // Clear rates if fetch fails
-      setRates(null);
-      // Display error message to user
-      setError("Failed to load exchange rates");
-    }
-  };
+  const loadRates = useCallback(
+    async (forceRefresh) => {
+      try {
+        // Clear any previous error messages
+        setError("");
+        // Get the rates (cached unless a refresh is forced)
+        const result = await onGetRates({ forceRefresh });
+        // Store the rates in state for display
+        setRates(result);
+      } catch (err) {
+        // Clear rates if fetch fails
+        setRates(null);
+        // Display the precise loading or validation error to the user
+        setError(err.message || "Failed to load exchange rates");
+      }
+    },
+    [onGetRates]
+  );
+
+  /**
+   * Lifecycle hook - Shows the cached rates once the database is available
+   */
+  useEffect(() => {
+    loadRates(false);
+  }, [loadRates]);
 
   /**
    * Saves the exchange rate URL to local storage and fetches updated rates
    */
   const handleSave = () => {
-    // Persist the URL to local storage
+    // Validate that the cache lifetime is a positive number of minutes
+    if (!(Number(ttl) > 0)) {
+      setError("Please enter a cache lifetime greater than zero");
+      return;
+    }
+
+    // Persist the URL and cache lifetime to local storage
     setExchangeRateUrl(url);
+    setRatesTtlMinutes(Number(ttl));
+    setRatesFormat(format);
     // Fetch the latest rates from the new URL
-    fetchRates(url);
+    loadRates(true);
     // Display success message
     setSuccess(true);
     // Auto-hide success message after 3 seconds
     setTimeout(() => setSuccess(false), 3000);
   };
 
+  /**
+   * Shows the settings and rates brought back by a restored backup
+   */
+  const handleRestored = () => {
+    setUrl(getExchangeRateUrl());
+    setTtl(String(getRatesTtlMinutes()));
+    setFormat(getRatesFormat());
+    setCurrencies(getCurrencies());
+    setCurrencyEditorKey((key) => key + 1);
+    loadRates(false);
+  };
+
+  /**
+   * Collects every stored cost item for the full export
+   * @returns {Promise<Array<Object>>} All cost items in id order
+   */
+  const getAllCosts = async () => {
+    const costs = [];
+    await onExportAllCosts((cost) => {
+      costs.push({
+        ...cost,
+        dateAdded: new Date(cost.dateAdded).toISOString(),
+      });
+    });
+    return costs;
+  };
+
   return (
     // Main container paper with elevation shadow and centered layout
     <Paper elevation={3} sx={{ p: 3, maxWidth: 600, mx: "auto", mt: 3 }}>
@@ -106,7 +207,37 @@ const Settings = () => {
         value={url}
         onChange={(e) => setUrl(e.target.value)}
         margin="normal"
-        helperText="Enter the URL for fetching exchange rates (JSON format)"
+        helperText="Enter the URL for fetching exchange rates (JSON, XML or CSV)"
+      />
+
+      {/* Response format selector - how the rate feed is parsed */}
+      <TextField
+        fullWidth
+        select
+        label="Exchange Rate Format"
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        margin="normal"
+        helperText={`Rates are converted to ${BASE_CURRENCY} as the common base`}
+      >
+        <MenuItem value="auto">Detect automatically</MenuItem>
+        {Object.keys(RATE_PROVIDERS).map((name) => (
+          <MenuItem key={name} value={name}>
+            {RATE_PROVIDERS[name].label}
+          </MenuItem>
+        ))}
+      </TextField>
+
+      {/* Cache lifetime input field - how long fetched rates are reused */}
+      <TextField
+        fullWidth
+        label="Rates Cache Lifetime (minutes)"
+        type="number"
+        value={ttl}
+        onChange={(e) => setTtl(e.target.value)}
+        margin="normal"
+        inputProps={{ min: "1" }}
+        helperText="Fetched rates are reused for this long before refetching"
       />
 
       {/* Button to save the exchange rate URL setting */}
@@ -124,17 +255,58 @@ const Settings = () => {
         <Box sx={{ mt: 3 }}>
           {/* Exchange rates section title */}
           <Typography variant="subtitle1">Current Exchange Rates</Typography>
-          {/* Display individual currency rates */}
-          {/* Show the exchange rate for US Dollar */}
-          <Typography>USD: {rates.USD}</Typography>
-          {/* Show the exchange rate for Israeli Shekel */}
-          <Typography>ILS: {rates.ILS}</Typography>
-          {/* Show the exchange rate for British Pound */}
-          <Typography>GBP: {rates.GBP}</Typography>
-          {/* Show the exchange rate for Euro */}
-          <Typography>EURO: {rates.EURO}</Typography>
+          {/* Warn when the feed was unreachable and saved rates are shown */}
+          {rates.stale && (
+            <Alert severity="warning" sx={{ my: 1 }}>
+              {rates.error}. Showing the last known rates.
+            </Alert>
+          )}
+          {/* Display the rate of each supported currency per one base unit */}
+          {currencies.map((code) => (
+            <Typography key={code}>
+              {code}: {rates.rates[code]}
+            </Typography>
+          ))}
+          {/* Show when the displayed rates were fetched */}
+          <RatesAsOf value={rates.fetchedAt} />
         </Box>
       )}
+
+      {/* Editor for manual rates that take precedence over fetched ones */}
+      <RateOverrides
+        currencies={currencies}
+        onGetRateOverrides={onGetRateOverrides}
+        onAddRateOverride={onAddRateOverride}
+        onUpdateRateOverride={onUpdateRateOverride}
+        onDeleteRateOverride={onDeleteRateOverride}
+        onGetRateHistory={onGetRateHistory}
+      />
+
+      {/* Editor for the currencies offered in forms and reports */}
+      <CurrencyManager
+        key={currencyEditorKey}
+        rates={rates && rates.rates}
+        onChange={setCurrencies}
+      />
+
+      {/* Export of every stored cost item */}
+      <Box sx={{ mt: 3 }}>
+        <Typography variant="subtitle1" gutterBottom>
+          Export All Costs
+        </Typography>
+        <ExportButtons
+          fileName="all-costs"
+          columns={EXPORT_COLUMNS}
+          getRows={getAllCosts}
+        />
+      </Box>
+
+      {/* Full backup of costs, rates and settings */}
+      <BackupRestore
+        onCreateBackup={onCreateBackup}
+        onRestoreBackup={onRestoreBackup}
+        onRestored={handleRestored}
+      />
     </Paper>
   );
 };
@@ -0,0 +1,44 @@
+// Import React library for component creation
+import React from "react";
+// Import Material-UI alert for the warning
+import { Alert } from "@mui/material";
+
+/**
+ * SkippedCosts component - Warning about the costs a report left out
+ * because there is no exchange rate for their currency
+ * @param {Object} props - Component props
+ * @param {Array<Object>} [props.items] - Skipped cost items of the report
+ * @param {Array<Object>} [props.budgets] - Skipped budgets of the report
+ * @returns {JSX.Element|null} Warning, or nothing when nothing was skipped
+ */
+const SkippedCosts = ({ items = [], budgets = [] }) => {
+  // Render nothing when every amount could be converted
+  if (items.length === 0 && budgets.length === 0) {
+    return null;
+  }
+
+  // Currencies without a rate, each named once
+  const currencies = [
+    ...new Set([...items, ...budgets].map((item) => item.currency)),
+  ].sort();
+  const parts = [];
+  if (items.length > 0) {
+    parts.push(items.length === 1 ? "1 cost" : `${items.length} costs`);
+  }
+  if (budgets.length > 0) {
+    parts.push(budgets.length === 1 ? "1 budget" : `${budgets.length} budgets`);
+  }
+
+  return (
+    <Alert severity="warning" sx={{ my: 2 }}>
+      {parts.join(" and ")} in {currencies.join(", ")}{" "}
+      {items.length + budgets.length === 1 ? "is" : "are"} left out of the
+      totals because there is no exchange rate for{" "}
+      {currencies.length === 1 ? "this currency" : "these currencies"}. A manual
+      rate can be set in Settings.
+    </Alert>
+  );
+};
+
+// Export SkippedCosts component as default export
+export default SkippedCosts;
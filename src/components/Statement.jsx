@@ -0,0 +1,382 @@
+// Import React and useState hook for managing component state
+import React, { useState } from "react";
+// Import Material-UI components for the controls, tables and print styles
+import {
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Paper,
+  Typography,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  GlobalStyles,
+} from "@mui/material";
+// Import Material-UI icon for the print action
+import PrintIcon from "@mui/icons-material/Print";
+// Import Recharts components for the embedded charts
+import {
+  PieChart,
+  Pie,
+  Cell,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+} from "recharts";
+// Import the user's currency list from the currency service
+import { getCurrencies, getDefaultCurrency } from "../services/currencyService";
+// Import money formatting using each currency's precision
+import { formatMoney } from "../services/money";
+// Import date helper for the item dates
+import { toDateInputValue } from "../services/dateUtils";
+// Import selector for the exchange-rate conversion mode
+import ConversionSelect from "./ConversionSelect";
+// Import warning about costs left out for lack of an exchange rate
+import SkippedCosts from "./SkippedCosts";
+
+/**
+ * Print styles - only the statement is printed, without the app bar and controls
+ */
+const PRINT_STYLES = {
+  "@media print": {
+    "body *": { visibility: "hidden" },
+    "#statement, #statement *": { visibility: "visible" },
+    "#statement": { position: "absolute", left: 0, top: 0, width: "100%" },
+  },
+};
+
+/**
+ * Statement component - Printable monthly or yearly cost statement
+ * The browser's print dialog is used to print it or save it as PDF.
+ * @param {Object} props - Component props
+ * @param {Function} props.onGetStatement - Callback to fetch statement data by year, month (null for the whole year), currency, and options
+ * @returns {JSX.Element} Statement controls and print layout
+ */
+const Statement = ({ onGetStatement }) => {
+  // Get the current year and month for default values
+  const currentYear = new Date().getFullYear();
+  const currentMonth = new Date().getMonth() + 1;
+
+  // State for managing selected year
+  const [year, setYear] = useState(currentYear);
+  // State for managing selected month (0 for the whole year)
+  const [month, setMonth] = useState(currentMonth);
+  // Currencies configured by the user in Settings
+  const [currencies] = useState(getCurrencies);
+  // State for managing selected currency for conversion
+  const [currency, setCurrency] = useState(getDefaultCurrency);
+  // State for managing which exchange rates are used for conversion
+  const [conversion, setConversion] = useState("current");
+  // State for storing the fetched statement data
+  const [statement, setStatement] = useState(null);
+  // State for displaying error messages
+  const [error, setError] = useState("");
+
+  // Generate array of years for the dropdown (current year and 9 previous years)
+  const years = Array.from({ length: 10 }, (_, i) => currentYear - i);
+  // Month names used for the dropdown and the statement header
+  const monthNames = Array.from({ length: 12 }, (_, i) =>
+    new Date(2000, i, 1).toLocaleString("en", { month: "long" })
+  );
+
+  /**
+   * Fetches the statement for the selected period
+   */
+  const handleGenerate = async () => {
+    try {
+      setError("");
+      // Fetch statement data from parent component callback
+      const data = await onGetStatement(year, month || null, currency, {
+        conversion,
+      });
+      setStatement(data);
+    } catch (err) {
+      // Display error message if the statement cannot be built
+      setStatement(null);
+      setError(err.message || "Failed to generate statement");
+    }
+  };
+
+  // Title of the period covered by the statement
+  const periodTitle =
+    statement &&
+    (statement.month
+      ? `${monthNames[statement.month - 1]} ${statement.year}`
+      : `Year ${statement.year}`);
+
+  return (
+    // Main container paper with elevation shadow and centered layout
+    <Paper elevation={3} sx={{ p: 3, maxWidth: 900, mx: "auto", mt: 3 }}>
+      {/* Print styles are only active while this view is shown */}
+      <GlobalStyles styles={PRINT_STYLES} />
+
+      {/* Statement controls - not part of the printout */}
+      <Typography variant="h5" gutterBottom>
+        Statement
+      </Typography>
+      <Box sx={{ display: "flex", gap: 2, mb: 3, flexWrap: "wrap" }}>
+        {/* Year selector dropdown */}
+        <TextField
+          select
+          label="Year"
+          value={year}
+          onChange={(e) => setYear(e.target.value)}
+          sx={{ minWidth: 120 }}
+        >
+          {years.map((y) => (
+            <MenuItem key={y} value={y}>
+              {y}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        {/* Period selector dropdown - a month or the whole year */}
+        <TextField
+          select
+          label="Period"
+          value={month}
+          onChange={(e) => setMonth(e.target.value)}
+          sx={{ minWidth: 150 }}
+        >
+          <MenuItem value={0}>Whole year</MenuItem>
+          {monthNames.map((name, index) => (
+            <MenuItem key={name} value={index + 1}>
+              {name}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        {/* Currency selector dropdown */}
+        <TextField
+          select
+          label="Currency"
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          sx={{ minWidth: 100 }}
+        >
+          {currencies.map((curr) => (
+            <MenuItem key={curr} value={curr}>
+              {curr}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        {/* Exchange-rate mode selector (current or purchase-time rates) */}
+        <ConversionSelect value={conversion} onChange={setConversion} />
+
+        {/* Buttons to build the statement and open the print dialog */}
+        <Button variant="contained" onClick={handleGenerate}>
+          Generate
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<PrintIcon />}
+          onClick={() => window.print()}
+          disabled={!statement}
+        >
+          Print / Save as PDF
+        </Button>
+      </Box>
+
+      {/* Error alert message - displayed when the statement fails */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Print layout of the statement */}
+      {statement && (
+        <Box id="statement" sx={{ p: 2, bgcolor: "background.paper" }}>
+          {/* Header with period and currency */}
+          <Typography variant="h4">Cost Statement</Typography>
+          <Typography variant="h6">{periodTitle}</Typography>
+          <Typography color="text.secondary">
+            Amounts converted to {statement.currency} at{" "}
+            {statement.conversion === "purchase"
+              ? "the rate of each purchase date"
+              : "current rates"}
+            . Generated on {new Date().toLocaleString()}.
+          </Typography>
+
+          {/* Costs the statement could not convert */}
+          <SkippedCosts items={statement.skipped} />
+
+          {/* Message when the period has no costs */}
+          {statement.costs.length === 0 && (
+            <Typography sx={{ mt: 3 }}>No costs in this period.</Typography>
+          )}
+
+          {statement.costs.length > 0 && (
+            <Box>
+              {/* Itemized costs with original and converted amounts */}
+              <Typography variant="h6" sx={{ mt: 3 }}>
+                Items
+              </Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Category</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell align="right">Original</TableCell>
+                    <TableCell align="right">
+                      Converted ({statement.currency})
+                    </TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {statement.costs.map((cost) => (
+                    <TableRow key={cost.id}>
+                      <TableCell>{toDateInputValue(cost.date)}</TableCell>
+                      <TableCell>{cost.category}</TableCell>
+                      <TableCell>{cost.description}</TableCell>
+                      <TableCell align="right">
+                        {formatMoney(cost.sumMinor, cost.currency)}{" "}
+                        {cost.currency}
+                      </TableCell>
+                      <TableCell align="right">
+                        {formatMoney(cost.convertedMinor, statement.currency)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  {/* Grand total row */}
+                  <TableRow>
+                    <TableCell colSpan={4}>
+                      <strong>Total</strong>
+                    </TableCell>
+                    <TableCell align="right">
+                      <strong>
+                        {formatMoney(
+                          statement.total.totalMinor,
+                          statement.currency
+                        )}
+                      </strong>
+                    </TableCell>
+                  </TableRow>
+                </TableBody>
+              </Table>
+
+              {/* Subtotals per category with their share of the total */}
+              <Typography variant="h6" sx={{ mt: 3 }}>
+                By Category
+              </Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Category</TableCell>
+                    <TableCell align="right">
+                      Subtotal ({statement.currency})
+                    </TableCell>
+                    <TableCell align="right">Share</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {statement.categories.map((category) => (
+                    <TableRow key={category.name}>
+                      <TableCell>{category.name}</TableCell>
+                      <TableCell align="right">
+                        {formatMoney(category.totalMinor, statement.currency)}
+                      </TableCell>
+                      <TableCell align="right">
+                        {(
+                          (category.totalMinor / statement.total.totalMinor) *
+                          100
+                        ).toFixed(1)}
+                        %
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+
+              {/* Charts with fixed sizes so they print as shown */}
+              <Box
+                sx={{
+                  display: "flex",
+                  flexWrap: "wrap",
+                  gap: 2,
+                  mt: 3,
+                  breakInside: "avoid",
+                }}
+              >
+                <PieChart width={320} height={260}>
+                  <Pie
+                    data={statement.categories}
+                    dataKey="total"
+                    nameKey="name"
+                    outerRadius={90}
+                    label={(entry) => entry.name}
+                    isAnimationActive={false}
+                  >
+                    {statement.categories.map((category) => (
+                      <Cell key={category.name} fill={category.color} />
+                    ))}
+                  </Pie>
+                </PieChart>
+                <BarChart width={500} height={260} data={statement.periods}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis />
+                  <Bar
+                    dataKey="total"
+                    fill="#8884d8"
+                    isAnimationActive={false}
+                  />
+                </BarChart>
+              </Box>
+
+              {/* Exchange rates applied to the converted amounts */}
+              <Typography variant="h6" sx={{ mt: 3 }}>
+                Exchange Rates Used
+              </Typography>
+              {statement.rates.length === 0 ? (
+                <Typography>
+                  All items are in {statement.currency}; no conversion was
+                  needed.
+                </Typography>
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Currency</TableCell>
+                      <TableCell align="right">Rate</TableCell>
+                      <TableCell align="right">Items</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {statement.rates.map((rate) => (
+                      <TableRow key={`${rate.currency}:${rate.rate}`}>
+                        <TableCell>{rate.currency}</TableCell>
+                        <TableCell align="right">
+                          1 {rate.currency} = {Number(rate.rate.toPrecision(6))}{" "}
+                          {statement.currency}
+                        </TableCell>
+                        <TableCell align="right">{rate.items}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+              {statement.ratesAsOf && (
+                <Typography variant="caption" color="text.secondary">
+                  Current exchange rates as of{" "}
+                  {new Date(statement.ratesAsOf).toLocaleString()}
+                </Typography>
+              )}
+            </Box>
+          )}
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+// Export Statement component as default export
+export default Statement;
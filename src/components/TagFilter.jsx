@@ -0,0 +1,44 @@
+// Import React library for component creation
+import React from "react";
+// Import Material-UI components for the filter controls
+import { Box, TextField, MenuItem } from "@mui/material";
+// Import the chip input used to pick the tags
+import TagInput from "./TagInput";
+
+/**
+ * TagFilter component - Narrows a report to costs carrying the chosen tags
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.tags - Tags to filter by (none shows every cost)
+ * @param {Function} props.onTagsChange - Callback invoked with the new list of tags
+ * @param {string} props.match - "any" to match one of the tags, "all" to require every tag
+ * @param {Function} props.onMatchChange - Callback invoked with the new match mode
+ * @param {Array<string>} props.options - Known tags offered as suggestions
+ * @returns {JSX.Element} Tag input with a match-mode selector
+ */
+const TagFilter = ({ tags, onTagsChange, match, onMatchChange, options }) => (
+  <Box sx={{ display: "flex", gap: 2, mb: 3 }}>
+    {/* Tags to filter by */}
+    <TagInput
+      label="Filter by Tags"
+      value={tags}
+      onChange={onTagsChange}
+      options={options}
+      sx={{ flexGrow: 1 }}
+    />
+    {/* Whether an item needs one or all of the tags */}
+    <TextField
+      select
+      label="Match"
+      value={match}
+      onChange={(e) => onMatchChange(e.target.value)}
+      disabled={tags.length < 2}
+      sx={{ minWidth: 130 }}
+    >
+      <MenuItem value="any">Any tag</MenuItem>
+      <MenuItem value="all">All tags</MenuItem>
+    </TextField>
+  </Box>
+);
+
+// Export TagFilter component as default export
+export default TagFilter;
@@ -0,0 +1,47 @@
+// Import React library for component creation
+import React from "react";
+// Import Material-UI components for the chip input
+import { Autocomplete, TextField, Chip } from "@mui/material";
+// Import tag normalization so chips show the stored spelling
+import { normalizeTags } from "../services/tags";
+
+/**
+ * TagInput component - Chip input for a list of tags with autocomplete
+ * Known tags are suggested; typing a new one and pressing Enter adds it.
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.value - Selected tags
+ * @param {Function} props.onChange - Callback invoked with the new list of tags
+ * @param {Array<string>} props.options - Known tags offered as suggestions
+ * @param {string} [props.label] - Input label
+ * @param {string} [props.helperText] - Text shown below the input
+ * @param {Object} [props.sx] - Styles of the input
+ * @returns {JSX.Element} Autocomplete input showing the tags as chips
+ */
+const TagInput = ({
+  value,
+  onChange,
+  options,
+  label = "Tags",
+  helperText,
+  sx,
+}) => (
+  <Autocomplete
+    multiple
+    freeSolo
+    options={options}
+    value={value}
+    onChange={(e, tags) => onChange(normalizeTags(tags))}
+    renderTags={(tags, getTagProps) =>
+      tags.map((tag, index) => (
+        <Chip {...getTagProps({ index })} key={tag} label={tag} size="small" />
+      ))
+    }
+    renderInput={(params) => (
+      <TextField {...params} label={label} helperText={helperText} />
+    )}
+    sx={sx}
+  />
+);
+
+// Export TagInput component as default export
+export default TagInput;
@@ -0,0 +1,172 @@
+// Import React and useState hook for managing component state
+import React, { useState } from "react";
+// Import Material-UI components for the chart switch and the change table
+import {
+  Box,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+// Import Recharts components for grouped bars and overlaid lines
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+// Import currency precision helper for the change amounts
+import { getMinorUnits } from "../services/money";
+
+/**
+ * Colors of the compared years, oldest first
+ */
+const YEAR_COLORS = [
+  "#8884d8",
+  "#82ca9d",
+  "#ffc658",
+  "#ff8042",
+  "#0088fe",
+  "#00c49f",
+];
+
+/**
+ * Formats a change as "+12.50 (+8.3%)" in the currency's precision
+ * @param {Object} change - Change with delta (major units) and percent (or null)
+ * @param {string} currency - Currency of the delta
+ * @returns {string} Signed amount with the percentage when known
+ */
+const formatChange = (change, currency) => {
+  const sign = (value) => (value > 0 ? "+" : "");
+  const amount = `${sign(change.delta)}${change.delta.toFixed(getMinorUnits(currency))}`;
+  return change.percent === null
+    ? amount
+    : `${amount} (${sign(change.percent)}${change.percent}%)`;
+};
+
+/**
+ * YearComparisonChart component - Monthly totals of several years side by side
+ * Shows grouped bars or overlaid lines, and the change of each year from
+ * the previous one below the chart.
+ * @param {Object} props - Component props
+ * @param {Object} props.comparison - Result of the multi-year report (years, data, totals, changes)
+ * @param {string} props.currency - Currency the totals were converted to
+ * @returns {JSX.Element} Comparison chart with a change table
+ */
+const YearComparisonChart = ({ comparison, currency }) => {
+  // State for showing grouped bars ("bar") or overlaid lines ("line")
+  const [chartType, setChartType] = useState("bar");
+
+  // One series per year, colored in order
+  const series = comparison.years.map((year, index) => ({
+    key: String(year),
+    color: YEAR_COLORS[index % YEAR_COLORS.length],
+  }));
+
+  // Color an increase of costs red and a decrease green
+  const changeColor = (change) => {
+    if (change.delta > 0) {
+      return "error.main";
+    }
+    return change.delta < 0 ? "success.main" : "text.secondary";
+  };
+
+  return (
+    <Box>
+      {/* Switch between grouped bars and overlaid lines */}
+      <ToggleButtonGroup
+        size="small"
+        exclusive
+        value={chartType}
+        onChange={(e, value) => value && setChartType(value)}
+        sx={{ mb: 2 }}
+      >
+        <ToggleButton value="bar">Bars</ToggleButton>
+        <ToggleButton value="line">Lines</ToggleButton>
+      </ToggleButtonGroup>
+
+      <ResponsiveContainer width="100%" height={400}>
+        {chartType === "bar" ? (
+          <BarChart data={comparison.data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis />
+            <Tooltip />
+            <Legend />
+            {/* One bar per year in each month group */}
+            {series.map((s) => (
+              <Bar key={s.key} dataKey={s.key} fill={s.color} />
+            ))}
+          </BarChart>
+        ) : (
+          <LineChart data={comparison.data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis />
+            <Tooltip />
+            <Legend />
+            {/* One line per year across the months */}
+            {series.map((s) => (
+              <Line
+                key={s.key}
+                type="monotone"
+                dataKey={s.key}
+                stroke={s.color}
+              />
+            ))}
+          </LineChart>
+        )}
+      </ResponsiveContainer>
+
+      {/* Change of each year from the previous one, per month and in total */}
+      {comparison.changes.length > 0 && (
+        <TableContainer sx={{ mt: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Change ({currency})</TableCell>
+                {comparison.data.map((row) => (
+                  <TableCell key={row.month} align="right">
+                    {row.month}
+                  </TableCell>
+                ))}
+                <TableCell align="right">Total</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {comparison.changes.map((row) => (
+                <TableRow key={`${row.from}-${row.to}`}>
+                  <TableCell>
+                    {row.to} vs {row.from}
+                  </TableCell>
+                  {[...row.months, row.total].map((change, index) => (
+                    <TableCell
+                      key={index}
+                      align="right"
+                      sx={{ color: changeColor(change), whiteSpace: "nowrap" }}
+                    >
+                      {formatChange(change, currency)}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+// Export YearComparisonChart component as default export
+export default YearComparisonChart;
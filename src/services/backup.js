@@ -0,0 +1,93 @@
+/**
+ * backup.js - File format of full database backups.
+ * A backup is a JSON document holding every object store of the costs
+ * database and the settings kept in localStorage. Dates are written as
+ * { "$date": "<ISO string>" } so they come back as Date objects.
+ */
+
+// Identifies backup files written by this application
+export const BACKUP_APP = "cost-manager";
+
+// Version of the backup file layout (not of the database schema)
+export const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Converts Date values (at any depth) into tagged objects for JSON.
+ */
+const encodeDates = (value) => {
+  // Dates read from IndexedDB may come from another realm, so the tag is
+  // checked instead of instanceof
+  if (Object.prototype.toString.call(value) === "[object Date]") {
+    return { $date: value.toISOString() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeDates);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, encodeDates(item)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Turns a backup object (as returned by createBackup) into JSON text.
+ */
+export const serializeBackup = (backup) => {
+  return JSON.stringify(encodeDates(backup), null, 2);
+};
+
+/**
+ * Parses and validates the text of a backup file.
+ * Throws an error describing the problem if the file is not a backup.
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    // Revive tagged dates while parsing
+    backup = JSON.parse(text, (key, value) =>
+      value && typeof value === "object" && typeof value.$date === "string"
+        ? new Date(value.$date)
+        : value
+    );
+  } catch {
+    throw new Error("The backup file is not valid JSON");
+  }
+
+  // Check the envelope before looking at the data
+  if (!backup || backup.app !== BACKUP_APP) {
+    throw new Error("The file is not a Cost Manager backup");
+  }
+  if (backup.formatVersion !== BACKUP_FORMAT_VERSION) {
+    throw new Error(`Unsupported backup format ${backup.formatVersion}`);
+  }
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+    throw new Error("The backup has no valid schema version");
+  }
+
+  // Every store must be a list of records
+  if (!backup.stores || typeof backup.stores !== "object") {
+    throw new Error("The backup contains no data");
+  }
+  Object.keys(backup.stores).forEach((name) => {
+    const records = backup.stores[name];
+    if (
+      !Array.isArray(records) ||
+      records.some((record) => !record || typeof record !== "object")
+    ) {
+      throw new Error(`The backup data for "${name}" is damaged`);
+    }
+  });
+
+  // Settings are optional, but must be a map of strings when present
+  const settings = backup.settings || {};
+  if (
+    typeof settings !== "object" ||
+    Object.values(settings).some((value) => typeof value !== "string")
+  ) {
+    throw new Error("The backup settings are damaged");
+  }
+
+  return { ...backup, settings };
+};
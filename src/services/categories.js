@@ -0,0 +1,70 @@
+/**
+ * categories.js - Category naming and default appearance.
+ * Category names are compared case-insensitively after trimming, so
+ * "Food", "food " and "FOOD" are the same category. Each category keeps
+ * its own colour so it looks the same in every chart.
+ */
+
+// Colours assigned to new categories
+export const CATEGORY_COLORS = [
+  "#0088FE",
+  "#00C49F",
+  "#FFBB28",
+  "#FF8042",
+  "#8884D8",
+  "#82CA9D",
+  "#E91E63",
+  "#795548",
+  "#607D8B",
+  "#9C27B0",
+  "#CDDC39",
+  "#009688",
+];
+
+// Icon names a category can use (see components/CategoryIcon.jsx)
+export const CATEGORY_ICONS = [
+  "Category",
+  "Restaurant",
+  "ShoppingCart",
+  "DirectionsCar",
+  "Home",
+  "LocalHospital",
+  "School",
+  "Flight",
+  "SportsEsports",
+  "Pets",
+  "Receipt",
+  "Savings",
+];
+
+// Icon of categories created without choosing one
+export const DEFAULT_CATEGORY_ICON = "Category";
+
+/**
+ * Trims a category name and collapses inner whitespace.
+ */
+export const normalizeCategoryName = (name) => {
+  return String(name || "")
+    .trim()
+    .replace(/\s+/g, " ");
+};
+
+/**
+ * Returns the key used to detect duplicate category names.
+ */
+export const getCategoryKey = (name) => {
+  return normalizeCategoryName(name).toLowerCase();
+};
+
+/**
+ * Picks a colour for a category from its name, so a category gets the
+ * same colour wherever it is created.
+ */
+export const getDefaultCategoryColor = (name) => {
+  const key = getCategoryKey(name);
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) % 1000003;
+  }
+  return CATEGORY_COLORS[hash % CATEGORY_COLORS.length];
+};
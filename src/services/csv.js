@@ -0,0 +1,99 @@
+/**
+ * csv.js - Minimal CSV reader for the Cost Manager application.
+ * Follows RFC 4180: quoted fields may contain delimiters, line breaks
+ * and doubled quotes. Everything runs locally in the browser.
+ */
+
+// Delimiters considered when detecting the format of a file
+const DELIMITERS = [",", ";", "\t"];
+
+/**
+ * Guesses the delimiter from the first line of the text
+ * (the candidate that occurs most often outside quotes).
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, "");
+  let best = ",";
+  let bestCount = 0;
+
+  DELIMITERS.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Parses CSV text into an array of rows, each an array of strings.
+ * Empty lines are skipped. The delimiter is detected if not given.
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a byte-order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      // A doubled quote is a literal quote; a single one ends the field
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      // Treat CRLF as a single line break
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  // Keep the last row when the file does not end with a line break
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop rows that contain only empty fields
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+/**
+ * Quotes a value for CSV output when it contains a delimiter,
+ * a quote or a line break.
+ */
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows (arrays of values) into CSV text with CRLF line breaks.
+ */
+export const toCsv = (rows) => {
+  return rows.map((row) => row.map(escapeCsvField).join(",")).join("\r\n");
+};
@@ -1,12 +1,16 @@
 /**
  * Currency service for managing exchange rates
- * Provides a centralized place for supported currencies
- * and for storing / retrieving the exchange rate API URL.
+ * Provides a centralized place for supported currencies,
+ * for storing / retrieving the exchange rate API settings,
+ * and for parsing the supported exchange-rate response formats.
  */
 
-// List of supported currency symbols (as required by the project)
-// These currencies are available for cost entry and reporting
-export const CURRENCIES = ["USD", "ILS", "GBP", "EURO"];
+// Currencies offered until the user configures their own list in Settings
+// These ISO 4217 codes are available for cost entry and reporting
+export const DEFAULT_CURRENCIES = ["USD", "ILS", "GBP", "EUR"];
+
+// Non-standard codes (used by older data and rate feeds) and their ISO codes
+export const CURRENCY_ALIASES = { EURO: "EUR", NIS: "ILS" };
 
 // Default public URL for fetching exchange rates (fallback)
 // This URL is used if the user hasn't configured a custom URL
@@ -31,3 +35,359 @@ export const setExchangeRateUrl = (url) => {
   // Store the custom URL in browser's local storage
   localStorage.setItem("exchangeRateUrl", url);
 };
+
+// Default lifetime of cached exchange rates, in minutes
+export const DEFAULT_RATES_TTL_MINUTES = 60;
+
+/**
+ * Returns how long fetched exchange rates are reused before refetching.
+ * Uses the value configured in Settings, or the default.
+ */
+export const getRatesTtlMinutes = () => {
+  // Read the stored lifetime and ignore missing or invalid values
+  const stored = Number(localStorage.getItem("exchangeRateTtlMinutes"));
+  return stored > 0 ? stored : DEFAULT_RATES_TTL_MINUTES;
+};
+
+/**
+ * Saves the exchange rate cache lifetime (in minutes) chosen by the user.
+ */
+export const setRatesTtlMinutes = (minutes) => {
+  // Store the lifetime in browser's local storage
+  localStorage.setItem("exchangeRateTtlMinutes", String(minutes));
+};
+
+// Currency all exchange rates are expressed against (1 BASE = rate CODE)
+export const BASE_CURRENCY = "USD";
+
+/**
+ * Response formats understood by the exchange-rate loader.
+ * Each adapter turns the raw response text into { base, rates },
+ * where base may be null when the feed does not declare one.
+ */
+export const RATE_PROVIDERS = {
+  flat: {
+    label: 'Flat JSON map ({ "USD": 1, "ILS": 3.4 })',
+    parse: (text) => {
+      // The whole document is the rate table
+      const data = parseJson(text);
+      return { base: null, rates: data };
+    },
+  },
+  baseRates: {
+    label: 'JSON with base ({ "base": "EUR", "rates": { ... } })',
+    parse: (text) => {
+      // The table lives under "rates", optionally with its base currency
+      const data = parseJson(text);
+      if (!data.rates || typeof data.rates !== "object") {
+        throw new Error('Exchange rate response has no "rates" object');
+      }
+      return { base: data.base || null, rates: data.rates };
+    },
+  },
+  ecbXml: {
+    label: "ECB XML (<Cube currency rate>)",
+    parse: (text) => {
+      // ECB publishes rates against the euro as Cube elements
+      const xml = new DOMParser().parseFromString(text, "application/xml");
+      if (xml.getElementsByTagName("parsererror").length > 0) {
+        throw new Error("Exchange rate response is not valid XML");
+      }
+
+      const rates = {};
+      Array.from(xml.getElementsByTagName("Cube")).forEach((cube) => {
+        const code = cube.getAttribute("currency");
+        if (code) {
+          rates[code] = Number(cube.getAttribute("rate"));
+        }
+      });
+      return { base: "EUR", rates };
+    },
+  },
+  csv: {
+    label: "CSV (currency,rate per line)",
+    parse: (text) => {
+      // Each line holds a code and its rate; a header line is skipped
+      const rates = {};
+      text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line !== "")
+        .forEach((line, index) => {
+          const [code, rate] = line.split(/[,;]/).map((cell) => cell.trim());
+          if (index === 0 && Number.isNaN(Number(rate))) {
+            return;
+          }
+          rates[code] = Number(rate);
+        });
+      return { base: null, rates };
+    },
+  },
+};
+
+/**
+ * Parses JSON text, reporting a readable error for malformed responses.
+ */
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error("Exchange rate response is not valid JSON");
+  }
+};
+
+/**
+ * Guesses the response format from its content.
+ */
+export const detectRatesFormat = (text) => {
+  const trimmed = text.trim();
+
+  // XML documents start with a tag
+  if (trimmed.startsWith("<")) {
+    return "ecbXml";
+  }
+
+  // JSON objects either carry a nested "rates" table or are the table
+  if (trimmed.startsWith("{")) {
+    const data = parseJson(trimmed);
+    return data.rates && typeof data.rates === "object" ? "baseRates" : "flat";
+  }
+
+  // Anything else is treated as delimited text
+  return "csv";
+};
+
+/**
+ * Converts a raw exchange-rate response into a validated rate table.
+ * Codes are mapped to ISO 4217, the table is rebased to BASE_CURRENCY, and
+ * it must contain a positive rate for every currency in the user's list;
+ * otherwise a precise error is thrown.
+ */
+export const parseExchangeRates = (text, format = "auto") => {
+  // Pick the adapter for the configured or detected format
+  const formatName = format === "auto" ? detectRatesFormat(text) : format;
+  const provider = RATE_PROVIDERS[formatName];
+  if (!provider) {
+    throw new Error(`Unknown exchange rate format "${format}"`);
+  }
+
+  const { base, rates } = provider.parse(text);
+  if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+    throw new Error("Exchange rate response does not contain a rate table");
+  }
+
+  // Map feed codes onto supported codes and add the implicit base rate
+  const table = {};
+  Object.keys(rates).forEach((code) => {
+    table[normalizeCurrencyCode(code)] = Number(rates[code]);
+  });
+  const baseCode = base && normalizeCurrencyCode(base);
+  if (baseCode && table[baseCode] === undefined) {
+    table[baseCode] = 1;
+  }
+
+  // Rebase so every rate is expressed per one unit of BASE_CURRENCY
+  const baseRate = table[BASE_CURRENCY];
+  if (!(baseRate > 0)) {
+    throw new Error(
+      `Exchange rate response has no valid rate for ${BASE_CURRENCY}, ` +
+        "so it cannot be rebased"
+    );
+  }
+  const rebased = {};
+  Object.keys(table).forEach((code) => {
+    rebased[code] = table[code] / baseRate;
+  });
+
+  // Every currency in the user's list needs a finite, positive rate
+  getCurrencies().forEach((code) => {
+    if (rebased[code] === undefined) {
+      throw new Error(`Exchange rate response is missing a rate for ${code}`);
+    }
+    if (!Number.isFinite(rebased[code]) || rebased[code] <= 0) {
+      throw new Error(
+        `Exchange rate for ${code} must be a positive number ` +
+          `(got ${String(table[code])})`
+      );
+    }
+  });
+
+  return rebased;
+};
+
+/**
+ * Fetches the configured exchange-rate URL and returns a validated,
+ * rebased rate table. Throws with a precise message on any failure.
+ */
+export const fetchExchangeRates = async (
+  url = getExchangeRateUrl(),
+  format = getRatesFormat()
+) => {
+  // Request the raw response text so any supported format can be parsed
+  let response;
+  try {
+    response = await fetch(url);
+  } catch {
+    throw new Error(`Could not reach the exchange rate URL ${url}`);
+  }
+
+  // Check if response status is OK (200)
+  if (response.status !== 200) {
+    throw new Error(
+      `Exchange rate URL responded with status ${response.status}`
+    );
+  }
+
+  return parseExchangeRates(await response.text(), format);
+};
+
+/**
+ * Returns the response format chosen in Settings ("auto" by default).
+ */
+export const getRatesFormat = () => {
+  // Retrieve the stored format, falling back to auto-detection
+  return localStorage.getItem("exchangeRateFormat") || "auto";
+};
+
+/**
+ * Saves the exchange-rate response format chosen by the user.
+ */
+export const setRatesFormat = (format) => {
+  // Store the format in browser's local storage
+  localStorage.setItem("exchangeRateFormat", format);
+};
+
+/**
+ * Maps a currency code to its ISO 4217 form (e.g. "euro" -> "EUR").
+ */
+export const normalizeCurrencyCode = (code) => {
+  const upper = String(code).trim().toUpperCase();
+  return CURRENCY_ALIASES[upper] || upper;
+};
+
+/**
+ * Checks whether a code is a known ISO 4217 currency code.
+ * Uses the browser's currency list when available.
+ */
+export const isValidCurrencyCode = (code) => {
+  // Codes are always three upper-case letters
+  if (!/^[A-Z]{3}$/.test(code)) {
+    return false;
+  }
+
+  // Prefer the exact list of codes the browser knows about
+  if (typeof Intl.supportedValuesOf === "function") {
+    return Intl.supportedValuesOf("currency").includes(code);
+  }
+  return true;
+};
+
+/**
+ * Returns a readable name for a currency code, such as "Euro".
+ * Falls back to the code itself when the browser has no name for it.
+ */
+export const getCurrencyName = (code) => {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "currency" }).of(code);
+  } catch {
+    return code;
+  }
+};
+
+/**
+ * Returns the user's ordered list of currencies.
+ * Uses the list configured in Settings, or the default list.
+ */
+export const getCurrencies = () => {
+  // Read the stored list and ignore missing or corrupted values
+  try {
+    const stored = JSON.parse(localStorage.getItem("currencies"));
+    if (Array.isArray(stored) && stored.length > 0) {
+      return stored.map(normalizeCurrencyCode);
+    }
+  } catch {
+    // Fall through to the default list
+  }
+  return DEFAULT_CURRENCIES;
+};
+
+/**
+ * Saves the user's ordered list of currencies.
+ * Codes are normalized to ISO 4217 and duplicates are dropped.
+ */
+export const setCurrencies = (codes) => {
+  // Normalize the codes while keeping the user's order
+  const unique = [];
+  codes.map(normalizeCurrencyCode).forEach((code) => {
+    if (!unique.includes(code)) {
+      unique.push(code);
+    }
+  });
+
+  // Store the list in browser's local storage
+  localStorage.setItem("currencies", JSON.stringify(unique));
+};
+
+/**
+ * Returns the currency preselected in forms and reports.
+ * Falls back to the first currency of the list if none was chosen
+ * or the chosen one was removed from the list.
+ */
+export const getDefaultCurrency = () => {
+  const currencies = getCurrencies();
+  const stored = localStorage.getItem("defaultCurrency");
+  return stored && currencies.includes(stored) ? stored : currencies[0];
+};
+
+/**
+ * Saves the currency preselected in forms and reports.
+ */
+export const setDefaultCurrency = (code) => {
+  // Store the default currency in browser's local storage
+  localStorage.setItem("defaultCurrency", normalizeCurrencyCode(code));
+};
+
+// localStorage keys of the settings managed by this service
+export const SETTINGS_KEYS = [
+  "exchangeRateUrl",
+  "exchangeRateTtlMinutes",
+  "exchangeRateFormat",
+  "currencies",
+  "defaultCurrency",
+];
+
+/**
+ * Returns the stored settings as a map of localStorage key to raw value.
+ * Settings that were never changed are left out.
+ */
+export const getSettings = () => {
+  const settings = {};
+  SETTINGS_KEYS.forEach((key) => {
+    const value = localStorage.getItem(key);
+    if (value !== null) {
+      settings[key] = value;
+    }
+  });
+  return settings;
+};
+
+/**
+ * Stores settings read by getSettings (e.g. from a backup).
+ * With overwrite, every known setting is replaced and the ones missing
+ * from the map are reset to their defaults; otherwise only settings
+ * not stored yet are filled in. Unknown keys are ignored.
+ */
+export const restoreSettings = (settings, overwrite) => {
+  SETTINGS_KEYS.forEach((key) => {
+    const value = settings[key];
+    const isStored = localStorage.getItem(key) !== null;
+
+    if (typeof value === "string") {
+      if (overwrite || !isStored) {
+        localStorage.setItem(key, value);
+      }
+    } else if (overwrite) {
+      localStorage.removeItem(key);
+    }
+  });
+};
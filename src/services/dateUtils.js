@@ -0,0 +1,175 @@
+/**
+ * Date helpers shared by the data layer and the form components.
+ * Cost dates are calendar days in the user's local time zone, so
+ * "YYYY-MM-DD" strings are always read and written as local dates.
+ */
+
+/**
+ * Converts a Date into the "YYYY-MM-DD" format used by date inputs.
+ */
+export const toDateInputValue = (date) => {
+  // Pad month and day to two digits as required by <input type="date">
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parses a Date or a "YYYY-MM-DD" string into a local Date.
+ * Returns null if the value does not describe a real calendar day.
+ */
+export const parseCostDate = (value) => {
+  // Accept Date objects as long as they hold a valid time
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : new Date(value.getTime());
+  }
+
+  // Only the plain "YYYY-MM-DD" form is accepted for strings
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) {
+    return null;
+  }
+
+  // Build the date in local time (new Date("YYYY-MM-DD") would use UTC)
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  const date = new Date(year, month - 1, day);
+
+  // Reject overflowing values such as 2024-02-31
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return date;
+};
+
+// Day orders accepted when reading dates from imported files
+export const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"];
+
+/**
+ * Parses a date written in one of DATE_FORMATS into a local Date.
+ * Slashes, dots and dashes are accepted as separators.
+ * Returns null if the text is not a real calendar day in that format.
+ */
+export const parseDateInFormat = (text, format) => {
+  const parts = String(text).trim().split(/[/.-]/);
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  // Reorder the parts into year, month and day
+  let year;
+  let month;
+  let day;
+  if (format === "DD/MM/YYYY") {
+    [day, month, year] = parts;
+  } else if (format === "MM/DD/YYYY") {
+    [month, day, year] = parts;
+  } else {
+    [year, month, day] = parts;
+  }
+
+  // Two-digit years are ambiguous, so only full years are accepted
+  if (year.length !== 4) {
+    return null;
+  }
+
+  // Reuse the strict "YYYY-MM-DD" parser for the range checks
+  return parseCostDate(
+    `${year.padStart(4, "0")}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`
+  );
+};
+
+// First month (1-12) of the fiscal year used by the "fiscalYear" preset
+export const FISCAL_YEAR_START_MONTH = 4;
+
+/**
+ * Returns the { from, to } "YYYY-MM-DD" days of a named range preset,
+ * relative to today: "last7", "last30", "last90", "thisMonth",
+ * "lastMonth", "thisYear", "lastYear" or "fiscalYear".
+ * Returns null for unknown presets (such as "custom").
+ */
+export const getPresetRange = (preset, today = new Date()) => {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  const day = today.getDate();
+  // Builds the range from local Date parts (overflowing days roll over)
+  const range = (from, to) => ({
+    from: toDateInputValue(from),
+    to: toDateInputValue(to),
+  });
+
+  switch (preset) {
+    case "last7":
+      return range(new Date(year, month, day - 6), today);
+    case "last30":
+      return range(new Date(year, month, day - 29), today);
+    case "last90":
+      return range(new Date(year, month, day - 89), today);
+    case "thisMonth":
+      return range(new Date(year, month, 1), new Date(year, month + 1, 0));
+    case "lastMonth":
+      return range(new Date(year, month - 1, 1), new Date(year, month, 0));
+    case "thisYear":
+      return range(new Date(year, 0, 1), new Date(year, 11, 31));
+    case "lastYear":
+      return range(new Date(year - 1, 0, 1), new Date(year - 1, 11, 31));
+    case "fiscalYear": {
+      // The fiscal year containing today, e.g. April 1 to March 31
+      const startYear = month + 1 >= FISCAL_YEAR_START_MONTH ? year : year - 1;
+      return range(
+        new Date(startYear, FISCAL_YEAR_START_MONTH - 1, 1),
+        new Date(startYear + 1, FISCAL_YEAR_START_MONTH - 1, 0)
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Chooses the bar size for a chart of the days from..to (local Dates):
+ * "day" up to a month, "week" up to half a year, otherwise "month".
+ */
+export const getRangeBucket = (from, to) => {
+  // Count calendar days without being thrown off by DST changes
+  const days =
+    Math.round(
+      (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+        Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) /
+        86400000
+    ) + 1;
+  if (days <= 31) {
+    return "day";
+  }
+  return days <= 183 ? "week" : "month";
+};
+
+/**
+ * Returns the local midnight starting the day, week (Monday) or month
+ * bucket that contains the date.
+ */
+export const getBucketStart = (date, bucket) => {
+  if (bucket === "month") {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+  // Days since Monday (getDay() is 0 for Sunday)
+  const offset = bucket === "week" ? (date.getDay() + 6) % 7 : 0;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+};
+
+/**
+ * Returns the start of the bucket following the one starting at start.
+ */
+export const getNextBucketStart = (start, bucket) => {
+  if (bucket === "month") {
+    return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+  }
+  const days = bucket === "week" ? 7 : 1;
+  return new Date(
+    start.getFullYear(),
+    start.getMonth(),
+    start.getDate() + days
+  );
+};
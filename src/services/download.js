@@ -0,0 +1,24 @@
+/**
+ * download.js - Saves generated files from the browser.
+ * Files are built in memory and handed to the browser's download
+ * mechanism; nothing is sent to a server.
+ */
+
+/**
+ * Starts a download of the given text content under fileName.
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  // A temporary link triggers the browser's save dialog
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Release the object URL once the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,274 @@
+/**
+ * forecast.js - Projection of spending from the cost history.
+ * Works on cost entries already converted to one currency:
+ * [{ date, amountMinor, category, description }] with integer amounts.
+ *
+ * Two models project the current month's total:
+ * - run rate: the month so far, extended at the same daily pace;
+ * - smoothed: recurring items (the same category and description for a
+ *   similar amount in most past months) are counted once each, and the
+ *   remaining spending continues at a daily pace that blends this month
+ *   with an exponentially weighted average of the past months.
+ * The smoothed model also projects the remaining months of the year.
+ */
+
+import { getCategoryKey } from "./categories";
+
+// Number of complete months before the current one used as history
+export const FORECAST_HISTORY_MONTHS = 12;
+
+// Weight of the most recent month in the exponential average (0..1)
+const SMOOTHING = 0.5;
+
+// Share of the history months an item must appear in to be recurring
+const RECURRING_MIN_SHARE = 0.5;
+
+// Largest deviation from the typical amount of a recurring item
+const RECURRING_TOLERANCE = 0.2;
+
+/**
+ * Returns the number of days in a month (1-12).
+ */
+export const getDaysInMonth = (year, month) => {
+  return new Date(year, month, 0).getDate();
+};
+
+/**
+ * Returns the first day of the history read for a forecast made on today.
+ */
+export const getForecastHistoryStart = (today) => {
+  return new Date(
+    today.getFullYear(),
+    today.getMonth() - FORECAST_HISTORY_MONTHS,
+    1
+  );
+};
+
+/**
+ * Projects a month's total at the pace of the days elapsed so far.
+ */
+export const projectRunRate = (spentMinor, daysElapsed, daysInMonth) => {
+  if (daysElapsed <= 0) {
+    return spentMinor;
+  }
+  return Math.round((spentMinor / daysElapsed) * daysInMonth);
+};
+
+/**
+ * Returns the key that identifies repeats of the same item.
+ */
+const getRecurringKey = (entry) => {
+  return `${getCategoryKey(entry.category)}|${String(entry.description || "")
+    .trim()
+    .toLowerCase()}`;
+};
+
+/**
+ * Returns the key of the calendar month of a date ("YYYY-M").
+ */
+const getMonthKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}`;
+
+/**
+ * Returns the median of a non-empty list of numbers.
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/**
+ * Finds the recurring items of the history: items seen in at least half
+ * of the months (and at least two) whose monthly amount stays within
+ * RECURRING_TOLERANCE of its median.
+ * Returns [{ key, category, description, amountMinor, day }] with the
+ * typical amount and day of the month.
+ */
+export const detectRecurring = (entries, historyMonths) => {
+  // Monthly amount and days of each item, per month it appeared in
+  const items = {};
+  entries.forEach((entry) => {
+    const key = getRecurringKey(entry);
+    const monthKey = getMonthKey(entry.date);
+    if (!items[key]) {
+      items[key] = { first: entry, months: {} };
+    }
+    const month = items[key].months[monthKey] || { amountMinor: 0, days: [] };
+    month.amountMinor += entry.amountMinor;
+    month.days.push(entry.date.getDate());
+    items[key].months[monthKey] = month;
+  });
+
+  const minMonths = Math.max(2, Math.ceil(historyMonths * RECURRING_MIN_SHARE));
+
+  return Object.keys(items)
+    .map((key) => {
+      const months = Object.values(items[key].months);
+      if (months.length < minMonths) {
+        return null;
+      }
+      const amountMinor = median(months.map((m) => m.amountMinor));
+      const stable = months.every(
+        (m) =>
+          Math.abs(m.amountMinor - amountMinor) <=
+          Math.abs(amountMinor) * RECURRING_TOLERANCE
+      );
+      if (!stable) {
+        return null;
+      }
+      return {
+        key,
+        category: items[key].first.category,
+        description: items[key].first.description,
+        amountMinor,
+        day: median(months.map((m) => median(m.days))),
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Rates the certainty of a projection from its relative uncertainty.
+ */
+const getConfidence = (uncertainty) => {
+  if (uncertainty < 0.15) {
+    return "high";
+  }
+  return uncertainty < 0.35 ? "medium" : "low";
+};
+
+/**
+ * Projects the month of today and the remaining months of its year.
+ * entries must cover the months from getForecastHistoryStart(today) up to
+ * today. Resolves amounts in minor units:
+ * {
+ *   current: { year, month, spentMinor, daysElapsed, daysInMonth,
+ *     runRateMinor, smoothedMinor, pendingRecurringMinor, confidence },
+ *   months: [{ year, month, projectedMinor, confidence }],
+ *   recurring: [{ key, category, description, amountMinor, day }]
+ * }
+ * where confidence is "high", "medium" or "low".
+ */
+export const forecastSpending = (entries, today) => {
+  const year = today.getFullYear();
+  const month = today.getMonth() + 1;
+  const daysInMonth = getDaysInMonth(year, month);
+  const daysElapsed = today.getDate();
+  const currentKey = getMonthKey(today);
+
+  const past = entries.filter(
+    (entry) => getMonthKey(entry.date) !== currentKey
+  );
+  const current = entries.filter(
+    (entry) => getMonthKey(entry.date) === currentKey && entry.date <= today
+  );
+
+  // History starts at the first month with a cost, so months before the
+  // first recorded cost do not count as months without spending
+  const firstDate = past.reduce(
+    (first, entry) => (entry.date < first ? entry.date : first),
+    today
+  );
+  const start = new Date(firstDate.getFullYear(), firstDate.getMonth(), 1);
+  const historyStart = getForecastHistoryStart(today);
+  const months = [];
+  for (
+    let date = start < historyStart ? historyStart : start;
+    getMonthKey(date) !== currentKey;
+    date = new Date(date.getFullYear(), date.getMonth() + 1, 1)
+  ) {
+    months.push({
+      key: getMonthKey(date),
+      days: getDaysInMonth(date.getFullYear(), date.getMonth() + 1),
+    });
+  }
+
+  const recurring = detectRecurring(past, months.length);
+  const recurringKeys = new Set(recurring.map((item) => item.key));
+  const isRecurring = (entry) => recurringKeys.has(getRecurringKey(entry));
+  const recurringMinor = recurring.reduce((sum, r) => sum + r.amountMinor, 0);
+
+  // Daily pace of the non-recurring spending in each past month
+  const variableByMonth = {};
+  past
+    .filter((entry) => !isRecurring(entry))
+    .forEach((entry) => {
+      const key = getMonthKey(entry.date);
+      variableByMonth[key] = (variableByMonth[key] || 0) + entry.amountMinor;
+    });
+  const paces = months.map((m) => (variableByMonth[m.key] || 0) / m.days);
+
+  // Exponentially weighted average, the latest month weighing most
+  const historyPace = paces.reduce(
+    (average, pace, index) =>
+      index === 0 ? pace : SMOOTHING * pace + (1 - SMOOTHING) * average,
+    0
+  );
+
+  // This month's spending so far, and which recurring items are still due
+  const spentMinor = current.reduce((sum, entry) => sum + entry.amountMinor, 0);
+  const seenKeys = new Set(current.map(getRecurringKey));
+  const pendingRecurringMinor = recurring
+    .filter((item) => !seenKeys.has(item.key))
+    .reduce((sum, item) => sum + item.amountMinor, 0);
+  const currentVariableMinor = current
+    .filter((entry) => !isRecurring(entry))
+    .reduce((sum, entry) => sum + entry.amountMinor, 0);
+
+  // Trust this month's pace more the further the month has progressed
+  const elapsedShare = daysElapsed / daysInMonth;
+  const currentPace = currentVariableMinor / daysElapsed;
+  const pace =
+    months.length === 0
+      ? currentPace
+      : elapsedShare * currentPace + (1 - elapsedShare) * historyPace;
+
+  // Spread of the past monthly totals relative to their mean; without
+  // enough history the projection is uncertain
+  const monthlyTotals = months.map(
+    (m) => (variableByMonth[m.key] || 0) + recurringMinor
+  );
+  let variability = 1;
+  if (monthlyTotals.length >= 3) {
+    const mean =
+      monthlyTotals.reduce((sum, total) => sum + total, 0) /
+      monthlyTotals.length;
+    const variance =
+      monthlyTotals.reduce((sum, total) => sum + (total - mean) ** 2, 0) /
+      monthlyTotals.length;
+    variability = mean > 0 ? Math.sqrt(variance) / mean : 1;
+  }
+
+  // Later months of the year at the blended pace plus the recurring items
+  const nextMonths = [];
+  for (let next = month + 1; next <= 12; next += 1) {
+    nextMonths.push({
+      year,
+      month: next,
+      projectedMinor:
+        Math.round(pace * getDaysInMonth(year, next)) + recurringMinor,
+      confidence: getConfidence(variability * (1 + (next - month) / 6)),
+    });
+  }
+
+  return {
+    current: {
+      year,
+      month,
+      spentMinor,
+      daysElapsed,
+      daysInMonth,
+      runRateMinor: projectRunRate(spentMinor, daysElapsed, daysInMonth),
+      smoothedMinor:
+        spentMinor +
+        Math.round(pace * (daysInMonth - daysElapsed)) +
+        pendingRecurringMinor,
+      pendingRecurringMinor,
+      confidence: getConfidence(variability * (1 - elapsedShare)),
+    },
+    months: nextMonths,
+    recurring,
+  };
+};
@@ -5,69 +5,229 @@
  */
 
 // Import function to get the exchange rate API URL
-import { getExchangeRateUrl } from "./currencyService";
+import {
+  getExchangeRateUrl,
+  getRatesFormat,
+  getRatesTtlMinutes,
+  fetchExchangeRates,
+  normalizeCurrencyCode,
+  isValidCurrencyCode,
+  BASE_CURRENCY,
+  getSettings,
+  restoreSettings,
+} from "./currencyService";
+// Import helper for validating cost dates
+import {
+  parseCostDate,
+  toDateInputValue,
+  getRangeBucket,
+  getBucketStart,
+  getNextBucketStart,
+} from "./dateUtils";
+// Import exact minor-unit money helpers
+import {
+  toMinorUnits,
+  fromMinorUnits,
+  convertMinorUnits,
+  canConvert,
+  sumMinorUnits,
+} from "./money";
+// Import the schema migration registry
+import { DB_VERSION, runMigrations } from "./migrations";
+// Import the backup file identifiers
+import { BACKUP_APP, BACKUP_FORMAT_VERSION } from "./backup";
+// Import category naming and default appearance helpers
+import {
+  normalizeCategoryName,
+  getCategoryKey,
+  getDefaultCategoryColor,
+  DEFAULT_CATEGORY_ICON,
+} from "./categories";
+// Import tag normalization
+import { normalizeTags } from "./tags";
+// Import the spending projection models
+import { forecastSpending, getForecastHistoryStart } from "./forecast";
+// Import the schedules of recurring costs
+import {
+  RECURRING_FREQUENCIES,
+  getDueOccurrences,
+  getOccurrenceKey,
+} from "./recurrence";
+// Import the search tokens and ranking of the full-text search
+import { tokenize, withSearchTokens, scoreSearchMatch } from "./search";
+// Import the resolution of manual exchange rates
+import { applyRateOverrides } from "./rateOverrides";
+
+// Re-export the schema version so callers can open the current database
+export { DB_VERSION };
 
 // Holds the active IndexedDB instance after opening the database
 let dbInstance = null;
 
+// The open request of the latest openCostsDB call, until it is closed
+let latestOpenRequest = null;
+
+// Shared promise for an exchange-rate request that is still in flight
+let pendingRatesRequest = null;
+
+// Text fields of a stored cost item that may be changed by updateCost
+const EDITABLE_FIELDS = ["category", "description"];
+
+// Largest number of results a search returns by default
+const SEARCH_RESULT_LIMIT = 50;
+
+// Number of months before a budget's month that rollover looks back over
+const BUDGET_ROLLOVER_MONTHS = 12;
+
+// Fields of a recurring cost that may be changed by updateRecurring
+const RECURRING_FIELDS = [
+  "sum",
+  "currency",
+  "category",
+  "description",
+  "tags",
+  "frequency",
+  "interval",
+  "startDate",
+  "endDate",
+  "paused",
+];
+
 /**
  * Opens (or creates) the IndexedDB database.
+ * Runs any pending schema migrations up to DB_VERSION, so older
+ * callers asking for version 1 still get the current schema.
  * Returns an object exposing the main data-access functions.
+ * Every function works on the database opened last, so opening the
+ * database of another ledger (see ledgers.js) switches all of them.
+ * An open that finishes after a later openCostsDB or closeCostsDB call
+ * closes its connection and rejects instead.
  */
 export const openCostsDB = (databaseName, databaseVersion) => {
   return new Promise((resolve, reject) => {
-    // Attempt to open the IndexedDB database with specified name and version
-    const request = indexedDB.open(databaseName, databaseVersion);
+    // Refuse versions this build has no migrations for
+    if (databaseVersion > DB_VERSION) {
+      reject(new Error(`Unknown database version ${databaseVersion}`));
+      return;
+    }
+
+    // Attempt to open the IndexedDB database at the current schema version
+    const request = indexedDB.open(databaseName, DB_VERSION);
+    latestOpenRequest = request;
+    // Holds the error of a failed migration step, if any
+    let upgradeError = null;
 
     // Handle database open errors
     request.onerror = () => {
-      reject(new Error("Failed to open database"));
+      // The stored database is newer than the migrations this build knows
+      if (request.error && request.error.name === "VersionError") {
+        reject(
+          new Error(
+            `Database "${databaseName}" was created by a newer version of ` +
+              `the app (this version supports schema ${DB_VERSION}). ` +
+              "Please update the app to open it."
+          )
+        );
+        return;
+      }
+
+      // Report migration failures with the failing step's message
+      reject(
+        new Error(
+          upgradeError
+            ? `Failed to upgrade database: ${upgradeError.message}`
+            : "Failed to open database"
+        )
+      );
     };
 
     // Handle successful database opening
     request.onsuccess = (event) => {
       // Store the database instance for future operations
-      dbInstance = event.target.result;
+      const database = event.target.result;
+      // A later call owns the active database now
+      if (latestOpenRequest !== request) {
+        database.close();
+        reject(new Error(`Opening "${databaseName}" was superseded`));
+        return;
+      }
+      dbInstance = database;
+      // Close this connection when another tab needs to upgrade the schema
+      database.onversionchange = () => {
+        database.close();
+      };
       // Return an object with all database operation functions
       resolve({
         addCost,
+        addCosts,
+        updateCost,
+        deleteCost,
+        getCategories,
+        addCategory,
+        updateCategory,
+        mergeCategories,
+        deleteCategory,
+        getTags,
+        getRecurring,
+        addRecurring,
+        updateRecurring,
+        getRecurringCosts,
+        materializeRecurring,
+        getBudgets,
+        setBudget,
+        deleteBudget,
+        copyBudgets,
+        getBudgetReport,
+        getBudgetStatus,
+        getRateOverrides,
+        addRateOverride,
+        updateRateOverride,
+        deleteRateOverride,
+        getRateHistory,
+        searchCosts,
         getReport,
         getCostsByCategory,
         getYearlyReport,
+        getMultiYearReport,
+        getRangeReport,
+        getRangeCostsByCategory,
+        getRangeTotals,
+        getForecast,
+        getStatement,
+        exportAllCosts,
+        createBackup,
+        restoreBackup,
+        getExchangeRates,
       });
     };
 
-    // Creates object stores and indexes on first run or version upgrade
+    // Runs the ordered migration steps from the stored version to the current one
     request.onupgradeneeded = (event) => {
-      // Get the database instance from the event
-      const db = event.target.result;
-
-      // Check if the "costs" object store already exists
-      if (!db.objectStoreNames.contains("costs")) {
-        // Create the "costs" object store with auto-incrementing ID
-        const objectStore = db.createObjectStore("costs", {
-          keyPath: "id",
-          autoIncrement: true,
-        });
+      const transaction = event.target.transaction;
 
-        // Create index for searching by category
-        objectStore.createIndex("category", "category", { unique: false });
-        // Create index for searching by date added
-        objectStore.createIndex("dateAdded", "dateAdded", { unique: false });
-        // Create composite index for year and month queries
-        objectStore.createIndex("year_month", ["year", "month"], {
-          unique: false,
-        });
-        // Create index for yearly queries
-        objectStore.createIndex("year", "year", { unique: false });
-      }
+      runMigrations(
+        event.target.result,
+        transaction,
+        event.oldVersion,
+        event.newVersion
+      ).catch((error) => {
+        // Abort the upgrade so the database stays at its previous version
+        upgradeError = error;
+        try {
+          transaction.abort();
+        } catch {
+          // The transaction was already aborted by the failing request
+        }
+      });
     };
   });
 };
 
 /**
  * Adds a new cost item to the database.
- * Automatically attaches the current date information.
+ * cost.sum is given in major units and stored as integer minor units.
+ * Uses the optional cost.date (Date or "YYYY-MM-DD") or today's date,
+ * and derives the year, month and day fields used by the indexes.
  */
 export const addCost = (cost) => {
   return new Promise((resolve, reject) => {
@@ -77,118 +237,297 @@ export const addCost = (cost) => {
       return;
     }
 
-    // Get current date and time for timestamp
-    const now = new Date();
-    // Create cost item object with date information
-    const costItem = {
-      sum: cost.sum,
-      currency: cost.currency,
-      category: cost.category,
-      description: cost.description,
-      dateAdded: now,
-      year: now.getFullYear(),
-      month: now.getMonth() + 1,
-      day: now.getDate(),
-    };
+    // Validate the input and build the stored record
+    let costItem;
+    try {
+      costItem = buildCostItem(cost, new Date());
+    } catch (error) {
+      reject(error);
+      return;
+    }
 
-    // Create a read-write transaction for the "costs" object store
-    const transaction = dbInstance.transaction(["costs"], "readwrite");
-    // Get the object store from the transaction
-    const objectStore = transaction.objectStore("costs");
-    // Add the cost item to the database
-    const request = objectStore.add(costItem);
+    // Create a read-write transaction for the costs and their categories
+    const transaction = dbInstance.transaction(
+      ["costs", "categories"],
+      "readwrite"
+    );
+    // Add the cost item once its category has been resolved
+    withStoredCategories(transaction, [costItem], () => {
+      transaction.objectStore("costs").add(withSearchTokens(costItem));
+    });
 
     // Handle successful addition
-    request.onsuccess = () => {
+    transaction.oncomplete = () => {
+      // Snapshot today's rates so the item keeps its entry-time conversion
+      getExchangeRates().catch(() => {});
       // Return the added cost item data
       resolve({
-        sum: costItem.sum,
+        sum: fromMinorUnits(costItem.sumMinor, costItem.currency),
         currency: costItem.currency,
         category: costItem.category,
         description: costItem.description,
+        tags: costItem.tags,
+        date: costItem.date,
       });
     };
 
     // Handle addition errors
-    request.onerror = () => {
+    transaction.onabort = () => {
       reject(new Error("Failed to add cost item"));
     };
   });
 };
 
 /**
- * Returns a detailed monthly report for a given year, month, and currency.
- * The report includes individual cost items and a total sum.
+ * Adds several cost items in a single transaction (all or nothing).
+ * Every item is validated like in addCost before anything is written.
+ * Resolves with the number of items added.
  */
-export const getReport = async (year, month, currency) => {
+export const addCosts = (costs) => {
   return new Promise((resolve, reject) => {
-    // Verify database is initialized
+    // Check if database is initialized before attempting operation
     if (!dbInstance) {
       reject(new Error("Database not opened"));
       return;
     }
 
-    // Create a read-only transaction for the "costs" object store
-    const transaction = dbInstance.transaction(["costs"], "readonly");
+    // Validate every item first so a bad row cannot leave a partial import
+    const now = new Date();
+    let costItems;
+    try {
+      costItems = costs.map((cost, index) => {
+        try {
+          return buildCostItem(cost, now);
+        } catch (error) {
+          throw new Error(`Item ${index + 1}: ${error.message}`);
+        }
+      });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    // Queue every insert in one read-write transaction
+    const transaction = dbInstance.transaction(
+      ["costs", "categories"],
+      "readwrite"
+    );
+    withStoredCategories(transaction, costItems, () => {
+      const objectStore = transaction.objectStore("costs");
+      costItems.forEach((costItem) =>
+        objectStore.add(withSearchTokens(costItem))
+      );
+    });
+
+    // The items are only saved once the whole transaction commits
+    transaction.oncomplete = () => {
+      // Snapshot today's rates so the items keep their entry-time conversion
+      getExchangeRates().catch(() => {});
+      resolve(costItems.length);
+    };
+
+    // Any failed insert aborts the transaction and rolls back all items
+    transaction.onabort = () => {
+      reject(new Error("Failed to add cost items"));
+    };
+  });
+};
+
+/**
+ * Updates an existing cost item with the given fields.
+ * Only sum, currency, category, description, tags and date can be
+ * changed; a new date moves the item to the matching year and month.
+ */
+export const updateCost = (id, patch) => {
+  return new Promise((resolve, reject) => {
+    // Check if database is initialized before attempting operation
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Create a read-write transaction for the costs and their categories
+    const transaction = dbInstance.transaction(
+      ["costs", "categories"],
+      "readwrite"
+    );
     const objectStore = transaction.objectStore("costs");
-    // Use year_month composite index for efficient querying
-    const index = objectStore.index("year_month");
-    // Get all costs for the specified year and month
-    const request = index.getAll([year, month]);
+    // Load the stored item so unchanged fields are preserved
+    const getRequest = objectStore.get(id);
 
-    // Handle successful data retrieval
-    request.onsuccess = async (event) => {
-      // Extract costs from the result
-      const costs = event.target.result;
+    // Handle successful lookup of the existing item
+    getRequest.onsuccess = () => {
+      const existing = getRequest.result;
 
-      try {
-        // Fetch current exchange rates for currency conversion
-        const rates = await fetchExchangeRates();
+      // Reject if no item exists with the given id
+      if (!existing) {
+        reject(new Error("Cost item not found"));
+        return;
+      }
+      if (
+        patch.category !== undefined &&
+        !normalizeCategoryName(patch.category)
+      ) {
+        reject(new Error("Category is required"));
+        return;
+      }
 
-        // Map costs to a simpler format for display
-        const convertedCosts = costs.map((cost) => ({
-          sum: cost.sum,
-          currency: cost.currency,
-          category: cost.category,
-          description: cost.description,
-          Date: { day: cost.day },
-        }));
+      // Copy only the editable text fields from the patch
+      let updatedItem = { ...existing };
+      EDITABLE_FIELDS.forEach((field) => {
+        if (patch[field] !== undefined) {
+          updatedItem[field] = patch[field];
+        }
+      });
+      // Replace the tags with the normalized list from the patch
+      if (patch.tags !== undefined) {
+        updatedItem.tags = normalizeTags(patch.tags);
+      }
 
-        // Calculate total by converting all costs to the target currency
-        const total = convertedCosts.reduce((acc, cost) => {
-          return (
-            acc + convertCurrency(cost.sum, cost.currency, currency, rates)
-          );
-        }, 0);
+      // Keep the major-unit amount when only the currency changes
+      const currency =
+        patch.currency !== undefined
+          ? normalizeCurrencyCode(patch.currency)
+          : existing.currency;
+      if (patch.currency !== undefined && !isValidCurrencyCode(currency)) {
+        reject(new Error(`"${patch.currency}" is not a valid currency code`));
+        return;
+      }
+      const sum =
+        patch.sum !== undefined
+          ? patch.sum
+          : fromMinorUnits(existing.sumMinor, existing.currency);
+      updatedItem.currency = currency;
+      updatedItem.sumMinor = toMinorUnits(sum, currency);
 
-        // Return the complete report with costs and total
+      // Reject amounts that are not numbers
+      if (!Number.isFinite(updatedItem.sumMinor)) {
+        reject(new Error("Invalid cost amount"));
+        return;
+      }
+
+      // Re-derive the date fields if a new date was supplied
+      if (patch.date !== undefined) {
+        const costDate = parseCostDate(patch.date);
+        if (!costDate) {
+          reject(new Error("Invalid cost date"));
+          return;
+        }
+        updatedItem = withCostDate(updatedItem, costDate);
+      }
+
+      // Write the merged item back under the same id, using the stored
+      // spelling of its category
+      withStoredCategories(transaction, [updatedItem], () => {
+        objectStore.put(withSearchTokens(updatedItem));
+      });
+
+      // Handle successful update
+      transaction.oncomplete = () => {
+        // Return the updated cost item data
         resolve({
-          year,
-          month,
-          costs: convertedCosts,
-          total: {
-            currency,
-            total,
-          },
+          id: updatedItem.id,
+          sum: fromMinorUnits(updatedItem.sumMinor, updatedItem.currency),
+          currency: updatedItem.currency,
+          category: updatedItem.category,
+          description: updatedItem.description,
+          tags: updatedItem.tags,
+          date: updatedItem.date,
         });
-      } catch (error) {
-        // Handle errors during currency conversion or data processing
-        reject(error);
+      };
+
+      // Handle update errors
+      transaction.onabort = () => {
+        reject(new Error("Failed to update cost item"));
+      };
+    };
+
+    // Handle lookup errors
+    getRequest.onerror = () => {
+      reject(new Error("Failed to update cost item"));
+    };
+  });
+};
+
+/**
+ * Deletes a cost item from the database by its id.
+ * Resolves with the id of the removed item.
+ */
+export const deleteCost = (id) => {
+  return new Promise((resolve, reject) => {
+    // Check if database is initialized before attempting operation
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Create a read-write transaction for the "costs" object store
+    const transaction = dbInstance.transaction(["costs"], "readwrite");
+    const objectStore = transaction.objectStore("costs");
+    // Count matching items first so a missing id can be reported
+    const countRequest = objectStore.count(id);
+
+    // Handle successful existence check
+    countRequest.onsuccess = () => {
+      // Reject if no item exists with the given id
+      if (countRequest.result === 0) {
+        reject(new Error("Cost item not found"));
+        return;
       }
+
+      // Remove the item from the object store
+      objectStore.delete(id);
+
+      // The item is only gone once the transaction commits
+      transaction.oncomplete = () => {
+        resolve(id);
+      };
+
+      // Handle deletion errors
+      transaction.onabort = () => {
+        reject(new Error("Failed to delete cost item"));
+      };
     };
 
-    // Handle query errors
+    // Handle existence check errors
+    countRequest.onerror = () => {
+      reject(new Error("Failed to delete cost item"));
+    };
+  });
+};
+
+/**
+ * Returns every category ({ id, name, color, icon }) sorted by name.
+ */
+export const getCategories = () => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["categories"], "readonly");
+    const request = transaction.objectStore("categories").getAll();
+
+    request.onsuccess = () => {
+      resolve(
+        request.result
+          .map(({ key, ...category }) => category)
+          .sort((a, b) => a.name.localeCompare(b.name))
+      );
+    };
     request.onerror = () => {
-      reject(new Error("Failed to get report"));
+      reject(new Error("Failed to get categories"));
     };
   });
 };
 
 /**
- * Returns aggregated cost totals per category for a given month and year.
- * Used as input data for the pie chart.
+ * Adds a category with an optional colour and icon.
+ * Rejects if a category with the same name (ignoring case) exists.
  */
-export const getCostsByCategory = async (year, month, currency) => {
+export const addCategory = ({ name, color, icon }) => {
   return new Promise((resolve, reject) => {
     // Verify database is initialized
     if (!dbInstance) {
@@ -196,69 +535,159 @@ export const getCostsByCategory = async (year, month, currency) => {
       return;
     }
 
-    // Create a read-only transaction for the "costs" object store
-    const transaction = dbInstance.transaction(["costs"], "readonly");
-    const objectStore = transaction.objectStore("costs");
-    // Use year_month composite index for efficient querying
-    const index = objectStore.index("year_month");
-    // Get all costs for the specified year and month
-    const request = index.getAll([year, month]);
+    // Category names are required
+    const category = buildCategory(name, color, icon);
+    if (!category.name) {
+      reject(new Error("Category name is required"));
+      return;
+    }
 
-    // Handle successful data retrieval
-    request.onsuccess = async (event) => {
-      // Extract costs from the result
-      const costs = event.target.result;
+    const transaction = dbInstance.transaction(["categories"], "readwrite");
+    const request = transaction.objectStore("categories").add(category);
 
-      try {
-        // Fetch current exchange rates for currency conversion
-        const rates = await fetchExchangeRates();
-        // Object to accumulate totals per category
-        const categoryTotals = {};
+    request.onsuccess = () => {
+      const { key, ...stored } = category;
+      resolve({ ...stored, id: request.result });
+    };
+    // The unique key index rejects names that differ only in case
+    request.onerror = () => {
+      reject(new Error(`Category "${category.name}" already exists`));
+    };
+  });
+};
 
-        // Iterate through all costs to aggregate by category
-        costs.forEach((cost) => {
-          // Convert cost amount to target currency
-          const convertedAmount = convertCurrency(
-            cost.sum,
-            cost.currency,
-            currency,
-            rates
-          );
+/**
+ * Changes the name, colour or icon of a category. Renaming rewrites
+ * every cost item of the category in the same transaction.
+ * Resolves with the updated category and the number of items rewritten.
+ */
+export const updateCategory = (id, changes) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
 
-          // Add to existing category total or create new category entry
-          if (categoryTotals[cost.category]) {
-            categoryTotals[cost.category] += convertedAmount;
-          } else {
-            categoryTotals[cost.category] = convertedAmount;
-          }
+    const transaction = dbInstance.transaction(
+      ["costs", "categories", "recurring", "budgets"],
+      "readwrite"
+    );
+    const categoriesStore = transaction.objectStore("categories");
+    const getRequest = categoriesStore.get(id);
+
+    getRequest.onsuccess = () => {
+      const existing = getRequest.result;
+      if (!existing) {
+        reject(new Error("Category not found"));
+        return;
+      }
+
+      // Keep unchanged fields; a new name also gets a new key
+      const updated = buildCategory(
+        changes.name !== undefined ? changes.name : existing.name,
+        changes.color || existing.color,
+        changes.icon || existing.icon
+      );
+      if (!updated.name) {
+        reject(new Error("Category name is required"));
+        return;
+      }
+
+      // Rewrite the items and schedules of a renamed category
+      const renamed =
+        updated.name !== existing.name
+          ? renameCostCategory(transaction, existing.name, updated.name)
+          : Promise.resolve(0);
+      if (updated.name !== existing.name) {
+        renameRecurringCategory(transaction, existing.name, updated.name);
+        renameBudgetCategory(transaction, existing.name, updated.name);
+      }
+      categoriesStore.put({ ...updated, id });
+
+      transaction.oncomplete = () => {
+        renamed.then((costsUpdated) => {
+          const { key, ...category } = updated;
+          resolve({ category: { ...category, id }, costsUpdated });
         });
+      };
+      // Renaming onto another category's name violates the unique key
+      transaction.onabort = () => {
+        reject(
+          new Error(
+            transaction.error && transaction.error.name === "ConstraintError"
+              ? `Category "${updated.name}" already exists; merge the categories instead`
+              : "Failed to update category"
+          )
+        );
+      };
+    };
 
-        // Convert the category totals object to an array for the chart
-        const chartData = Object.keys(categoryTotals).map((category) => ({
-          name: category,
-          value: categoryTotals[category],
-        }));
+    getRequest.onerror = () => {
+      reject(new Error("Failed to update category"));
+    };
+  });
+};
 
-        // Return the chart data array
-        resolve(chartData);
-      } catch (error) {
-        // Handle errors during currency conversion or data processing
-        reject(error);
+/**
+ * Moves every cost item, recurring cost and budget of the source category
+ * to the target category and deletes the source category, all in one
+ * transaction. In months where both have a budget, the target's is kept.
+ * Resolves with the number of items moved.
+ */
+export const mergeCategories = (sourceId, targetId) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+    if (sourceId === targetId) {
+      reject(new Error("Cannot merge a category into itself"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(
+      ["costs", "categories", "recurring", "budgets"],
+      "readwrite"
+    );
+    const categoriesStore = transaction.objectStore("categories");
+    const sourceRequest = categoriesStore.get(sourceId);
+    const targetRequest = categoriesStore.get(targetId);
+
+    // Requests complete in order, so both results are known here
+    targetRequest.onsuccess = () => {
+      const source = sourceRequest.result;
+      const target = targetRequest.result;
+      if (!source || !target) {
+        reject(new Error("Category not found"));
+        return;
       }
+
+      const moved = renameCostCategory(transaction, source.name, target.name);
+      renameRecurringCategory(transaction, source.name, target.name);
+      renameBudgetCategory(transaction, source.name, target.name);
+      categoriesStore.delete(sourceId);
+
+      transaction.oncomplete = () => {
+        moved.then(resolve);
+      };
+      transaction.onabort = () => {
+        reject(new Error("Failed to merge categories"));
+      };
     };
 
-    // Handle query errors
-    request.onerror = () => {
-      reject(new Error("Failed to get costs by category"));
+    targetRequest.onerror = () => {
+      reject(new Error("Failed to merge categories"));
     };
   });
 };
 
 /**
- * Returns total costs per month for a given year and currency.
- * Used as input data for the yearly bar chart.
+ * Deletes a category that no cost item or recurring cost uses, with its
+ * budgets. Resolves with the id of the removed category.
  */
-export const getYearlyReport = async (year, currency) => {
+export const deleteCategory = (id) => {
   return new Promise((resolve, reject) => {
     // Verify database is initialized
     if (!dbInstance) {
@@ -266,112 +695,3047 @@ export const getYearlyReport = async (year, currency) => {
       return;
     }
 
-    // Create a read-only transaction for the "costs" object store
-    const transaction = dbInstance.transaction(["costs"], "readonly");
-    const objectStore = transaction.objectStore("costs");
-    // Use year index for efficient querying
-    const index = objectStore.index("year");
-    // Get all costs for the specified year
-    const request = index.getAll(year);
+    const transaction = dbInstance.transaction(
+      ["costs", "categories", "budgets", "recurring"],
+      "readwrite"
+    );
+    const categoriesStore = transaction.objectStore("categories");
+    const getRequest = categoriesStore.get(id);
 
-    // Handle successful data retrieval
-    request.onsuccess = async (event) => {
-      // Extract costs from the result
-      const costs = event.target.result;
+    getRequest.onsuccess = () => {
+      const category = getRequest.result;
+      if (!category) {
+        reject(new Error("Category not found"));
+        return;
+      }
 
-      try {
-        // Fetch current exchange rates for currency conversion
-        const rates = await fetchExchangeRates();
-        // Initialize array with 12 zeros (one for each month)
-        const monthlyTotals = Array(12).fill(0);
+      // Count the items of the category before removing it
+      const countRequest = transaction
+        .objectStore("costs")
+        .index("category")
+        .count(category.name);
 
-        // Iterate through all costs to aggregate by month
-        costs.forEach((cost) => {
-          // Convert cost amount to target currency
-          const convertedAmount = convertCurrency(
-            cost.sum,
-            cost.currency,
-            currency,
-            rates
+      countRequest.onsuccess = () => {
+        if (countRequest.result > 0) {
+          reject(
+            new Error(
+              `Category "${category.name}" is used by ${countRequest.result} cost items; merge it into another category instead`
+            )
           );
-          // Add to the appropriate month (month - 1 because array is 0-indexed)
-          monthlyTotals[cost.month - 1] += convertedAmount;
-        });
+          return;
+        }
 
-        // Array of abbreviated month names for chart labels
-        const monthNames = [
-          "Jan",
-          "Feb",
-          "Mar",
-          "Apr",
-          "May",
-          "Jun",
-          "Jul",
-          "Aug",
-          "Sep",
-          "Oct",
-          "Nov",
-          "Dec",
-        ];
+        // Recurring costs would keep creating items in the category
+        const recurringRequest = transaction.objectStore("recurring").getAll();
 
-        // Convert monthly totals array to chart data format
-        const chartData = monthlyTotals.map((total, index) => ({
-          month: monthNames[index],
-          total: total,
-        }));
+        recurringRequest.onsuccess = () => {
+          const schedules = recurringRequest.result.filter(
+            (item) => item.category === category.name
+          );
+          if (schedules.length > 0) {
+            reject(
+              new Error(
+                `Category "${category.name}" is used by ${schedules.length} recurring costs; merge it into another category instead`
+              )
+            );
+            return;
+          }
 
-        // Return the chart data array
-        resolve(chartData);
-      } catch (error) {
-        // Handle errors during currency conversion or data processing
-        reject(error);
-      }
+          categoriesStore.delete(id);
+          deleteCategoryBudgets(transaction, category.name);
+          transaction.oncomplete = () => {
+            resolve(id);
+          };
+          transaction.onabort = () => {
+            reject(new Error("Failed to delete category"));
+          };
+        };
+      };
     };
 
-    // Handle query errors
-    request.onerror = () => {
-      reject(new Error("Failed to get yearly report"));
+    getRequest.onerror = () => {
+      reject(new Error("Failed to delete category"));
     };
   });
 };
 
 /**
- * Fetches exchange rates from the configured URL.
- * Falls back to predefined static rates if the request fails.
+ * Returns every tag used by a cost item, sorted, read from the unique
+ * keys of the multiEntry "tags" index.
  */
-const fetchExchangeRates = async () => {
-  // Get the configured exchange rate URL from settings
-  const url = getExchangeRateUrl();
+export const getTags = () => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
 
-  try {
-    // Attempt to fetch exchange rates from the URL
-    const response = await fetch(url);
+    const transaction = dbInstance.transaction(["costs"], "readonly");
+    const index = transaction.objectStore("costs").index("tags");
+    // Visit each distinct tag once without loading the cost items
+    const request = index.openKeyCursor(null, "nextunique");
+    const tags = [];
 
-    // Check if response status is OK (200)
-    if (response.status !== 200) {
-      throw new Error("Failed to fetch exchange rates");
-    }
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(tags);
+        return;
+      }
+      tags.push(cursor.key);
+      cursor.continue();
+    };
 
-    // Parse and return the JSON response
-    return await response.json();
-  } catch {
-    // Return fallback exchange rates if fetch fails
-    return { USD: 1, GBP: 0.6, EURO: 0.7, ILS: 3.4 };
-  }
+    request.onerror = () => {
+      reject(new Error("Failed to get tags"));
+    };
+  });
 };
 
 /**
- * Converts a monetary amount from one currency to another
- * using USD as an intermediate reference.
+ * Returns every recurring cost, with its amount in major units as sum.
  */
-const convertCurrency = (amount, fromCurrency, toCurrency, rates) => {
-  // If currencies are the same, no conversion needed
-  if (fromCurrency === toCurrency) {
-    return amount;
-  }
-
-  // Convert to USD first (USD is the base currency)
-  const amountInUSD = amount / rates[fromCurrency];
-  // Convert from USD to target currency
-  return amountInUSD * rates[toCurrency];
+export const getRecurring = () => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["recurring"], "readonly");
+    const request = transaction.objectStore("recurring").getAll();
+
+    request.onsuccess = () => {
+      resolve(
+        request.result.map((schedule) => ({
+          ...schedule,
+          sum: fromMinorUnits(schedule.sumMinor, schedule.currency),
+        }))
+      );
+    };
+
+    request.onerror = () => {
+      reject(new Error("Failed to get recurring costs"));
+    };
+  });
+};
+
+/**
+ * Adds a recurring cost: the fields of a cost item (sum, currency,
+ * category, description, tags) and its schedule (frequency, interval,
+ * startDate, optional endDate; see recurrence.js). Its occurrences are
+ * added to the costs by materializeRecurring.
+ * Resolves with the stored schedule.
+ */
+export const addRecurring = (schedule) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Validate the input and build the stored record
+    let record;
+    try {
+      record = buildRecurring(schedule);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const transaction = dbInstance.transaction(
+      ["recurring", "categories"],
+      "readwrite"
+    );
+    // Store the schedule with the stored spelling of its category
+    withStoredCategories(transaction, [record], () => {
+      const addRequest = transaction.objectStore("recurring").add(record);
+      addRequest.onsuccess = () => {
+        record.id = addRequest.result;
+      };
+    });
+
+    transaction.oncomplete = () => {
+      resolve({
+        ...record,
+        sum: fromMinorUnits(record.sumMinor, record.currency),
+      });
+    };
+    transaction.onabort = () => {
+      reject(new Error("Failed to add recurring cost"));
+    };
+  });
+};
+
+/**
+ * Changes a recurring cost (see RECURRING_FIELDS); the changes apply to
+ * occurrences that were not added yet. Setting paused skips occurrences
+ * while paused: resuming continues from the next one, and setting endDate
+ * ends the schedule after that day.
+ * Resolves with the updated schedule.
+ */
+export const updateRecurring = (id, changes) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(
+      ["recurring", "categories"],
+      "readwrite"
+    );
+    const recurringStore = transaction.objectStore("recurring");
+    const getRequest = recurringStore.get(id);
+
+    getRequest.onsuccess = () => {
+      const existing = getRequest.result;
+      if (!existing) {
+        reject(new Error("Recurring cost not found"));
+        return;
+      }
+
+      // Merge the changes into the existing fields and validate the result
+      const merged = {
+        ...existing,
+        sum: fromMinorUnits(existing.sumMinor, existing.currency),
+      };
+      RECURRING_FIELDS.forEach((field) => {
+        if (changes[field] !== undefined) {
+          merged[field] = changes[field];
+        }
+      });
+      let updated;
+      try {
+        updated = {
+          ...buildRecurring(merged),
+          id,
+          lastMaterialized: existing.lastMaterialized,
+        };
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      // Occurrences missed while paused are not added after resuming
+      if (existing.paused && !updated.paused) {
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        const resumedAfter = toDateInputValue(yesterday);
+        if (
+          !updated.lastMaterialized ||
+          updated.lastMaterialized < resumedAfter
+        ) {
+          updated.lastMaterialized = resumedAfter;
+        }
+      }
+
+      withStoredCategories(transaction, [updated], () => {
+        recurringStore.put(updated);
+      });
+
+      transaction.oncomplete = () => {
+        resolve({
+          ...updated,
+          sum: fromMinorUnits(updated.sumMinor, updated.currency),
+        });
+      };
+      transaction.onabort = () => {
+        reject(new Error("Failed to update recurring cost"));
+      };
+    };
+
+    getRequest.onerror = () => {
+      reject(new Error("Failed to update recurring cost"));
+    };
+  });
+};
+
+/**
+ * Returns the cost items generated by a recurring cost, newest first,
+ * read through the "recurringId" index.
+ */
+export const getRecurringCosts = (recurringId) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["costs"], "readonly");
+    const request = transaction
+      .objectStore("costs")
+      .index("recurringId")
+      .getAll(recurringId);
+
+    request.onsuccess = () => {
+      resolve(
+        request.result
+          .sort((a, b) => b.date - a.date || b.id - a.id)
+          .map((cost) => ({
+            id: cost.id,
+            sum: fromMinorUnits(cost.sumMinor, cost.currency),
+            sumMinor: cost.sumMinor,
+            currency: cost.currency,
+            category: cost.category,
+            description: cost.description,
+            date: cost.date,
+          }))
+      );
+    };
+
+    request.onerror = () => {
+      reject(new Error("Failed to get recurring cost items"));
+    };
+  });
+};
+
+/**
+ * Adds the occurrences of every active recurring cost that are due by
+ * today (defaults to now) and were not added yet. Safe to run from
+ * several tabs at once: the schedules are read and the costs written in
+ * one read-write transaction, and the unique "occurrence" index rejects
+ * an occurrence that is already stored.
+ * Resolves with the number of cost items added.
+ */
+export const materializeRecurring = (today = new Date()) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(
+      ["costs", "categories", "recurring"],
+      "readwrite"
+    );
+    const recurringStore = transaction.objectStore("recurring");
+    const costsStore = transaction.objectStore("costs");
+    const request = recurringStore.getAll();
+    const now = new Date();
+    let added = 0;
+
+    request.onsuccess = () => {
+      // Build the cost items of every due occurrence
+      const costItems = [];
+      request.result.forEach((schedule) => {
+        const dates = getDueOccurrences(schedule, today);
+        if (dates.length === 0) {
+          return;
+        }
+        dates.forEach((date) => {
+          costItems.push({
+            ...withCostDate(
+              {
+                sumMinor: schedule.sumMinor,
+                currency: schedule.currency,
+                category: schedule.category,
+                description: schedule.description,
+                tags: schedule.tags,
+                dateAdded: now,
+              },
+              date
+            ),
+            recurringId: schedule.id,
+            occurrence: getOccurrenceKey(schedule.id, date),
+          });
+        });
+        // Remember the last day handled, so deleted occurrences stay deleted
+        recurringStore.put({
+          ...schedule,
+          lastMaterialized: toDateInputValue(dates[dates.length - 1]),
+        });
+      });
+
+      withStoredCategories(transaction, costItems, () => {
+        costItems.forEach((costItem) => {
+          const addRequest = costsStore.add(withSearchTokens(costItem));
+          addRequest.onsuccess = () => {
+            added++;
+          };
+          // Another tab already added this occurrence: keep that one
+          addRequest.onerror = (event) => {
+            if (addRequest.error.name === "ConstraintError") {
+              event.preventDefault();
+              event.stopPropagation();
+            }
+          };
+        });
+      });
+    };
+
+    transaction.oncomplete = () => {
+      resolve(added);
+    };
+    transaction.onabort = () => {
+      reject(new Error("Failed to add recurring costs"));
+    };
+  });
+};
+
+/**
+ * Returns the budgets of a month, sorted by category:
+ * [{ id, category, year, month, amount, amountMinor, currency, rollover }].
+ */
+export const getBudgets = async (year, month) => {
+  const budgets = await getBudgetsInMonths(year, month, year, month);
+  return budgets
+    .map(toBudgetItem)
+    .sort((a, b) => a.category.localeCompare(b.category));
+};
+
+/**
+ * Sets the budget of a category for a month: { category, year, month,
+ * amount (major units), currency, rollover }. With rollover, the unused
+ * budget of the month before is added to it (see getBudgetReport).
+ * Replaces the category's existing budget of that month.
+ * Resolves with the stored budget.
+ */
+export const setBudget = (budget) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Validate the input and build the stored record
+    let record;
+    try {
+      record = buildBudget(budget);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const transaction = dbInstance.transaction(
+      ["budgets", "categories"],
+      "readwrite"
+    );
+    const budgetsStore = transaction.objectStore("budgets");
+
+    // Overwrite the category's budget of the month if there is one
+    withStoredCategories(transaction, [record], () => {
+      const keyRequest = budgetsStore
+        .index("category_month")
+        .getKey([record.category, record.year, record.month]);
+      keyRequest.onsuccess = () => {
+        if (keyRequest.result !== undefined) {
+          record.id = keyRequest.result;
+        }
+        const putRequest = budgetsStore.put(record);
+        putRequest.onsuccess = () => {
+          record.id = putRequest.result;
+        };
+      };
+    });
+
+    transaction.oncomplete = () => {
+      resolve(toBudgetItem(record));
+    };
+    transaction.onabort = () => {
+      reject(new Error("Failed to save budget"));
+    };
+  });
+};
+
+/**
+ * Deletes a budget. Resolves with its id.
+ */
+export const deleteBudget = (id) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["budgets"], "readwrite");
+    transaction.objectStore("budgets").delete(id);
+
+    transaction.oncomplete = () => {
+      resolve(id);
+    };
+    transaction.onabort = () => {
+      reject(new Error("Failed to delete budget"));
+    };
+  });
+};
+
+/**
+ * Copies the budgets of one month to another, skipping categories that
+ * already have a budget there. Resolves with the number of budgets copied.
+ */
+export const copyBudgets = async (fromYear, fromMonth, toYear, toMonth) => {
+  const budgets = await getBudgetsInMonths(
+    fromYear,
+    fromMonth,
+    fromYear,
+    fromMonth
+  );
+
+  return new Promise((resolve, reject) => {
+    const transaction = dbInstance.transaction(["budgets"], "readwrite");
+    const budgetsStore = transaction.objectStore("budgets");
+    let copied = 0;
+
+    budgets.forEach(({ id, ...budget }) => {
+      const addRequest = budgetsStore.add({
+        ...budget,
+        year: toYear,
+        month: toMonth,
+      });
+      addRequest.onsuccess = () => {
+        copied++;
+      };
+      // The category already has a budget in that month: keep it
+      addRequest.onerror = (event) => {
+        if (addRequest.error.name === "ConstraintError") {
+          event.preventDefault();
+          event.stopPropagation();
+        }
+      };
+    });
+
+    transaction.oncomplete = () => {
+      resolve(copied);
+    };
+    transaction.onabort = () => {
+      reject(new Error("Failed to copy budgets"));
+    };
+  });
+};
+
+/**
+ * Returns budget against actual spending for a month, in currency.
+ * Spending is converted like in getCostsByCategory (options.conversion
+ * selects "current" or "purchase" rates); budgets are converted with
+ * today's rates. A budget with rollover also gets the unused part of the
+ * category's budget of the month before, which may itself include
+ * rollover (looking back at most BUDGET_ROLLOVER_MONTHS months).
+ * Resolves with amounts in major units:
+ * { year, month, currency,
+ *   rows: [{ id, category, color, icon, amount, budgetCurrency, rollover, budget,
+ *     carried, available, spent, remaining, percent, over }],
+ *   unbudgeted: [{ category, color, spent }],
+ *   total: { available, spent, remaining },
+ *   skipped, skippedBudgets: [{ id, category, amount, currency }], ratesAsOf }
+ * where percent is the share of the available amount spent (null when
+ * nothing is available).
+ */
+export const getBudgetReport = async (year, month, currency, options = {}) => {
+  const usage = await getBudgetUsage(year, month, currency, options);
+  const stored = {};
+  (await getCategories()).forEach((category) => {
+    stored[category.name] = category;
+  });
+  const major = (minor) => fromMinorUnits(minor, currency);
+  const colorOf = (name) =>
+    stored[name] ? stored[name].color : getDefaultCategoryColor(name);
+  const iconOf = (name) =>
+    stored[name] ? stored[name].icon : DEFAULT_CATEGORY_ICON;
+
+  const rows = usage.rows.map((row) => ({
+    id: row.budget.id,
+    category: row.budget.category,
+    color: colorOf(row.budget.category),
+    icon: iconOf(row.budget.category),
+    amount: fromMinorUnits(row.budget.amountMinor, row.budget.currency),
+    budgetCurrency: row.budget.currency,
+    rollover: row.budget.rollover,
+    budget: major(row.budgetMinor),
+    carried: major(row.carriedMinor),
+    available: major(row.availableMinor),
+    spent: major(row.spentMinor),
+    remaining: major(row.availableMinor - row.spentMinor),
+    percent:
+      row.availableMinor > 0
+        ? Math.round((row.spentMinor / row.availableMinor) * 1000) / 10
+        : null,
+    over: row.spentMinor > row.availableMinor,
+  }));
+  const availableMinor = sumMinorUnits(usage.rows.map((r) => r.availableMinor));
+  const spentMinor = sumMinorUnits(usage.rows.map((r) => r.spentMinor));
+
+  return {
+    year,
+    month,
+    currency,
+    rows: rows.sort((a, b) => a.category.localeCompare(b.category)),
+    unbudgeted: usage.unbudgeted.map((item) => ({
+      category: item.category,
+      color: colorOf(item.category),
+      spent: major(item.spentMinor),
+    })),
+    total: {
+      available: major(availableMinor),
+      spent: major(spentMinor),
+      remaining: major(availableMinor - spentMinor),
+    },
+    skipped: usage.skipped,
+    skippedBudgets: usage.skippedBudgets.map((budget) => ({
+      id: budget.id,
+      category: budget.category,
+      amount: fromMinorUnits(budget.amountMinor, budget.currency),
+      currency: budget.currency,
+    })),
+    ratesAsOf: usage.ratesAsOf,
+  };
+};
+
+/**
+ * Checks what a new cost ({ sum, currency }) on date would do to the
+ * budget of its category. Resolves with null when the category has no
+ * budget that month, otherwise with amounts in the budget's currency:
+ * { category, year, month, currency, available, spent, withCost,
+ *   wasOver, over }.
+ */
+export const getBudgetStatus = async (category, date, cost, options = {}) => {
+  const costDate = parseCostDate(date);
+  if (!costDate) {
+    throw new Error("Invalid cost date");
+  }
+  const year = costDate.getFullYear();
+  const month = costDate.getMonth() + 1;
+
+  // Category names match like stored categories do, ignoring case
+  const budgets = await getBudgetsInMonths(year, month, year, month);
+  const budget = budgets.find(
+    (b) => getCategoryKey(b.category) === getCategoryKey(category)
+  );
+  if (!budget) {
+    return null;
+  }
+
+  const usage = await getBudgetUsage(year, month, budget.currency, options);
+  const row = usage.rows.find((r) => r.budget.id === budget.id);
+  const { ratesFor } = await getRateResolver(options.conversion);
+  const costCurrency = normalizeCurrencyCode(cost.currency);
+  const costRates = ratesFor(costDate);
+  // A cost without a rate cannot be compared with the budget
+  const costMinor = canConvert(costCurrency, budget.currency, costRates)
+    ? convertCurrency(
+        toMinorUnits(cost.sum, costCurrency),
+        costCurrency,
+        budget.currency,
+        costRates
+      )
+    : NaN;
+  const withCostMinor =
+    row.spentMinor + (Number.isFinite(costMinor) ? costMinor : 0);
+  const major = (minor) => fromMinorUnits(minor, budget.currency);
+
+  return {
+    category: budget.category,
+    year,
+    month,
+    currency: budget.currency,
+    available: major(row.availableMinor),
+    spent: major(row.spentMinor),
+    withCost: major(withCostMinor),
+    wasOver: row.spentMinor > row.availableMinor,
+    over: withCostMinor > row.availableMinor,
+  };
+};
+
+/**
+ * Searches the descriptions and categories of all cost items. Every word
+ * of the query must start a word of the item (see search.js); the items
+ * of each word are read from the "tokens" index.
+ * Resolves with { query, total, results } where results holds at most
+ * options.limit (default SEARCH_RESULT_LIMIT) of the total matches, best
+ * first and newest first among equal scores:
+ * [{ id, date, year, month, sum, sumMinor, currency, category,
+ *   description, tags, score }].
+ */
+export const searchCosts = (query, options = {}) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const words = tokenize(query);
+    if (words.length === 0) {
+      resolve({ query, total: 0, results: [] });
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["costs"], "readonly");
+    const costsStore = transaction.objectStore("costs");
+    const index = costsStore.index("tokens");
+
+    // Ids of the items with a token starting with each word
+    const idsPerWord = [];
+    words.forEach((word) => {
+      const request = index.getAllKeys(
+        IDBKeyRange.bound(word, `${word}\uffff`)
+      );
+      request.onsuccess = () => {
+        idsPerWord.push(new Set(request.result));
+        if (idsPerWord.length < words.length) {
+          return;
+        }
+
+        // Items matching every word, read by primary key
+        const [first, ...rest] = idsPerWord;
+        const ids = [...first].filter((id) => rest.every((s) => s.has(id)));
+        const matches = [];
+        ids.forEach((id) => {
+          const getRequest = costsStore.get(id);
+          getRequest.onsuccess = () => {
+            matches.push(getRequest.result);
+          };
+        });
+
+        transaction.oncomplete = () => {
+          const results = matches
+            .map((cost) => ({
+              id: cost.id,
+              date: cost.date || cost.dateAdded,
+              year: cost.year,
+              month: cost.month,
+              sum: fromMinorUnits(cost.sumMinor, cost.currency),
+              sumMinor: cost.sumMinor,
+              currency: cost.currency,
+              category: cost.category,
+              description: cost.description,
+              tags: cost.tags || [],
+              score: scoreSearchMatch(cost, query),
+            }))
+            .sort((a, b) => b.score - a.score || b.date - a.date);
+          resolve({
+            query,
+            total: results.length,
+            results: results.slice(0, options.limit || SEARCH_RESULT_LIMIT),
+          });
+        };
+      };
+    });
+
+    transaction.onabort = () => {
+      reject(new Error("Failed to search costs"));
+    };
+  });
+};
+
+/**
+ * Returns a detailed monthly report for a given year, month, and currency.
+ * The report includes individual cost items and a total sum.
+ * options.conversion selects "current" (default) or "purchase" rates;
+ * options.tags, options.category, options.text and options.originalCurrency
+ * limit the report to matching costs (see matchesFilters), and
+ * options.minAmount and options.maxAmount to converted amounts in that
+ * range (see matchesAmount). The report echoes the options it applied.
+ * Costs that have no exchange rate are left out of costs and the total
+ * and listed as skipped (see splitConvertible).
+ */
+export const getReport = async (year, month, currency, options = {}) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Create a read-only transaction for the "costs" object store
+    const transaction = dbInstance.transaction(["costs"], "readonly");
+    const objectStore = transaction.objectStore("costs");
+    // Use year_month composite index for efficient querying, narrowed to
+    // the items in one currency when filtering by it
+    const readMonth = () =>
+      options.originalCurrency
+        ? objectStore
+            .index("year_month_currency")
+            .getAll([
+              year,
+              month,
+              normalizeCurrencyCode(options.originalCurrency),
+            ])
+        : objectStore.index("year_month").getAll([year, month]);
+    const inMonth = (cost) => cost.year === year && cost.month === month;
+
+    // Handle successful data retrieval
+    const handleCosts = async (monthCosts) => {
+      // Extract the costs that match the requested tags and category
+      const costs = monthCosts.filter((cost) => matchesFilters(cost, options));
+
+      try {
+        // Get the exchange rates to use for each cost's date
+        const { ratesFor, ratesAsOf } = await getRateResolver(
+          options.conversion
+        );
+
+        // Costs without a rate are listed apart instead of being totalled
+        const { convertible, skipped } = splitConvertible(
+          costs,
+          currency,
+          ratesFor
+        );
+
+        // Map costs to a simpler format for display, with each amount
+        // also converted to the target currency
+        const reportCosts = convertible
+          .map((cost) => toReportItem(cost, currency, ratesFor))
+          .filter((item) => matchesAmount(item, currency, options));
+
+        // Calculate total from the converted amounts of all costs
+        const totalMinor = sumMinorUnits(
+          reportCosts.map((cost) => cost.convertedMinor)
+        );
+
+        // Return the complete report with costs and total
+        resolve({
+          year,
+          month,
+          costs: reportCosts,
+          total: {
+            currency,
+            total: fromMinorUnits(totalMinor, currency),
+            totalMinor,
+          },
+          conversion: options.conversion || "current",
+          ...getFilterEcho(options),
+          skipped,
+          ratesAsOf,
+        });
+      } catch (error) {
+        // Handle errors during currency conversion or data processing
+        reject(error);
+      }
+    };
+
+    readReportCosts(objectStore, options, readMonth, inMonth).then(
+      handleCosts,
+      // Handle query errors
+      () => reject(new Error("Failed to get report"))
+    );
+  });
+};
+
+/**
+ * Returns aggregated cost totals per category for a given month and year.
+ * Used as input data for the pie chart; resolves with { data, skipped,
+ * ratesAsOf }, where skipped lists the costs without an exchange rate.
+ * Breaking change: this used to resolve with the data array itself, so
+ * callers now read it from result.data.
+ * options.conversion selects "current" (default) or "purchase" rates;
+ * options.tags and options.category limit the totals to matching costs
+ * (see matchesFilters).
+ */
+export const getCostsByCategory = async (
+  year,
+  month,
+  currency,
+  options = {}
+) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Create a read-only transaction for the "costs" object store
+    const transaction = dbInstance.transaction(["costs"], "readonly");
+    const objectStore = transaction.objectStore("costs");
+    // Use year_month composite index for efficient querying
+    const readMonth = () =>
+      objectStore.index("year_month").getAll([year, month]);
+    const inMonth = (cost) => cost.year === year && cost.month === month;
+
+    // Handle successful data retrieval
+    const handleCosts = async (monthCosts) => {
+      // Extract the costs that match the requested tags and category
+      const costs = monthCosts.filter((cost) => matchesFilters(cost, options));
+
+      try {
+        // Get the exchange rates to use for each cost's date
+        const { ratesFor, ratesAsOf } = await getRateResolver(
+          options.conversion
+        );
+        // Total the converted amounts per category for the chart
+        const { convertible, skipped } = splitConvertible(
+          costs,
+          currency,
+          ratesFor
+        );
+        const chartData = await getCategoryChartData(
+          convertible,
+          currency,
+          ratesFor
+        );
+
+        // Return the chart data with the age of the rates used
+        resolve({ data: chartData, skipped, ratesAsOf });
+      } catch (error) {
+        // Handle errors during currency conversion or data processing
+        reject(error);
+      }
+    };
+
+    readReportCosts(objectStore, options, readMonth, inMonth).then(
+      handleCosts,
+      // Handle query errors
+      () => reject(new Error("Failed to get costs by category"))
+    );
+  });
+};
+
+/**
+ * Returns total costs per month for a given year and currency.
+ * Used as input data for the yearly bar chart; resolves with { data,
+ * skipped, ratesAsOf }, where skipped lists the costs without an exchange
+ * rate.
+ * Breaking change: this used to resolve with the data array itself, so
+ * callers now read it from result.data.
+ * With options.byCategory each month also holds its totals per category
+ * (data[i].categories maps name to total) and the result lists the
+ * categories, largest first, with their colours as categories.
+ * options.conversion selects "current" (default) or "purchase" rates;
+ * options.tags and options.category limit the totals to matching costs
+ * (see matchesFilters).
+ */
+export const getYearlyReport = async (year, currency, options = {}) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Create a read-only transaction for the "costs" object store
+    const transaction = dbInstance.transaction(["costs"], "readonly");
+    const objectStore = transaction.objectStore("costs");
+    // Use year index for efficient querying
+    const readYear = () => objectStore.index("year").getAll(year);
+    const inYear = (cost) => cost.year === year;
+
+    // Handle successful data retrieval
+    const handleCosts = async (yearCosts) => {
+      // Extract the costs that match the requested tags and category
+      const costs = yearCosts.filter((cost) => matchesFilters(cost, options));
+
+      try {
+        // Get the exchange rates to use for each cost's date
+        const { ratesFor, ratesAsOf } = await getRateResolver(
+          options.conversion
+        );
+        // Initialize array with 12 zeros (one for each month)
+        const monthlyTotals = Array(12).fill(0);
+        // Per-month totals of each category, for the breakdown mode
+        const categoryTotals = Array.from({ length: 12 }, () => ({}));
+
+        // Costs without a rate are listed apart instead of being totalled
+        const { convertible, skipped } = splitConvertible(
+          costs,
+          currency,
+          ratesFor
+        );
+
+        // Iterate through all costs to aggregate by month
+        convertible.forEach((cost) => {
+          // Convert cost amount to target currency
+          const convertedAmount = convertCurrency(
+            cost.sumMinor,
+            cost.currency,
+            currency,
+            ratesFor(cost.date || cost.dateAdded)
+          );
+          // Add to the appropriate month (month - 1 because array is 0-indexed)
+          monthlyTotals[cost.month - 1] += convertedAmount;
+          const monthCategories = categoryTotals[cost.month - 1];
+          monthCategories[cost.category] =
+            (monthCategories[cost.category] || 0) + convertedAmount;
+        });
+
+        // Array of abbreviated month names for chart labels
+        const monthNames = [
+          "Jan",
+          "Feb",
+          "Mar",
+          "Apr",
+          "May",
+          "Jun",
+          "Jul",
+          "Aug",
+          "Sep",
+          "Oct",
+          "Nov",
+          "Dec",
+        ];
+
+        // Convert the integer monthly totals to major units for the chart
+        const chartData = monthlyTotals.map((total, index) => ({
+          month: monthNames[index],
+          total: fromMinorUnits(total, currency),
+        }));
+
+        // Return the chart data with the age of the rates used
+        if (!options.byCategory) {
+          resolve({ data: chartData, skipped, ratesAsOf });
+          return;
+        }
+
+        // Yearly total of each category, to order the stack and legend
+        const yearTotals = {};
+        categoryTotals.forEach((monthCategories) => {
+          Object.keys(monthCategories).forEach((name) => {
+            yearTotals[name] = (yearTotals[name] || 0) + monthCategories[name];
+          });
+        });
+        const colors = await getCategoryColors();
+        const categories = Object.keys(yearTotals)
+          .sort((a, b) => yearTotals[b] - yearTotals[a])
+          .map((name) => ({
+            name,
+            color: colors[name] || getDefaultCategoryColor(name),
+          }));
+
+        // Add each month's category totals in major units
+        chartData.forEach((row, index) => {
+          row.categories = {};
+          Object.keys(categoryTotals[index]).forEach((name) => {
+            row.categories[name] = fromMinorUnits(
+              categoryTotals[index][name],
+              currency
+            );
+          });
+        });
+
+        resolve({ data: chartData, categories, skipped, ratesAsOf });
+      } catch (error) {
+        // Handle errors during currency conversion or data processing
+        reject(error);
+      }
+    };
+
+    readReportCosts(objectStore, options, readYear, inYear).then(
+      handleCosts,
+      // Handle query errors
+      () => reject(new Error("Failed to get yearly report"))
+    );
+  });
+};
+
+/**
+ * Returns monthly totals of several years side by side, for comparing
+ * the same month across years. Every item is converted to currency in
+ * one pass over the years, with the current rates or, when
+ * options.conversion is "purchase", the rates of its own date; takes the
+ * same options as getYearlyReport.
+ * Resolves with { years (ascending), data: [{ month, [year]: total }],
+ * totals: [{ year, total, totalMinor }], changes, skipped, ratesAsOf }, where
+ * changes lists the difference of each year from the one before it:
+ * [{ from, to, months: [{ delta, percent }], total: { delta, percent } }]
+ * (percent is null when the earlier amount is zero).
+ */
+export const getMultiYearReport = async (years, currency, options = {}) => {
+  // Sorted distinct years; at least one is needed
+  const selected = [...new Set(years.map(Number))].sort((a, b) => a - b);
+  if (selected.length === 0) {
+    throw new Error("Select at least one year");
+  }
+
+  // Read the whole span of years through the year index in one request
+  const costs = await getCostsInYears(
+    selected[0],
+    selected[selected.length - 1],
+    options
+  );
+  const { ratesFor, ratesAsOf } = await getRateResolver(options.conversion);
+
+  // Integer totals per selected year and month
+  const monthlyMinor = {};
+  selected.forEach((year) => {
+    monthlyMinor[year] = Array(12).fill(0);
+  });
+  const { convertible, skipped } = splitConvertible(
+    costs.filter(
+      (cost) => monthlyMinor[cost.year] && matchesFilters(cost, options)
+    ),
+    currency,
+    ratesFor
+  );
+  convertible.forEach((cost) => {
+    monthlyMinor[cost.year][cost.month - 1] += convertCurrency(
+      cost.sumMinor,
+      cost.currency,
+      currency,
+      ratesFor(cost.date || cost.dateAdded)
+    );
+  });
+
+  // One chart row per month with a column per year
+  const data = Array.from({ length: 12 }, (_, index) => {
+    const row = {
+      month: new Date(2000, index, 1).toLocaleString("en", { month: "short" }),
+    };
+    selected.forEach((year) => {
+      row[year] = fromMinorUnits(monthlyMinor[year][index], currency);
+    });
+    return row;
+  });
+
+  const totalsMinor = selected.map((year) => sumMinorUnits(monthlyMinor[year]));
+
+  // Change of each year from the previous selected year, computed on
+  // integer amounts so the deltas are exact
+  const change = (fromMinor, toMinor) => ({
+    delta: fromMinorUnits(toMinor - fromMinor, currency),
+    percent:
+      fromMinor === 0
+        ? null
+        : Math.round(((toMinor - fromMinor) / fromMinor) * 1000) / 10,
+  });
+  const changes = selected.slice(1).map((year, index) => {
+    const previous = selected[index];
+    return {
+      from: previous,
+      to: year,
+      months: monthlyMinor[year].map((minor, month) =>
+        change(monthlyMinor[previous][month], minor)
+      ),
+      total: change(totalsMinor[index], totalsMinor[index + 1]),
+    };
+  });
+
+  return {
+    years: selected,
+    data,
+    totals: selected.map((year, index) => ({
+      year,
+      total: fromMinorUnits(totalsMinor[index], currency),
+      totalMinor: totalsMinor[index],
+    })),
+    changes,
+    skipped,
+    ratesAsOf,
+  };
+};
+
+/**
+ * Returns a report of the cost items dated from..to (inclusive days,
+ * Dates or "YYYY-MM-DD"), in date order, with the total in currency.
+ * Takes the same options as getReport; the report echoes the range as
+ * "YYYY-MM-DD" strings in place of year and month.
+ */
+export const getRangeReport = async (from, to, currency, options = {}) => {
+  // Read the costs of the range through the date index
+  const range = await getCostsInRange(from, to, options);
+  const { ratesFor, ratesAsOf } = await getRateResolver(options.conversion);
+
+  // Convert each matching item, oldest first
+  const { convertible, skipped } = splitConvertible(
+    range.costs.filter((cost) => matchesFilters(cost, options)),
+    currency,
+    ratesFor
+  );
+  const costs = convertible
+    .map((cost) => toReportItem(cost, currency, ratesFor))
+    .filter((item) => matchesAmount(item, currency, options))
+    .sort((a, b) => a.date - b.date || a.id - b.id);
+  const totalMinor = sumMinorUnits(costs.map((cost) => cost.convertedMinor));
+
+  return {
+    from: range.from,
+    to: range.to,
+    costs,
+    total: {
+      currency,
+      total: fromMinorUnits(totalMinor, currency),
+      totalMinor,
+    },
+    conversion: options.conversion || "current",
+    ...getFilterEcho(options),
+    skipped,
+    ratesAsOf,
+  };
+};
+
+/**
+ * Returns cost totals per category for the days from..to (inclusive).
+ * Resolves with { data, skipped, ratesAsOf } like getCostsByCategory and takes
+ * the same options.
+ */
+export const getRangeCostsByCategory = async (
+  from,
+  to,
+  currency,
+  options = {}
+) => {
+  const range = await getCostsInRange(from, to, options);
+  const { ratesFor, ratesAsOf } = await getRateResolver(options.conversion);
+  const { convertible, skipped } = splitConvertible(
+    range.costs.filter((cost) => matchesFilters(cost, options)),
+    currency,
+    ratesFor
+  );
+
+  return {
+    data: await getCategoryChartData(convertible, currency, ratesFor),
+    skipped,
+    ratesAsOf,
+  };
+};
+
+/**
+ * Returns cost totals per day, week (from Monday) or month for the days
+ * from..to (inclusive), depending on the length of the range; empty
+ * periods are included with a zero total. Resolves with
+ * { data: [{ label, start, total }], bucket, skipped, ratesAsOf } and takes the
+ * same options as getYearlyReport.
+ */
+export const getRangeTotals = async (from, to, currency, options = {}) => {
+  const range = await getCostsInRange(from, to, options);
+  const { ratesFor, ratesAsOf } = await getRateResolver(options.conversion);
+  const fromDate = parseCostDate(range.from);
+  const toDate = parseCostDate(range.to);
+  const bucket = getRangeBucket(fromDate, toDate);
+
+  // One zero total per period, keyed by the period's first day
+  const totals = new Map();
+  for (
+    let start = getBucketStart(fromDate, bucket);
+    start <= toDate;
+    start = getNextBucketStart(start, bucket)
+  ) {
+    totals.set(toDateInputValue(start), { start, totalMinor: 0 });
+  }
+
+  // Add each matching item to the period containing its date
+  const { convertible, skipped } = splitConvertible(
+    range.costs.filter((cost) => matchesFilters(cost, options)),
+    currency,
+    ratesFor
+  );
+  convertible.forEach((cost) => {
+    const item = toReportItem(cost, currency, ratesFor);
+    const key = toDateInputValue(getBucketStart(item.date, bucket));
+    totals.get(key).totalMinor += item.convertedMinor;
+  });
+
+  // Label days and weeks by their first day, months by month and year
+  const labelFormat =
+    bucket === "month"
+      ? { month: "short", year: "numeric" }
+      : { month: "short", day: "numeric" };
+  const data = Array.from(totals.values()).map(({ start, totalMinor }) => ({
+    label: start.toLocaleDateString("en", labelFormat),
+    start: toDateInputValue(start),
+    total: fromMinorUnits(totalMinor, currency),
+  }));
+
+  return { data, bucket, skipped, ratesAsOf };
+};
+
+/**
+ * Projects the current month's total and the remaining months of the
+ * year from the last twelve months of costs (see forecast.js).
+ * Takes the same options as getYearlyReport; today defaults to now.
+ * Resolves with amounts in major units:
+ * { current: { year, month, spent, daysElapsed, daysInMonth, runRate,
+ *   smoothed, pendingRecurring, confidence },
+ *   months: [{ year, month, projected, confidence }],
+ *   recurring: [{ category, description, amount, day }], skipped,
+ *   ratesAsOf }
+ */
+export const getForecast = async (
+  currency,
+  options = {},
+  today = new Date()
+) => {
+  const range = await getCostsInRange(
+    getForecastHistoryStart(today),
+    today,
+    options
+  );
+  const { ratesFor, ratesAsOf } = await getRateResolver(options.conversion);
+
+  // The models work on converted integer amounts
+  const { convertible, skipped } = splitConvertible(
+    range.costs.filter((cost) => matchesFilters(cost, options)),
+    currency,
+    ratesFor
+  );
+  const entries = convertible.map((cost) => {
+    const item = toReportItem(cost, currency, ratesFor);
+    return {
+      date: new Date(item.date),
+      amountMinor: item.convertedMinor,
+      category: item.category,
+      description: item.description,
+    };
+  });
+  const forecast = forecastSpending(entries, today);
+  const major = (minor) => fromMinorUnits(minor, currency);
+
+  return {
+    current: {
+      year: forecast.current.year,
+      month: forecast.current.month,
+      spent: major(forecast.current.spentMinor),
+      daysElapsed: forecast.current.daysElapsed,
+      daysInMonth: forecast.current.daysInMonth,
+      runRate: major(forecast.current.runRateMinor),
+      smoothed: major(forecast.current.smoothedMinor),
+      pendingRecurring: major(forecast.current.pendingRecurringMinor),
+      confidence: forecast.current.confidence,
+    },
+    months: forecast.months.map((month) => ({
+      year: month.year,
+      month: month.month,
+      projected: major(month.projectedMinor),
+      confidence: month.confidence,
+    })),
+    recurring: forecast.recurring.map((item) => ({
+      category: item.category,
+      description: item.description,
+      amount: major(item.amountMinor),
+      day: item.day,
+    })),
+    skipped,
+    ratesAsOf,
+  };
+};
+
+/**
+ * Returns the data of a printable statement for a month, or for a whole
+ * year when month is null: every item with its original and converted
+ * amount, per-category subtotals, totals per day (month statement) or per
+ * month (year statement), the grand total, and the exchange rates used.
+ * Items without an exchange rate are listed as skipped instead.
+ * options.conversion selects "current" (default) or "purchase" rates.
+ */
+export const getStatement = async (year, month, currency, options = {}) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Query one month through year_month, or the whole year through year
+    const transaction = dbInstance.transaction(["costs"], "readonly");
+    const objectStore = transaction.objectStore("costs");
+    const request = month
+      ? objectStore.index("year_month").getAll([year, month])
+      : objectStore.index("year").getAll(year);
+
+    // Handle successful data retrieval
+    request.onsuccess = async (event) => {
+      try {
+        // Get the exchange rates to use for each cost's date
+        const { ratesFor, ratesAsOf } = await getRateResolver(
+          options.conversion
+        );
+
+        // Items in date order, each converted to the target currency;
+        // items without a rate are listed apart
+        const { convertible, skipped } = splitConvertible(
+          event.target.result,
+          currency,
+          ratesFor
+        );
+        const costs = convertible
+          .map((cost) => toReportItem(cost, currency, ratesFor))
+          .sort((a, b) => a.date - b.date || a.id - b.id);
+
+        // Subtotals per category, largest first, with their colours
+        const colors = await getCategoryColors();
+        const categoryTotals = {};
+        costs.forEach((cost) => {
+          categoryTotals[cost.category] =
+            (categoryTotals[cost.category] || 0) + cost.convertedMinor;
+        });
+        const categories = Object.keys(categoryTotals)
+          .map((name) => ({
+            name,
+            totalMinor: categoryTotals[name],
+            total: fromMinorUnits(categoryTotals[name], currency),
+            color: colors[name] || getDefaultCategoryColor(name),
+          }))
+          .sort((a, b) => b.totalMinor - a.totalMinor);
+
+        // Totals per day of the month, or per month of the year
+        const periodCount = month ? new Date(year, month, 0).getDate() : 12;
+        const periodTotals = Array(periodCount).fill(0);
+        costs.forEach((cost) => {
+          const index = month ? cost.date.getDate() : cost.date.getMonth() + 1;
+          periodTotals[index - 1] += cost.convertedMinor;
+        });
+        const periods = periodTotals.map((total, index) => ({
+          label: month
+            ? String(index + 1)
+            : new Date(year, index, 1).toLocaleString("en", { month: "short" }),
+          total: fromMinorUnits(total, currency),
+        }));
+
+        // Distinct rates applied, per original currency
+        const ratesUsed = {};
+        costs.forEach((cost) => {
+          if (cost.currency === currency) {
+            return;
+          }
+          const rates = ratesFor(cost.date);
+          const rate = rates[currency] / rates[cost.currency];
+          const key = `${cost.currency}:${rate}`;
+          if (!ratesUsed[key]) {
+            ratesUsed[key] = { currency: cost.currency, rate, items: 0 };
+          }
+          ratesUsed[key].items++;
+        });
+
+        const totalMinor = sumMinorUnits(costs.map((c) => c.convertedMinor));
+
+        resolve({
+          year,
+          month: month || null,
+          currency,
+          costs,
+          categories,
+          periods,
+          total: {
+            currency,
+            total: fromMinorUnits(totalMinor, currency),
+            totalMinor,
+          },
+          rates: Object.values(ratesUsed).sort(
+            (a, b) => a.currency.localeCompare(b.currency) || a.rate - b.rate
+          ),
+          conversion: options.conversion || "current",
+          skipped,
+          ratesAsOf,
+        });
+      } catch (error) {
+        // Handle errors during currency conversion or data processing
+        reject(error);
+      }
+    };
+
+    // Handle query errors
+    request.onerror = () => {
+      reject(new Error("Failed to get statement"));
+    };
+  });
+};
+
+/**
+ * Walks the whole costs store with a cursor, in id order, and passes each
+ * item to onCost (with sum in major units, date as "YYYY-MM-DD" and tags
+ * joined with "; "), so large stores are never loaded into one array.
+ * Resolves with the number of items exported.
+ */
+export const exportAllCosts = (onCost) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Create a read-only transaction for the "costs" object store
+    const transaction = dbInstance.transaction(["costs"], "readonly");
+    const objectStore = transaction.objectStore("costs");
+    const request = objectStore.openCursor();
+    let count = 0;
+
+    // Handle each cursor step until the end of the store
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve(count);
+        return;
+      }
+
+      const cost = cursor.value;
+      try {
+        onCost({
+          id: cost.id,
+          date: toDateInputValue(cost.date || cost.dateAdded),
+          category: cost.category,
+          description: cost.description,
+          tags: (cost.tags || []).join("; "),
+          sum: fromMinorUnits(cost.sumMinor, cost.currency),
+          currency: cost.currency,
+          dateAdded: cost.dateAdded,
+        });
+      } catch (error) {
+        // Stop walking the store if the consumer fails
+        reject(error);
+        return;
+      }
+      count++;
+      cursor.continue();
+    };
+
+    // Handle cursor errors
+    request.onerror = () => {
+      reject(new Error("Failed to export costs"));
+    };
+  });
+};
+
+/**
+ * Collects every object store of the database and the settings kept in
+ * localStorage into a versioned backup object (see backup.js for the
+ * file format).
+ */
+export const createBackup = async () => {
+  // Verify database is initialized
+  if (!dbInstance) {
+    throw new Error("Database not opened");
+  }
+
+  return {
+    app: BACKUP_APP,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion: DB_VERSION,
+    createdAt: new Date(),
+    stores: await readAllStores(dbInstance),
+    settings: getSettings(),
+  };
+};
+
+/**
+ * Restores a backup object as returned by parseBackup.
+ * Backups from older schema versions are first upgraded with the regular
+ * migrations. mode "replace" clears the database and the settings first;
+ * mode "merge" keeps existing records and settings and adds the missing
+ * ones (cost items whose id is taken by a different item get a new id,
+ * and the costs of a recurring cost moved to a new id follow it).
+ * Resolves with the number of records written per store.
+ */
+export const restoreBackup = async (backup, mode) => {
+  // Verify database is initialized
+  if (!dbInstance) {
+    throw new Error("Database not opened");
+  }
+  if (mode !== "merge" && mode !== "replace") {
+    throw new Error(`Unknown restore mode "${mode}"`);
+  }
+
+  // Backups from a newer app cannot be read with these migrations
+  if (backup.schemaVersion > DB_VERSION) {
+    throw new Error(
+      `The backup was created by a newer version of the app ` +
+        `(schema ${backup.schemaVersion}, this version supports ${DB_VERSION})`
+    );
+  }
+
+  // Bring the records of older backups up to the current schema
+  const stores =
+    backup.schemaVersion < DB_VERSION
+      ? await migrateBackupStores(backup.stores, backup.schemaVersion)
+      : backup.stores;
+
+  // Write the records first so settings only change if the data was restored
+  const counts = await writeBackupStores(stores, mode);
+  restoreSettings(backup.settings, mode === "replace");
+  return counts;
+};
+
+/**
+ * Reads every record of every object store of a database.
+ * Resolves with a map of store name to array of records.
+ */
+const readAllStores = (database) => {
+  return new Promise((resolve, reject) => {
+    const names = Array.from(database.objectStoreNames);
+    const transaction = database.transaction(names, "readonly");
+    const stores = {};
+
+    // Queue one getAll request per store
+    names.forEach((name) => {
+      const request = transaction.objectStore(name).getAll();
+      request.onsuccess = () => {
+        stores[name] = request.result;
+      };
+    });
+
+    // All requests have finished once the transaction completes
+    transaction.oncomplete = () => {
+      resolve(stores);
+    };
+    transaction.onabort = () => {
+      reject(new Error("Failed to read the database"));
+    };
+  });
+};
+
+/**
+ * Upgrades the records of a backup from an older schema version.
+ * The records are loaded into a scratch database created at the backup's
+ * version, which is then opened at DB_VERSION so the regular migrations
+ * rewrite them. Resolves with the migrated records of every store.
+ */
+const migrateBackupStores = async (stores, schemaVersion) => {
+  const scratchName = `${dbInstance.name}-restore`;
+
+  // Start from a clean scratch database
+  await deleteDatabase(scratchName);
+
+  try {
+    // Recreate the backup's schema and load the records as they were saved
+    const oldDatabase = await openScratchDatabase(
+      scratchName,
+      schemaVersion,
+      (database, transaction) =>
+        runMigrations(database, transaction, 0, schemaVersion).then(() =>
+          putRecords(transaction, stores)
+        )
+    );
+    oldDatabase.close();
+
+    // Run the migrations from the backup's version to the current one
+    const newDatabase = await openScratchDatabase(
+      scratchName,
+      DB_VERSION,
+      (database, transaction, oldVersion) =>
+        runMigrations(database, transaction, oldVersion, DB_VERSION)
+    );
+    const migrated = await readAllStores(newDatabase);
+    newDatabase.close();
+    return migrated;
+  } finally {
+    // Never leave the scratch database behind
+    await deleteDatabase(scratchName).catch(() => {});
+  }
+};
+
+/**
+ * Opens a database, running upgrade(database, transaction, oldVersion)
+ * when its version changes. Used for the scratch database of a restore.
+ */
+const openScratchDatabase = (name, version, upgrade) => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    // Holds the error of a failed upgrade, if any
+    let upgradeError = null;
+
+    request.onupgradeneeded = (event) => {
+      const database = event.target.result;
+      const transaction = event.target.transaction;
+      upgrade(database, transaction, event.oldVersion).catch((error) => {
+        // Abort the upgrade so the failure is reported by onerror
+        upgradeError = error;
+        try {
+          transaction.abort();
+        } catch {
+          // The transaction was already aborted by the failing request
+        }
+        // Release the connection so the scratch database can be deleted
+        database.close();
+      });
+    };
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      reject(
+        new Error(
+          `Failed to migrate the backup${upgradeError ? `: ${upgradeError.message}` : ""}`
+        )
+      );
+    };
+  });
+};
+
+/**
+ * Closes the open database, e.g. before opening the one of another
+ * ledger. Functions reject with "Database not opened" until then.
+ */
+export const closeCostsDB = () => {
+  latestOpenRequest = null;
+  if (dbInstance) {
+    dbInstance.close();
+    dbInstance = null;
+  }
+};
+
+/**
+ * Deletes the database of a ledger with all its data. Resolves once it
+ * is gone; the database must not be the open one. onBlocked is called
+ * while a connection left open elsewhere (e.g. another tab) holds up the
+ * delete, which then goes ahead once that connection closes.
+ */
+export const deleteCostsDB = (databaseName, onBlocked) => {
+  if (dbInstance && dbInstance.name === databaseName) {
+    return Promise.reject(new Error("The open database cannot be deleted"));
+  }
+  return deleteDatabase(databaseName, onBlocked);
+};
+
+/**
+ * Deletes a database by name. Resolves once it is gone; the optional
+ * onBlocked is called when other connections hold up the delete.
+ */
+const deleteDatabase = (name, onBlocked) => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(name);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(new Error(`Failed to delete "${name}"`));
+    request.onblocked = () => {
+      if (onBlocked) {
+        onBlocked();
+      }
+    };
+  });
+};
+
+/**
+ * Queues a put for every record of the given stores in a transaction.
+ * Rejects if the backup names a store the schema does not have.
+ */
+const putRecords = async (transaction, stores) => {
+  Object.keys(stores).forEach((name) => {
+    if (!transaction.objectStoreNames.contains(name)) {
+      throw new Error(`The backup contains an unknown store "${name}"`);
+    }
+    const objectStore = transaction.objectStore(name);
+    stores[name].forEach((record) => objectStore.put(record));
+  });
+};
+
+/**
+ * Serializes a record with sorted keys so equal records compare equal
+ * regardless of the order their fields were written in.
+ */
+const canonicalRecord = (record) => {
+  return JSON.stringify(record, (key, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(
+          Object.keys(value)
+            .sort()
+            .map((name) => [name, value[name]])
+        )
+      : value
+  );
+};
+
+/**
+ * Writes the records of a (current-schema) backup in a single transaction,
+ * replacing or merging as described in restoreBackup.
+ * Resolves with the number of records written per store.
+ */
+const writeBackupStores = (stores, mode) => {
+  return new Promise((resolve, reject) => {
+    // Refuse stores this schema does not know before touching anything
+    const unknown = Object.keys(stores).find(
+      (name) => !dbInstance.objectStoreNames.contains(name)
+    );
+    if (unknown) {
+      reject(new Error(`The backup contains an unknown store "${unknown}"`));
+      return;
+    }
+
+    // One read-write transaction over every store: all or nothing
+    const names = Array.from(dbInstance.objectStoreNames);
+    const transaction = dbInstance.transaction(names, "readwrite");
+    const counts = {};
+
+    /**
+     * Runs a step that queues requests; a record without a usable key
+     * undoes everything queued so far.
+     */
+    const run = (step) => {
+      try {
+        step();
+      } catch (error) {
+        transaction.abort();
+        reject(new Error(`Failed to restore the backup: ${error.message}`));
+      }
+    };
+
+    // Replace: empty every store (also stores missing from the backup)
+    if (mode === "replace") {
+      run(() => {
+        names.forEach((name) => {
+          const objectStore = transaction.objectStore(name);
+          const records = stores[name] || [];
+          objectStore.clear();
+          records.forEach((record) => objectStore.put(record));
+          counts[name] = records.length;
+        });
+      });
+    } else {
+      // Merge: recurring costs go first so the costs they generated can
+      // follow a schedule that had to move to a new id
+      const order = [
+        ...names.filter((name) => name === "recurring"),
+        ...names.filter((name) => name !== "recurring"),
+      ];
+      const recurringIds = new Map();
+      const mergeNext = (index) => {
+        if (index < order.length) {
+          run(() => mergeStore(order[index], () => mergeNext(index + 1)));
+        }
+      };
+
+      /**
+       * Points a restored cost at the new id of its recurring cost
+       */
+      const withRestoredSchedule = (record) => {
+        if (!recurringIds.has(record.recurringId)) {
+          return record;
+        }
+        const recurringId = recurringIds.get(record.recurringId);
+        const day = record.occurrence.slice(record.occurrence.indexOf(":") + 1);
+        return {
+          ...record,
+          recurringId,
+          occurrence: getOccurrenceKey(recurringId, parseCostDate(day)),
+        };
+      };
+
+      /**
+       * Keeps the existing records of a store and adds the missing ones,
+       * calling done once every record has been handled
+       */
+      const mergeStore = (name, done) => {
+        const objectStore = transaction.objectStore(name);
+        const records = (stores[name] || []).map((record) =>
+          name === "costs" ? withRestoredSchedule(record) : record
+        );
+        counts[name] = 0;
+
+        // Records still waiting for their requests
+        let pending = records.length;
+        const settle = () => {
+          pending--;
+          if (pending === 0) {
+            done();
+          }
+        };
+        if (pending === 0) {
+          done();
+          return;
+        }
+
+        const addRecord = (record, onAdded) => {
+          const addRequest = objectStore.add(record);
+          counts[name]++;
+          addRequest.onsuccess = () => {
+            if (onAdded) {
+              onAdded(addRequest.result);
+            }
+            settle();
+          };
+          // A record clashing with a unique index (e.g. a category name)
+          // is already present under another id: keep the existing one
+          addRequest.onerror = (event) => {
+            if (addRequest.error.name === "ConstraintError") {
+              event.preventDefault();
+              event.stopPropagation();
+              counts[name]--;
+              settle();
+            }
+          };
+        };
+
+        // Records that get a new id are added after the ones keeping
+        // theirs, so a generated id cannot take a restored record's id
+        const copies = [];
+        let unchecked = records.length;
+        const checked = () => {
+          unchecked--;
+          if (unchecked === 0) {
+            copies.forEach(({ record, key }) =>
+              addRecord(record, (newKey) => {
+                if (name === "recurring" && key !== undefined) {
+                  recurringIds.set(key, newKey);
+                }
+              })
+            );
+          }
+        };
+
+        records.forEach((record) => {
+          const key = record[objectStore.keyPath];
+
+          // Records without an id simply get a new one
+          if (key === undefined && objectStore.autoIncrement) {
+            copies.push({ record });
+            checked();
+            return;
+          }
+
+          const getRequest = objectStore.get(key);
+
+          getRequest.onsuccess = () => {
+            const existing = getRequest.result;
+            if (existing === undefined) {
+              addRecord(record);
+            } else if (
+              objectStore.autoIncrement &&
+              canonicalRecord(existing) !== canonicalRecord(record)
+            ) {
+              // A different item holds this id: store a copy under a new id
+              const copy = { ...record };
+              delete copy[objectStore.keyPath];
+              copies.push({ record: copy, key });
+            } else {
+              settle();
+            }
+            checked();
+          };
+        });
+      };
+
+      mergeNext(0);
+    }
+
+    // The records are only saved once the whole transaction commits
+    transaction.oncomplete = () => {
+      resolve(counts);
+    };
+    transaction.onabort = () => {
+      reject(new Error("Failed to restore the backup"));
+    };
+  });
+};
+
+/**
+ * Builds a new category record with the given or default appearance.
+ */
+const buildCategory = (name, color, icon) => {
+  const categoryName = normalizeCategoryName(name);
+  return {
+    name: categoryName,
+    key: getCategoryKey(categoryName),
+    color: color || getDefaultCategoryColor(categoryName),
+    icon: icon || DEFAULT_CATEGORY_ICON,
+  };
+};
+
+/**
+ * Changes the category of every cost item named fromName to toName
+ * inside a read-write transaction. Resolves with the number of items
+ * changed once the cursor has visited them all.
+ */
+const renameCostCategory = (transaction, fromName, toName) => {
+  return new Promise((resolve) => {
+    const index = transaction.objectStore("costs").index("category");
+    const request = index.openCursor(IDBKeyRange.only(fromName));
+    let count = 0;
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(count);
+        return;
+      }
+      cursor.update(withSearchTokens({ ...cursor.value, category: toName }));
+      count++;
+      cursor.continue();
+    };
+  });
+};
+
+/**
+ * Changes the category of every recurring cost named fromName to toName
+ * inside a read-write transaction.
+ */
+const renameRecurringCategory = (transaction, fromName, toName) => {
+  const request = transaction.objectStore("recurring").openCursor();
+
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) {
+      return;
+    }
+    if (cursor.value.category === fromName) {
+      cursor.update({ ...cursor.value, category: toName });
+    }
+    cursor.continue();
+  };
+};
+
+/**
+ * Changes the category of every budget named fromName to toName inside a
+ * read-write transaction. Where toName already has a budget for the same
+ * month, that budget is kept and the one of fromName is dropped.
+ */
+const renameBudgetCategory = (transaction, fromName, toName) => {
+  const budgetsStore = transaction.objectStore("budgets");
+  const request = budgetsStore.getAll();
+
+  request.onsuccess = () => {
+    const taken = new Set(
+      request.result
+        .filter((budget) => budget.category === toName)
+        .map((budget) => `${budget.year}-${budget.month}`)
+    );
+    request.result
+      .filter((budget) => budget.category === fromName)
+      .forEach((budget) => {
+        if (taken.has(`${budget.year}-${budget.month}`)) {
+          budgetsStore.delete(budget.id);
+        } else {
+          budgetsStore.put({ ...budget, category: toName });
+        }
+      });
+  };
+};
+
+/**
+ * Deletes every budget of a category inside a read-write transaction.
+ */
+const deleteCategoryBudgets = (transaction, name) => {
+  const budgetsStore = transaction.objectStore("budgets");
+  const request = budgetsStore.getAll();
+
+  request.onsuccess = () => {
+    request.result
+      .filter((budget) => budget.category === name)
+      .forEach((budget) => budgetsStore.delete(budget.id));
+  };
+};
+
+/**
+ * Reads the budgets of the months fromYear/fromMonth..toYear/toMonth
+ * (inclusive) through the "year_month" index.
+ */
+const getBudgetsInMonths = (fromYear, fromMonth, toYear, toMonth) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["budgets"], "readonly");
+    const request = transaction
+      .objectStore("budgets")
+      .index("year_month")
+      .getAll(IDBKeyRange.bound([fromYear, fromMonth], [toYear, toMonth]));
+
+    request.onsuccess = () => {
+      resolve(request.result);
+    };
+
+    request.onerror = () => {
+      reject(new Error("Failed to get budgets"));
+    };
+  });
+};
+
+/**
+ * Computes the budgets of a month against the spending of their
+ * categories, in integer minor units of currency (see getBudgetReport).
+ * Resolves with { rows: [{ budget, budgetMinor, carriedMinor,
+ * availableMinor, spentMinor }], unbudgeted: [{ category, spentMinor }],
+ * skipped, skippedBudgets, ratesAsOf }, where skipped lists the costs
+ * and skippedBudgets the budgets of the month that have no exchange rate.
+ */
+const getBudgetUsage = async (year, month, currency, options) => {
+  // The month and the months before it that rollover may reach back to
+  const periods = [];
+  for (let back = BUDGET_ROLLOVER_MONTHS; back >= 0; back--) {
+    const start = new Date(year, month - 1 - back, 1);
+    periods.push({ year: start.getFullYear(), month: start.getMonth() + 1 });
+  }
+  const first = periods[0];
+  const periodKey = (item) => `${item.year}-${item.month}`;
+
+  const budgets = await getBudgetsInMonths(
+    first.year,
+    first.month,
+    year,
+    month
+  );
+  const range = await getCostsInRange(
+    new Date(first.year, first.month - 1, 1),
+    new Date(year, month, 0)
+  );
+  const { ratesFor, ratesAsOf } = await getRateResolver(options.conversion);
+  const budgetRates = ratesFor(new Date());
+
+  // Converted spending per month and category, leaving out costs that
+  // have no rate
+  const { convertible, skipped } = splitConvertible(
+    range.costs,
+    currency,
+    ratesFor
+  );
+  const spent = {};
+  convertible.forEach((cost) => {
+    const key = periodKey(cost);
+    spent[key] = spent[key] || {};
+    spent[key][cost.category] =
+      (spent[key][cost.category] || 0) +
+      convertCurrency(
+        cost.sumMinor,
+        cost.currency,
+        currency,
+        ratesFor(cost.date || cost.dateAdded)
+      );
+  });
+
+  // Budgets per month
+  const budgetsByPeriod = {};
+  budgets.forEach((budget) => {
+    const key = periodKey(budget);
+    budgetsByPeriod[key] = [...(budgetsByPeriod[key] || []), budget];
+  });
+
+  // Walk the months oldest first, carrying unused budget into the next
+  // month's budget of the same category when it has rollover
+  let rows = [];
+  let skippedBudgets = [];
+  let leftover = {};
+  periods.forEach((period) => {
+    const monthSpent = spent[periodKey(period)] || {};
+    const monthLeftover = {};
+    const monthBudgets = budgetsByPeriod[periodKey(period)] || [];
+    // Budgets in a currency without a rate cannot be compared
+    const comparable = monthBudgets.filter((budget) =>
+      canConvert(budget.currency, currency, budgetRates)
+    );
+    skippedBudgets = monthBudgets.filter((b) => !comparable.includes(b));
+    rows = comparable.map((budget) => {
+      const budgetMinor = convertCurrency(
+        budget.amountMinor,
+        budget.currency,
+        currency,
+        budgetRates
+      );
+      const carriedMinor =
+        budget.rollover && leftover[budget.category] > 0
+          ? leftover[budget.category]
+          : 0;
+      const availableMinor = budgetMinor + carriedMinor;
+      const spentMinor = monthSpent[budget.category] || 0;
+      monthLeftover[budget.category] = availableMinor - spentMinor;
+      return { budget, budgetMinor, carriedMinor, availableMinor, spentMinor };
+    });
+    leftover = monthLeftover;
+  });
+
+  // Categories with spending but no budget in the month itself
+  const monthSpent = spent[periodKey({ year, month })] || {};
+  const unbudgeted = Object.keys(monthSpent)
+    .filter((category) => !rows.some((row) => row.budget.category === category))
+    .sort((a, b) => a.localeCompare(b))
+    .map((category) => ({ category, spentMinor: monthSpent[category] }));
+
+  return {
+    rows,
+    unbudgeted,
+    // Only the costs of the month itself are shown as left out
+    skipped: skipped.filter((item) => {
+      const date = new Date(item.date);
+      return date.getFullYear() === year && date.getMonth() + 1 === month;
+    }),
+    skippedBudgets,
+    ratesAsOf,
+  };
+};
+
+/**
+ * Validates a budget as passed to setBudget and returns the record to
+ * store. Throws on invalid input.
+ */
+const buildBudget = (budget) => {
+  const currency = normalizeCurrencyCode(budget.currency);
+  const amountMinor = toMinorUnits(budget.amount, currency);
+  if (!Number.isFinite(amountMinor) || amountMinor < 0) {
+    throw new Error("Invalid budget amount");
+  }
+  if (!normalizeCategoryName(budget.category)) {
+    throw new Error("Category is required");
+  }
+  const year = Number(budget.year);
+  const month = Number(budget.month);
+  if (
+    !Number.isInteger(year) ||
+    !Number.isInteger(month) ||
+    month < 1 ||
+    month > 12
+  ) {
+    throw new Error("Invalid budget month");
+  }
+
+  return {
+    category: budget.category,
+    year,
+    month,
+    amountMinor,
+    currency,
+    rollover: Boolean(budget.rollover),
+  };
+};
+
+/**
+ * Validates a manual exchange rate as passed to addRateOverride and
+ * returns the record to store. Throws on invalid input.
+ */
+const buildRateOverride = (override) => {
+  const currency = normalizeCurrencyCode(override.currency);
+  if (!isValidCurrencyCode(currency)) {
+    throw new Error(`"${override.currency}" is not a valid currency code`);
+  }
+  if (currency === BASE_CURRENCY) {
+    throw new Error(`Rates are per one ${BASE_CURRENCY}, so its rate is 1`);
+  }
+  const rate = Number(override.rate);
+  if (override.rate === "" || !Number.isFinite(rate) || rate <= 0) {
+    throw new Error("The rate must be a number greater than zero");
+  }
+  const from = parseCostDate(override.from);
+  if (!from) {
+    throw new Error("Invalid start date");
+  }
+  const to = override.to ? parseCostDate(override.to) : null;
+  if (override.to && !to) {
+    throw new Error("Invalid end date");
+  }
+  if (to && to < from) {
+    throw new Error("The end date must not be before the start date");
+  }
+
+  return {
+    currency,
+    rate,
+    from: toDateInputValue(from),
+    to: to && toDateInputValue(to),
+    note: String(override.note || "").trim(),
+  };
+};
+
+/**
+ * Maps a stored budget to the format returned by getBudgets.
+ */
+const toBudgetItem = (budget) => ({
+  id: budget.id,
+  category: budget.category,
+  year: budget.year,
+  month: budget.month,
+  amount: fromMinorUnits(budget.amountMinor, budget.currency),
+  amountMinor: budget.amountMinor,
+  currency: budget.currency,
+  rollover: budget.rollover,
+});
+
+/**
+ * Validates a recurring cost as passed to addRecurring and returns the
+ * record to store. Throws on invalid input.
+ */
+const buildRecurring = (schedule) => {
+  // Store the amount as an integer count of the currency's minor units
+  const currency = normalizeCurrencyCode(schedule.currency);
+  const sumMinor = toMinorUnits(schedule.sum, currency);
+  if (!Number.isFinite(sumMinor)) {
+    throw new Error("Invalid cost amount");
+  }
+  if (!normalizeCategoryName(schedule.category)) {
+    throw new Error("Category is required");
+  }
+
+  // The schedule itself
+  if (!RECURRING_FREQUENCIES.includes(schedule.frequency)) {
+    throw new Error(`Unknown frequency "${schedule.frequency}"`);
+  }
+  const interval =
+    schedule.interval === undefined ? 1 : Number(schedule.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error("The interval must be a whole number of at least 1");
+  }
+  const startDate = parseCostDate(schedule.startDate);
+  if (!startDate) {
+    throw new Error("Invalid start date");
+  }
+  let endDate = null;
+  if (schedule.endDate) {
+    endDate = parseCostDate(schedule.endDate);
+    if (!endDate) {
+      throw new Error("Invalid end date");
+    }
+    if (endDate < startDate) {
+      throw new Error("The end date must not be before the start date");
+    }
+  }
+
+  return {
+    sumMinor,
+    currency,
+    category: schedule.category,
+    description: schedule.description || "",
+    tags: normalizeTags(schedule.tags),
+    frequency: schedule.frequency,
+    interval,
+    startDate: toDateInputValue(startDate),
+    endDate: endDate && toDateInputValue(endDate),
+    paused: Boolean(schedule.paused),
+    lastMaterialized: null,
+  };
+};
+
+/**
+ * Returns a map of category name to colour.
+ */
+const getCategoryColors = async () => {
+  const colors = {};
+  (await getCategories()).forEach((category) => {
+    colors[category.name] = category.color;
+  });
+  return colors;
+};
+
+/**
+ * Replaces the category of each cost item with the stored spelling of
+ * that category, creating the categories that do not exist yet, then
+ * calls done. Runs inside a read-write transaction on costs and categories.
+ */
+const withStoredCategories = (transaction, costItems, done) => {
+  const categoriesStore = transaction.objectStore("categories");
+  const request = categoriesStore.getAll();
+
+  request.onsuccess = () => {
+    // Index the stored categories by their duplicate-detection key
+    const byKey = {};
+    request.result.forEach((category) => {
+      byKey[category.key] = category;
+    });
+
+    costItems.forEach((costItem) => {
+      const key = getCategoryKey(costItem.category);
+      if (!byKey[key]) {
+        byKey[key] = buildCategory(costItem.category);
+        categoriesStore.add(byKey[key]);
+      }
+      costItem.category = byKey[key].name;
+    });
+    done();
+  };
+};
+
+/**
+ * Reads the cost items dated within the days from..to (inclusive) through
+ * the "date" index, or the "tags" index when options has a tag filter
+ * (see readReportCosts). from and to are Dates or "YYYY-MM-DD" strings.
+ * Resolves with { from, to, costs }, the range as "YYYY-MM-DD" strings.
+ */
+const getCostsInRange = (from, to, options = {}) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Only whole calendar days are compared
+    const fromDate = parseCostDate(from);
+    const toDate = parseCostDate(to);
+    if (!fromDate || !toDate) {
+      reject(new Error("Invalid date range"));
+      return;
+    }
+    const firstDay = new Date(
+      fromDate.getFullYear(),
+      fromDate.getMonth(),
+      fromDate.getDate()
+    );
+    const dayAfterLast = new Date(
+      toDate.getFullYear(),
+      toDate.getMonth(),
+      toDate.getDate() + 1
+    );
+    if (firstDay >= dayAfterLast) {
+      reject(new Error("The start date must not be after the end date"));
+      return;
+    }
+
+    // Dates stored with a time of day still fall inside their day
+    const transaction = dbInstance.transaction(["costs"], "readonly");
+    const objectStore = transaction.objectStore("costs");
+    const readRange = () =>
+      objectStore
+        .index("date")
+        .getAll(IDBKeyRange.bound(firstDay, dayAfterLast, false, true));
+    const inRange = (cost) => cost.date >= firstDay && cost.date < dayAfterLast;
+
+    readReportCosts(objectStore, options, readRange, inRange).then(
+      (costs) => {
+        resolve({
+          from: toDateInputValue(firstDay),
+          to: toDateInputValue(toDate),
+          costs,
+        });
+      },
+      () => {
+        reject(new Error("Failed to get costs in range"));
+      }
+    );
+  });
+};
+
+/**
+ * Reads the cost items of the years firstYear..lastYear (inclusive)
+ * through the "year" index, or the "tags" index when options has a tag
+ * filter (see readReportCosts).
+ */
+const getCostsInYears = (firstYear, lastYear, options = {}) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["costs"], "readonly");
+    const objectStore = transaction.objectStore("costs");
+    const readYears = () =>
+      objectStore.index("year").getAll(IDBKeyRange.bound(firstYear, lastYear));
+    const inYears = (cost) => cost.year >= firstYear && cost.year <= lastYear;
+
+    readReportCosts(objectStore, options, readYears, inYears).then(
+      resolve,
+      () => {
+        reject(new Error("Failed to get yearly report"));
+      }
+    );
+  });
+};
+
+/**
+ * Reads the cost items a report may use from the costs objectStore.
+ * Without a tag filter in options, read() makes the getAll request for
+ * the report's period. With one, the items carrying the wanted tags are
+ * read through the multiEntry "tags" index instead, one
+ * IDBKeyRange.only(tag) request per tag (only the first tag when
+ * options.tagMatch is "all", since matchesFilters checks the rest), and
+ * inPeriod(cost) keeps those of the period. Resolves with each item once,
+ * in id order.
+ */
+const readReportCosts = (objectStore, options, read, inPeriod) => {
+  return new Promise((resolve, reject) => {
+    const tags = normalizeTags(options.tags);
+    if (tags.length === 0) {
+      const request = read();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      return;
+    }
+
+    const index = objectStore.index("tags");
+    const queried = options.tagMatch === "all" ? tags.slice(0, 1) : tags;
+    const byId = new Map();
+    let pending = queried.length;
+
+    queried.forEach((tag) => {
+      const request = index.getAll(IDBKeyRange.only(tag));
+      request.onsuccess = () => {
+        request.result
+          .filter(inPeriod)
+          .forEach((cost) => byId.set(cost.id, cost));
+        pending--;
+        if (pending === 0) {
+          resolve([...byId.values()].sort((a, b) => a.id - b.id));
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  });
+};
+
+/**
+ * Totals the converted amounts of cost items per category, as pie chart
+ * data: [{ name, value, color }] with values in major units.
+ */
+const getCategoryChartData = async (costs, currency, ratesFor) => {
+  // Get the colour of each category for the chart
+  const colors = await getCategoryColors();
+  // Object to accumulate totals per category
+  const categoryTotals = {};
+
+  // Iterate through all costs to aggregate by category
+  costs.forEach((cost) => {
+    // Convert cost amount to target currency
+    const convertedAmount = convertCurrency(
+      cost.sumMinor,
+      cost.currency,
+      currency,
+      ratesFor(cost.date || cost.dateAdded)
+    );
+
+    // Add to existing category total or create new category entry
+    categoryTotals[cost.category] =
+      (categoryTotals[cost.category] || 0) + convertedAmount;
+  });
+
+  // Convert the integer category totals to major units for the chart
+  return Object.keys(categoryTotals).map((category) => ({
+    name: category,
+    value: fromMinorUnits(categoryTotals[category], currency),
+    color: colors[category] || getDefaultCategoryColor(category),
+  }));
+};
+
+/**
+ * Checks a cost item against the filters of a report.
+ * options.category keeps only items of that category, and
+ * options.originalCurrency only items entered in that currency.
+ * options.text keeps items whose description or category contains it
+ * (ignoring case). options.tags lists the wanted tags; options.tagMatch
+ * "any" (default) keeps items with at least one of them and "all" items
+ * with every one.
+ * Without filters every item matches.
+ */
+const matchesFilters = (cost, options) => {
+  if (options.category && cost.category !== options.category) {
+    return false;
+  }
+  if (
+    options.originalCurrency &&
+    cost.currency !== normalizeCurrencyCode(options.originalCurrency)
+  ) {
+    return false;
+  }
+  const text = normalizeSearchText(options.text);
+  if (
+    text &&
+    !`${cost.description || ""}\n${cost.category}`.toLowerCase().includes(text)
+  ) {
+    return false;
+  }
+  const wanted = normalizeTags(options.tags);
+  if (wanted.length === 0) {
+    return true;
+  }
+  const tags = cost.tags || [];
+  return options.tagMatch === "all"
+    ? wanted.every((tag) => tags.includes(tag))
+    : wanted.some((tag) => tags.includes(tag));
+};
+
+/**
+ * Checks a report item's converted amount against options.minAmount and
+ * options.maxAmount (inclusive, major units of currency). Empty or
+ * missing bounds are ignored.
+ */
+const matchesAmount = (item, currency, options) => {
+  const bound = (value) =>
+    isBlankAmount(value) ? null : toMinorUnits(value, currency);
+  const min = bound(options.minAmount);
+  const max = bound(options.maxAmount);
+  return (
+    (min === null || item.convertedMinor >= min) &&
+    (max === null || item.convertedMinor <= max)
+  );
+};
+
+/**
+ * Returns the normalized filters of a report's options, echoed with the
+ * report so it can be fetched again with the same filters.
+ */
+const getFilterEcho = (options) => ({
+  tags: normalizeTags(options.tags),
+  tagMatch: options.tagMatch || "any",
+  category: options.category || null,
+  text: normalizeSearchText(options.text) || null,
+  originalCurrency: options.originalCurrency
+    ? normalizeCurrencyCode(options.originalCurrency)
+    : null,
+  minAmount: isBlankAmount(options.minAmount) ? null : options.minAmount,
+  maxAmount: isBlankAmount(options.maxAmount) ? null : options.maxAmount,
+});
+
+/**
+ * Checks whether an amount bound was left out.
+ */
+const isBlankAmount = (value) => {
+  return value === undefined || value === null || value === "";
+};
+
+/**
+ * Trims and lower-cases a search text.
+ */
+const normalizeSearchText = (text) => {
+  return String(text || "")
+    .trim()
+    .toLowerCase();
+};
+
+/**
+ * Maps a stored cost item to the report format: sum in major units and
+ * the amount converted to the target currency with the rates for its date.
+ */
+const toReportItem = (cost, currency, ratesFor) => {
+  const date = cost.date || cost.dateAdded;
+  const convertedMinor = convertCurrency(
+    cost.sumMinor,
+    cost.currency,
+    currency,
+    ratesFor(date)
+  );
+
+  return {
+    id: cost.id,
+    sum: fromMinorUnits(cost.sumMinor, cost.currency),
+    sumMinor: cost.sumMinor,
+    currency: cost.currency,
+    category: cost.category,
+    description: cost.description,
+    tags: cost.tags || [],
+    date,
+    Date: { day: cost.day },
+    converted: fromMinorUnits(convertedMinor, currency),
+    convertedMinor,
+  };
+};
+
+/**
+ * Splits cost items into those that can be converted to currency with the
+ * rates for their dates and those that cannot, because the rates have no
+ * rate for their currency or for currency. Reports leave the latter out
+ * of their totals and return them as skipped: [{ id, sum, currency,
+ * category, description, date }].
+ */
+const splitConvertible = (costs, currency, ratesFor) => {
+  const convertible = [];
+  const skipped = [];
+  costs.forEach((cost) => {
+    const date = cost.date || cost.dateAdded;
+    if (canConvert(cost.currency, currency, ratesFor(date))) {
+      convertible.push(cost);
+      return;
+    }
+    skipped.push({
+      id: cost.id,
+      sum: fromMinorUnits(cost.sumMinor, cost.currency),
+      currency: cost.currency,
+      category: cost.category,
+      description: cost.description,
+      date,
+    });
+  });
+  return { convertible, skipped };
+};
+
+/**
+ * Validates a cost as passed to addCost and returns the record to store.
+ * cost.sum is converted to integer minor units and the optional cost.date
+ * (or now) to the date index fields. Throws on invalid input.
+ */
+const buildCostItem = (cost, now) => {
+  // Use the supplied purchase date, or today if none was given
+  const costDate = cost.date === undefined ? now : parseCostDate(cost.date);
+
+  // Reject dates that do not describe a real calendar day
+  if (!costDate) {
+    throw new Error("Invalid cost date");
+  }
+
+  // Store the amount as an integer count of the currency's minor units
+  const currency = normalizeCurrencyCode(cost.currency);
+  if (!isValidCurrencyCode(currency)) {
+    throw new Error(`"${cost.currency}" is not a valid currency code`);
+  }
+  const sumMinor = toMinorUnits(cost.sum, currency);
+
+  // Reject amounts that are not numbers
+  if (!Number.isFinite(sumMinor)) {
+    throw new Error("Invalid cost amount");
+  }
+  if (!normalizeCategoryName(cost.category)) {
+    throw new Error("Category is required");
+  }
+
+  // Create cost item object with date information
+  return withCostDate(
+    {
+      sumMinor,
+      currency,
+      category: cost.category,
+      description: cost.description,
+      tags: normalizeTags(cost.tags),
+      dateAdded: now,
+    },
+    costDate
+  );
+};
+
+/**
+ * Returns a copy of a cost item stamped with the given purchase date.
+ * Keeps the year, month and day fields (used by the year_month and
+ * year indexes) consistent with the date.
+ */
+const withCostDate = (item, date) => ({
+  ...item,
+  date,
+  year: date.getFullYear(),
+  month: date.getMonth() + 1,
+  day: date.getDate(),
+});
+
+/**
+ * Returns the current exchange rates as { rates, fetchedAt, stale, error },
+ * where error explains why stale (last known good) rates were returned.
+ * Concurrent callers share a single request; forceRefresh skips the cache.
+ */
+export const getExchangeRates = ({ forceRefresh = false } = {}) => {
+  // Start a new request unless an equivalent one is already running
+  if (!pendingRatesRequest || forceRefresh) {
+    const request = loadExchangeRates(forceRefresh).finally(() => {
+      // Forget the request once settled so later calls re-check the cache
+      if (pendingRatesRequest === request) {
+        pendingRatesRequest = null;
+      }
+    });
+    pendingRatesRequest = request;
+  }
+
+  return pendingRatesRequest;
+};
+
+/**
+ * Returns every manual exchange rate, ordered by currency and start date:
+ * [{ id, currency, rate, from, to, note }] where rate is in units per one
+ * BASE_CURRENCY and from/to are "YYYY-MM-DD" (to is null when open-ended).
+ */
+export const getRateOverrides = () => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["rateOverrides"], "readonly");
+    const request = transaction.objectStore("rateOverrides").getAll();
+
+    request.onsuccess = () => {
+      resolve(
+        request.result.sort(
+          (a, b) =>
+            a.currency.localeCompare(b.currency) || a.from.localeCompare(b.from)
+        )
+      );
+    };
+
+    request.onerror = () => {
+      reject(new Error("Failed to get manual exchange rates"));
+    };
+  });
+};
+
+/**
+ * Adds a manual exchange rate { currency, rate, from, to, note } that takes
+ * precedence over the fetched rates on the days from..to (inclusive).
+ * Resolves with the stored override.
+ */
+export const addRateOverride = (override) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Validate the input and build the stored record
+    let record;
+    try {
+      record = buildRateOverride(override);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["rateOverrides"], "readwrite");
+    const request = transaction.objectStore("rateOverrides").add(record);
+
+    transaction.oncomplete = () => {
+      resolve({ ...record, id: request.result });
+    };
+    transaction.onabort = () => {
+      reject(new Error("Failed to add manual exchange rate"));
+    };
+  });
+};
+
+/**
+ * Changes the currency, rate, dates or note of a manual exchange rate.
+ * Resolves with the updated override.
+ */
+export const updateRateOverride = (id, changes) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["rateOverrides"], "readwrite");
+    const overridesStore = transaction.objectStore("rateOverrides");
+    const getRequest = overridesStore.get(id);
+
+    getRequest.onsuccess = () => {
+      const existing = getRequest.result;
+      if (!existing) {
+        reject(new Error("Manual exchange rate not found"));
+        return;
+      }
+
+      // Merge the changes into the existing fields and validate the result
+      let updated;
+      try {
+        updated = { ...buildRateOverride({ ...existing, ...changes }), id };
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      overridesStore.put(updated);
+      transaction.oncomplete = () => {
+        resolve(updated);
+      };
+    };
+
+    transaction.onabort = () => {
+      reject(new Error("Failed to update manual exchange rate"));
+    };
+  });
+};
+
+/**
+ * Deletes a manual exchange rate. Resolves with its id.
+ */
+export const deleteRateOverride = (id) => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    const transaction = dbInstance.transaction(["rateOverrides"], "readwrite");
+    transaction.objectStore("rateOverrides").delete(id);
+
+    transaction.oncomplete = () => {
+      resolve(id);
+    };
+    transaction.onabort = () => {
+      reject(new Error("Failed to delete manual exchange rate"));
+    };
+  });
+};
+
+/**
+ * Returns the history of one currency's rate from the daily snapshots:
+ * [{ date, fetched, effective }] in date order, where fetched is the rate
+ * of the feed that day (null when missing) and effective the rate used
+ * for conversions after the manual overrides.
+ */
+export const getRateHistory = async (currency) => {
+  const code = normalizeCurrencyCode(currency);
+  const snapshots = await getRatesSnapshots();
+  const overrides = await getRateOverrides();
+
+  return snapshots.map((snapshot) => {
+    const fetched =
+      snapshot.rates[code] === undefined ? null : snapshot.rates[code];
+    const effective = applyRateOverrides(
+      snapshot.rates,
+      overrides,
+      snapshot.date
+    )[code];
+    return {
+      date: snapshot.date,
+      fetched,
+      effective: effective === undefined ? null : effective,
+    };
+  });
+};
+
+/**
+ * Loads exchange rates, preferring the latest stored snapshot while it is
+ * younger than the configured time-to-live and came from the same URL
+ * and format.
+ * Otherwise fetches the feed, and if that fails falls back to the last
+ * known good snapshot (marked stale).
+ */
+const loadExchangeRates = async (forceRefresh) => {
+  // Get the configured exchange rate URL and cache lifetime from settings
+  const url = getExchangeRateUrl();
+  const format = getRatesFormat();
+  const ttl = getRatesTtlMinutes() * 60 * 1000;
+  const latest = await getLatestRatesSnapshot();
+
+  // Serve the cached rates while they are still fresh
+  if (
+    !forceRefresh &&
+    latest &&
+    latest.source === url &&
+    latest.format === format &&
+    Date.now() - latest.fetchedAt.getTime() < ttl
+  ) {
+    return { rates: latest.rates, fetchedAt: latest.fetchedAt, stale: false };
+  }
+
+  try {
+    // Fetch, parse and validate the rates from the URL
+    const rates = await fetchExchangeRates(url, format);
+    // Keep the rates as today's snapshot (also used for purchase-time rates)
+    const snapshot = await saveRatesSnapshot(rates, url, format);
+    return { rates, fetchedAt: snapshot.fetchedAt, stale: false };
+  } catch (error) {
+    // Use the last known good rates when the feed is unreachable or invalid
+    if (latest) {
+      return {
+        rates: latest.rates,
+        fetchedAt: latest.fetchedAt,
+        stale: true,
+        error: error.message,
+      };
+    }
+    throw new Error(`Exchange rates are unavailable: ${error.message}`);
+  }
+};
+
+/**
+ * Stores the given rates as the snapshot for today's date.
+ * Later fetches on the same day replace the snapshot.
+ * Resolves with the snapshot record.
+ */
+const saveRatesSnapshot = (rates, source, format) => {
+  return new Promise((resolve) => {
+    // Snapshot keyed by today's "YYYY-MM-DD" date
+    const snapshot = {
+      date: toDateInputValue(new Date()),
+      rates,
+      source,
+      format,
+      fetchedAt: new Date(),
+    };
+
+    // Snapshots are optional, so skip storing them if the database is not open
+    if (!dbInstance) {
+      resolve(snapshot);
+      return;
+    }
+
+    // Write the snapshot to the rates store
+    const transaction = dbInstance.transaction(["rates"], "readwrite");
+    const request = transaction.objectStore("rates").put(snapshot);
+
+    // A missing snapshot only costs a refetch and purchase-time accuracy
+    request.onsuccess = () => resolve(snapshot);
+    request.onerror = () => resolve(snapshot);
+  });
+};
+
+/**
+ * Returns the most recently fetched rates snapshot, or undefined if none.
+ */
+const getLatestRatesSnapshot = () => {
+  return new Promise((resolve) => {
+    // Without a database there is nothing cached
+    if (!dbInstance) {
+      resolve(undefined);
+      return;
+    }
+
+    // Walk the date keys backwards and take the first (latest) record
+    const transaction = dbInstance.transaction(["rates"], "readonly");
+    const request = transaction.objectStore("rates").openCursor(null, "prev");
+
+    request.onsuccess = () => {
+      resolve(request.result ? request.result.value : undefined);
+    };
+    // A read failure behaves like an empty cache
+    request.onerror = () => resolve(undefined);
+  });
+};
+
+/**
+ * Returns all stored daily rate snapshots, ordered by date.
+ */
+const getRatesSnapshots = () => {
+  return new Promise((resolve, reject) => {
+    // Verify database is initialized
+    if (!dbInstance) {
+      reject(new Error("Database not opened"));
+      return;
+    }
+
+    // Keys are "YYYY-MM-DD" strings, so getAll returns them in date order
+    const transaction = dbInstance.transaction(["rates"], "readonly");
+    const request = transaction.objectStore("rates").getAll();
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      reject(new Error("Failed to get exchange rate history"));
+    };
+  });
+};
+
+/**
+ * Returns { ratesFor, ratesAsOf }: ratesFor maps a cost date to the rate
+ * table to convert it with, and ratesAsOf is when today's rates were fetched.
+ * "current" uses today's rates for every date. "purchase" uses the snapshot
+ * of the purchase day, or the closest earlier one (the earliest snapshot for
+ * costs older than all snapshots); currencies missing from a snapshot fall
+ * back to today's rates.
+ * Manual rates replace the fetched ones on the days they apply to: today
+ * for "current", the purchase day for "purchase".
+ */
+const getRateResolver = async (conversion = "current") => {
+  // Today's rates are needed in both modes
+  const { rates: fetchedRates, fetchedAt } = await getExchangeRates();
+  const overrides = await getRateOverrides();
+  const currentRates = applyRateOverrides(fetchedRates, overrides, new Date());
+
+  if (conversion !== "purchase") {
+    return { ratesFor: () => currentRates, ratesAsOf: fetchedAt };
+  }
+
+  const snapshots = await getRatesSnapshots();
+
+  const ratesFor = (date) => {
+    // Nothing recorded yet, so today's rates are the best available
+    if (snapshots.length === 0) {
+      return applyRateOverrides(fetchedRates, overrides, date);
+    }
+
+    // Binary search for the last snapshot on or before the purchase day
+    const key = toDateInputValue(new Date(date));
+    let low = 0;
+    let high = snapshots.length - 1;
+    let match = 0;
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      if (snapshots[middle].date <= key) {
+        match = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return applyRateOverrides(
+      { ...fetchedRates, ...snapshots[match].rates },
+      overrides,
+      date
+    );
+  };
+
+  return { ratesFor, ratesAsOf: fetchedAt };
+};
+
+/**
+ * Converts an amount in integer minor units from one currency to another
+ * using USD as an intermediate reference. Rounding follows money.js.
+ * rates comes from getRateResolver, so manual rates are already applied.
+ */
+const convertCurrency = (amountMinor, fromCurrency, toCurrency, rates) => {
+  return convertMinorUnits(amountMinor, fromCurrency, toCurrency, rates);
 };
@@ -0,0 +1,194 @@
+/**
+ * ledgers.js - Registry of the user's ledgers.
+ * A ledger (e.g. personal, business or household spending) keeps its
+ * costs in a database of its own, so every function of idb.js works on
+ * the ledger whose database is open. The registry and the active ledger
+ * are kept in localStorage.
+ *
+ * Each ledger has its own default currency. The one of the active ledger
+ * is the default currency of currencyService (changed in Settings too);
+ * the others are kept in the registry and swapped in on switching.
+ */
+
+// Import the default currency setting the active ledger's currency lives in
+import {
+  getDefaultCurrency,
+  setDefaultCurrency,
+  normalizeCurrencyCode,
+} from "./currencyService";
+
+// localStorage keys of the registry and of the active ledger's id
+const LEDGERS_KEY = "ledgers";
+const ACTIVE_LEDGER_KEY = "activeLedger";
+
+// The ledger of the database used before ledgers existed
+const DEFAULT_LEDGER = {
+  id: "default",
+  name: "Personal",
+  databaseName: "costsdb",
+};
+
+/**
+ * Reads the stored registry, or the default ledger alone.
+ */
+const readLedgers = () => {
+  // Ignore missing or corrupted values
+  try {
+    const stored = JSON.parse(localStorage.getItem(LEDGERS_KEY));
+    if (Array.isArray(stored) && stored.length > 0) {
+      return stored;
+    }
+  } catch {
+    // Fall through to the default ledger
+  }
+  return [{ ...DEFAULT_LEDGER, currency: getDefaultCurrency() }];
+};
+
+/**
+ * Saves the registry.
+ */
+const writeLedgers = (ledgers) => {
+  localStorage.setItem(LEDGERS_KEY, JSON.stringify(ledgers));
+};
+
+/**
+ * Trims a ledger name and collapses inner whitespace.
+ */
+const normalizeLedgerName = (name) => {
+  return String(name || "")
+    .trim()
+    .replace(/\s+/g, " ");
+};
+
+/**
+ * Validates a ledger name against the other ledgers and returns it
+ * normalized. Throws when it is empty or already taken.
+ */
+const checkLedgerName = (name, ledgers, ownId) => {
+  const normalized = normalizeLedgerName(name);
+  if (!normalized) {
+    throw new Error("Please enter a ledger name");
+  }
+  const taken = ledgers.some(
+    (ledger) =>
+      ledger.id !== ownId &&
+      ledger.name.toLowerCase() === normalized.toLowerCase()
+  );
+  if (taken) {
+    throw new Error(`A ledger named "${normalized}" already exists`);
+  }
+  return normalized;
+};
+
+/**
+ * Returns the id of the active ledger, falling back to the first one.
+ */
+const getActiveLedgerId = (ledgers) => {
+  const stored = localStorage.getItem(ACTIVE_LEDGER_KEY);
+  return ledgers.some((ledger) => ledger.id === stored)
+    ? stored
+    : ledgers[0].id;
+};
+
+/**
+ * Returns the ledgers in creation order: [{ id, name, databaseName,
+ * currency }], the active one with the current default currency.
+ */
+export const getLedgers = () => {
+  const ledgers = readLedgers();
+  const activeId = getActiveLedgerId(ledgers);
+  return ledgers.map((ledger) =>
+    ledger.id === activeId
+      ? { ...ledger, currency: getDefaultCurrency() }
+      : ledger
+  );
+};
+
+/**
+ * Returns the active ledger.
+ */
+export const getActiveLedger = () => {
+  const ledgers = getLedgers();
+  const activeId = getActiveLedgerId(ledgers);
+  return ledgers.find((ledger) => ledger.id === activeId);
+};
+
+/**
+ * Makes a ledger the active one and its currency the default currency.
+ * The database of the ledger must be opened by the caller.
+ */
+export const setActiveLedger = (id) => {
+  // Keep the default currency of the ledger being left
+  const ledgers = getLedgers();
+  const ledger = ledgers.find((item) => item.id === id);
+  if (!ledger) {
+    throw new Error("Ledger not found");
+  }
+  writeLedgers(ledgers);
+
+  localStorage.setItem(ACTIVE_LEDGER_KEY, id);
+  setDefaultCurrency(ledger.currency);
+  return ledger;
+};
+
+/**
+ * Adds a ledger { name, currency } with a new, empty database.
+ * Returns the stored ledger; it does not become active.
+ */
+export const createLedger = ({ name, currency }) => {
+  const ledgers = getLedgers();
+  const id = Date.now().toString(36);
+  const ledger = {
+    id,
+    name: checkLedgerName(name, ledgers, null),
+    databaseName: `costsdb-${id}`,
+    currency: normalizeCurrencyCode(currency || getDefaultCurrency()),
+  };
+  writeLedgers([...ledgers, ledger]);
+  return ledger;
+};
+
+/**
+ * Renames a ledger or changes its default currency ({ name, currency }).
+ * Returns the updated ledger.
+ */
+export const updateLedger = (id, changes) => {
+  const ledgers = getLedgers();
+  const existing = ledgers.find((ledger) => ledger.id === id);
+  if (!existing) {
+    throw new Error("Ledger not found");
+  }
+
+  const updated = { ...existing };
+  if (changes.name !== undefined) {
+    updated.name = checkLedgerName(changes.name, ledgers, id);
+  }
+  if (changes.currency !== undefined) {
+    updated.currency = normalizeCurrencyCode(changes.currency);
+    // The active ledger's currency is the default currency itself
+    if (id === getActiveLedgerId(ledgers)) {
+      setDefaultCurrency(updated.currency);
+    }
+  }
+
+  writeLedgers(ledgers.map((ledger) => (ledger.id === id ? updated : ledger)));
+  return updated;
+};
+
+/**
+ * Removes a ledger from the registry and returns it, so the caller can
+ * delete its database. The active ledger cannot be removed.
+ */
+export const removeLedger = (id) => {
+  const ledgers = getLedgers();
+  const ledger = ledgers.find((item) => item.id === id);
+  if (!ledger) {
+    throw new Error("Ledger not found");
+  }
+  if (id === getActiveLedgerId(ledgers)) {
+    throw new Error("Switch to another ledger before deleting this one");
+  }
+
+  writeLedgers(ledgers.filter((item) => item.id !== id));
+  return ledger;
+};
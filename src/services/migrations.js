@@ -0,0 +1,307 @@
+/**
+ * migrations.js - Versioned schema migrations for the costs database.
+ * Each registered version upgrades the database from the previous version.
+ * When a user opens the app, every step between the stored version and
+ * the current one runs in order inside the upgrade transaction.
+ *
+ * The vanilla library in public/idb.js cannot import modules, so it keeps
+ * its own copy of this registry along with the helpers its steps and
+ * writes rely on: normalizeCategoryName, getCategoryKey and
+ * getDefaultCategoryColor (categories.js), normalizeTags (tags.js) and
+ * withSearchTokens (search.js). Both libraries open the same database, so
+ * a change to any of them must be made in public/idb.js too.
+ */
+
+// Import minor-unit conversion for migrating float amounts
+import { toMinorUnits } from "./money";
+// Import category naming helpers for merging duplicate categories
+import {
+  normalizeCategoryName,
+  getCategoryKey,
+  getDefaultCategoryColor,
+  DEFAULT_CATEGORY_ICON,
+} from "./categories";
+// Import search tokens for building the full-text index
+import { withSearchTokens } from "./search";
+
+/**
+ * Registry of schema migrations keyed by the version they upgrade to.
+ * A step receives the database and the versionchange transaction and
+ * may return a Promise when it rewrites records with a cursor.
+ */
+const MIGRATIONS = {
+  1: {
+    description: "Create the costs store and its indexes",
+    upgrade: (db) => {
+      // Create the "costs" object store with auto-incrementing ID
+      const objectStore = db.createObjectStore("costs", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+
+      // Create index for searching by category
+      objectStore.createIndex("category", "category", { unique: false });
+      // Create index for searching by date added
+      objectStore.createIndex("dateAdded", "dateAdded", { unique: false });
+      // Create composite index for year and month queries
+      objectStore.createIndex("year_month", ["year", "month"], {
+        unique: false,
+      });
+      // Create index for yearly queries
+      objectStore.createIndex("year", "year", { unique: false });
+    },
+  },
+  2: {
+    description: "Add the year index and backfill purchase dates",
+    upgrade: (db, transaction) => {
+      const objectStore = transaction.objectStore("costs");
+
+      // Databases created by the vanilla library lack the year index
+      if (!objectStore.indexNames.contains("year")) {
+        objectStore.createIndex("year", "year", { unique: false });
+      }
+
+      // Items added before purchase dates existed were bought on dateAdded
+      return rewriteRecords(transaction, "costs", (cost) =>
+        cost.date ? undefined : { ...cost, date: cost.dateAdded }
+      );
+    },
+  },
+  3: {
+    description: "Create the rates store for daily exchange-rate snapshots",
+    upgrade: (db) => {
+      // One record per calendar day, keyed by its "YYYY-MM-DD" date
+      db.createObjectStore("rates", { keyPath: "date" });
+    },
+  },
+  4: {
+    description: "Replace the non-standard EURO code with ISO 4217 EUR",
+    upgrade: (db, transaction) => {
+      // Costs entered in euros were stored with the "EURO" code
+      const costsMigrated = rewriteRecords(transaction, "costs", (cost) =>
+        cost.currency === "EURO" ? { ...cost, currency: "EUR" } : undefined
+      );
+
+      // Rate snapshots fetched from the old feed used the same code
+      return costsMigrated.then(() =>
+        rewriteRecords(transaction, "rates", (snapshot) => {
+          if (snapshot.rates.EURO === undefined) {
+            return undefined;
+          }
+          const { EURO, ...rates } = snapshot.rates;
+          return { ...snapshot, rates: { ...rates, EUR: EURO } };
+        })
+      );
+    },
+  },
+  5: {
+    description: "Store amounts as integer minor units",
+    upgrade: (db, transaction) => {
+      // Replace the floating-point "sum" with an exact "sumMinor"
+      return rewriteRecords(transaction, "costs", (cost) => {
+        if (cost.sumMinor !== undefined) {
+          return undefined;
+        }
+        const { sum, ...rest } = cost;
+        const sumMinor = toMinorUnits(sum, cost.currency);
+        // A NaN amount would spoil every total it is part of
+        if (!Number.isFinite(sumMinor)) {
+          throw new Error(
+            `Cost item ${cost.id} has an invalid amount (${String(sum)})`
+          );
+        }
+        return { ...rest, sumMinor };
+      });
+    },
+  },
+  6: {
+    description: "Create the categories store and merge duplicate names",
+    upgrade: (db, transaction) => {
+      // One record per category; the unique key index rejects duplicates
+      const categoriesStore = db.createObjectStore("categories", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      categoriesStore.createIndex("key", "key", { unique: true });
+
+      // The first spelling seen for each key becomes the category name
+      const names = {};
+      const costsMigrated = rewriteRecords(transaction, "costs", (cost) => {
+        const key = getCategoryKey(cost.category);
+        if (names[key] === undefined) {
+          names[key] = normalizeCategoryName(cost.category);
+        }
+        return cost.category === names[key]
+          ? undefined
+          : { ...cost, category: names[key] };
+      });
+
+      // Create a category record for every name in use
+      return costsMigrated.then(() => {
+        Object.keys(names).forEach((key) => {
+          categoriesStore.add({
+            name: names[key],
+            key,
+            color: getDefaultCategoryColor(names[key]),
+            icon: DEFAULT_CATEGORY_ICON,
+          });
+        });
+      });
+    },
+  },
+  7: {
+    description: "Add the multiEntry tags index",
+    upgrade: (db, transaction) => {
+      // One index entry per tag, so a cost is found by any of its tags
+      transaction
+        .objectStore("costs")
+        .createIndex("tags", "tags", { unique: false, multiEntry: true });
+
+      // Give existing costs an empty tag list
+      return rewriteRecords(transaction, "costs", (cost) =>
+        Array.isArray(cost.tags) ? undefined : { ...cost, tags: [] }
+      );
+    },
+  },
+  8: {
+    description: "Add the date index for date-range reports",
+    upgrade: (db, transaction) => {
+      transaction
+        .objectStore("costs")
+        .createIndex("date", "date", { unique: false });
+    },
+  },
+  9: {
+    description: "Add the year_month_currency index for currency filters",
+    upgrade: (db, transaction) => {
+      // Lets a monthly report read only the items in one currency
+      transaction
+        .objectStore("costs")
+        .createIndex("year_month_currency", ["year", "month", "currency"], {
+          unique: false,
+        });
+    },
+  },
+  10: {
+    description: "Create the recurring store and index generated costs",
+    upgrade: (db, transaction) => {
+      // One record per schedule of a recurring cost
+      db.createObjectStore("recurring", { keyPath: "id", autoIncrement: true });
+
+      // Costs generated by a schedule keep its id and their occurrence key;
+      // the unique occurrence index stops the same one from being added twice
+      const costsStore = transaction.objectStore("costs");
+      costsStore.createIndex("recurringId", "recurringId", { unique: false });
+      costsStore.createIndex("occurrence", "occurrence", { unique: true });
+    },
+  },
+  11: {
+    description: "Create the budgets store",
+    upgrade: (db) => {
+      // One budget per category and month, found by category or by month
+      const budgetsStore = db.createObjectStore("budgets", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      budgetsStore.createIndex(
+        "category_month",
+        ["category", "year", "month"],
+        { unique: true }
+      );
+      budgetsStore.createIndex("year_month", ["year", "month"], {
+        unique: false,
+      });
+    },
+  },
+  12: {
+    description: "Create the rateOverrides store for manual exchange rates",
+    upgrade: (db) => {
+      // Manual rates with the days they apply to, read whole on conversion
+      db.createObjectStore("rateOverrides", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    },
+  },
+  13: {
+    description: "Add the multiEntry tokens index for full-text search",
+    upgrade: (db, transaction) => {
+      // One index entry per word, so a search reads only the matching items
+      transaction
+        .objectStore("costs")
+        .createIndex("tokens", "tokens", { unique: false, multiEntry: true });
+
+      // Index the words of the existing costs
+      return rewriteRecords(transaction, "costs", withSearchTokens);
+    },
+  },
+};
+
+// The schema version this build of the app creates and understands
+export const DB_VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number));
+
+/**
+ * Runs every migration after oldVersion up to newVersion, one at a time.
+ * Resolves when all steps (including their cursor work) are finished.
+ */
+export const runMigrations = (db, transaction, oldVersion, newVersion) => {
+  // Build the ordered list of versions that still need to be applied
+  const versions = [];
+  for (let version = oldVersion + 1; version <= newVersion; version++) {
+    versions.push(version);
+  }
+
+  // Chain the steps so a cursor rewrite finishes before the next step starts
+  return versions.reduce(
+    (chain, version) =>
+      chain.then(() => {
+        const migration = MIGRATIONS[version];
+        if (!migration) {
+          throw new Error(`No migration registered for version ${version}`);
+        }
+        return migration.upgrade(db, transaction);
+      }),
+    Promise.resolve()
+  );
+};
+
+/**
+ * Rewrites the records of a store with a cursor.
+ * The transform returns the new record, or undefined to leave it unchanged;
+ * if it throws, the rewrite rejects with its error.
+ */
+export const rewriteRecords = (transaction, storeName, transform) => {
+  return new Promise((resolve, reject) => {
+    // Walk every record of the store inside the given transaction
+    const request = transaction.objectStore(storeName).openCursor();
+
+    // Handle each record (or the end of the store)
+    request.onsuccess = () => {
+      const cursor = request.result;
+
+      // Resolve once all records have been visited
+      if (!cursor) {
+        resolve();
+        return;
+      }
+
+      // Write back only the records the transform changed
+      let updated;
+      try {
+        updated = transform(cursor.value);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      if (updated !== undefined) {
+        cursor.update(updated);
+      }
+      cursor.continue();
+    };
+
+    // Handle cursor errors
+    request.onerror = () => {
+      reject(new Error(`Failed to migrate records in "${storeName}"`));
+    };
+  });
+};
@@ -0,0 +1,182 @@
+/**
+ * money.js - Exact money arithmetic for the Cost Manager application.
+ * Amounts are stored and summed as integers in the currency's minor unit
+ * (cents for USD, whole yen for JPY, fils for BHD), so totals never drift.
+ *
+ * Rounding mode: whenever a value has to be rounded to a whole minor unit
+ * (parsing user input with extra decimals, or converting between
+ * currencies), it is rounded half to even ("banker's rounding"): 0.125 USD
+ * becomes 12 cents and 0.135 USD becomes 14 cents. Converted amounts are
+ * rounded per item and then summed as integers.
+ */
+
+// Cache of minor-unit digits per currency code
+const minorUnitCache = {};
+
+/**
+ * Returns the number of decimal digits of a currency's minor unit
+ * (ISO 4217), e.g. 2 for USD, 0 for JPY, 3 for BHD.
+ * Unknown codes use 2 digits.
+ */
+export const getMinorUnits = (currency) => {
+  if (minorUnitCache[currency] === undefined) {
+    try {
+      // The browser's currency formatter knows the ISO 4217 exponent
+      minorUnitCache[currency] = new Intl.NumberFormat("en", {
+        style: "currency",
+        currency,
+      }).resolvedOptions().maximumFractionDigits;
+    } catch {
+      minorUnitCache[currency] = 2;
+    }
+  }
+  return minorUnitCache[currency];
+};
+
+/**
+ * Rounds a number to the nearest integer, ties to the even neighbour.
+ */
+export const roundHalfEven = (value) => {
+  const floor = Math.floor(value);
+  const diff = value - floor;
+
+  if (diff > 0.5) {
+    return floor + 1;
+  }
+  if (diff < 0.5) {
+    return floor;
+  }
+  return floor % 2 === 0 ? floor : floor + 1;
+};
+
+/**
+ * Returns the plain decimal digits of a number or numeric string
+ * (no exponent), as written rather than as stored in binary.
+ */
+const toDecimalString = (value) => {
+  const text = typeof value === "string" ? value.trim() : String(value);
+
+  // Expand exponent notation such as 1e-7 into plain digits
+  if (/e/i.test(text)) {
+    return Number(text).toLocaleString("en-US", {
+      useGrouping: false,
+      maximumFractionDigits: 20,
+    });
+  }
+  return text;
+};
+
+/**
+ * Converts a major-unit amount (number or numeric string, e.g. 12.34)
+ * into an integer count of minor units (e.g. 1234 cents).
+ * Extra decimals are rounded half to even. Returns NaN for invalid input.
+ */
+export const toMinorUnits = (amount, currency) => {
+  const digits = getMinorUnits(currency);
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(toDecimalString(amount));
+
+  // Reject anything that is not a plain decimal number
+  if (!match || (match[2] === "" && !match[3])) {
+    return NaN;
+  }
+
+  const [, sign, whole, fraction = ""] = match;
+  // Digits that fit in the minor unit, and the ones that must be rounded off
+  const kept = fraction.slice(0, digits).padEnd(digits, "0");
+  const rest = fraction.slice(digits);
+  let minor = Number(`${whole || "0"}${kept}`);
+
+  // Round the discarded digits half to even
+  if (rest !== "") {
+    const firstDropped = Number(rest[0]);
+    const beyondHalf = /[1-9]/.test(rest.slice(1));
+    if (
+      firstDropped > 5 ||
+      (firstDropped === 5 && (beyondHalf || minor % 2 === 1))
+    ) {
+      minor += 1;
+    }
+  }
+
+  return sign === "-" ? -minor : minor;
+};
+
+/**
+ * Converts an integer count of minor units back into a major-unit number.
+ */
+export const fromMinorUnits = (minor, currency) => {
+  return minor / 10 ** getMinorUnits(currency);
+};
+
+/**
+ * Formats minor units as a fixed-point string with the currency's
+ * number of decimals, e.g. 1234 USD -> "12.34", 1234 JPY -> "1234".
+ */
+export const formatMoney = (minor, currency) => {
+  const digits = getMinorUnits(currency);
+  const sign = minor < 0 ? "-" : "";
+  const text = String(Math.abs(minor)).padStart(digits + 1, "0");
+
+  if (digits === 0) {
+    return `${sign}${text}`;
+  }
+  return `${sign}${text.slice(0, -digits)}.${text.slice(-digits)}`;
+};
+
+/**
+ * Checks that a user-entered amount is a positive number with no more
+ * decimals than the currency's minor unit allows.
+ */
+export const isValidAmount = (amount, currency) => {
+  const text = toDecimalString(amount);
+  const fraction = text.split(".")[1] || "";
+  return (
+    Number(text) > 0 &&
+    fraction.length <= getMinorUnits(currency) &&
+    !Number.isNaN(toMinorUnits(text, currency))
+  );
+};
+
+/**
+ * Checks whether a rate table can convert between two currencies: either
+ * they are the same, or both have a positive rate.
+ */
+export const canConvert = (fromCurrency, toCurrency, rates) => {
+  return (
+    fromCurrency === toCurrency ||
+    (rates[fromCurrency] > 0 && rates[toCurrency] > 0)
+  );
+};
+
+/**
+ * Converts minor units between currencies using a rate table expressed
+ * per one unit of a common base currency. The result is rounded half to
+ * even to a whole minor unit of the target currency.
+ * Throws when a rate is missing; callers that convert many items check
+ * canConvert first and leave out the items it rejects.
+ */
+export const convertMinorUnits = (minor, fromCurrency, toCurrency, rates) => {
+  // Same currency needs no conversion (and no rounding)
+  if (fromCurrency === toCurrency) {
+    return minor;
+  }
+
+  // Both currencies need a usable rate
+  if (!canConvert(fromCurrency, toCurrency, rates)) {
+    const code = rates[fromCurrency] > 0 ? toCurrency : fromCurrency;
+    throw new Error(`No exchange rate available for ${code}`);
+  }
+
+  // Scale between the two minor units, then apply the cross rate
+  const scale = 10 ** (getMinorUnits(toCurrency) - getMinorUnits(fromCurrency));
+  return roundHalfEven(
+    (minor * scale * rates[toCurrency]) / rates[fromCurrency]
+  );
+};
+
+/**
+ * Adds up a list of integer minor-unit amounts.
+ */
+export const sumMinorUnits = (amounts) => {
+  return amounts.reduce((total, amount) => total + amount, 0);
+};
@@ -0,0 +1,56 @@
+/**
+ * rateOverrides.js - Manual exchange rates that take precedence over the
+ * fetched feed. An override sets the rate of one currency, in units per
+ * one BASE_CURRENCY like the feed, for the days from..to ("YYYY-MM-DD",
+ * inclusive); without an end date it applies from its start onwards.
+ * Where overrides of a currency overlap, the one starting latest wins.
+ */
+
+import { parseCostDate, toDateInputValue } from "./dateUtils";
+
+/**
+ * Returns whether an override applies on a day given as "YYYY-MM-DD".
+ */
+export const isOverrideEffective = (override, day) => {
+  return override.from <= day && (!override.to || day <= override.to);
+};
+
+/**
+ * Returns the override of each currency that applies on date, keyed by
+ * currency code.
+ */
+export const getEffectiveOverrides = (overrides, date) => {
+  const day = toDateInputValue(parseCostDate(date));
+  const effective = {};
+  overrides
+    .filter((override) => isOverrideEffective(override, day))
+    .forEach((override) => {
+      // Later starts win; among equal starts the newest override
+      const chosen = effective[override.currency];
+      if (
+        !chosen ||
+        override.from > chosen.from ||
+        (override.from === chosen.from && override.id > chosen.id)
+      ) {
+        effective[override.currency] = override;
+      }
+    });
+  return effective;
+};
+
+/**
+ * Returns the rate table of date: the given rates with the overrides that
+ * apply on that day in place of the fetched values.
+ */
+export const applyRateOverrides = (rates, overrides, date) => {
+  const effective = Object.values(getEffectiveOverrides(overrides, date));
+  if (effective.length === 0) {
+    return rates;
+  }
+
+  const result = { ...rates };
+  effective.forEach((override) => {
+    result[override.currency] = override.rate;
+  });
+  return result;
+};
@@ -0,0 +1,140 @@
+/**
+ * recurrence.js - Schedules of recurring costs.
+ * A schedule repeats every `interval` days, weeks, months or years from
+ * its startDate, optionally until an endDate (inclusive). Dates are kept
+ * as "YYYY-MM-DD" strings.
+ *
+ * Occurrences are computed from the start date each time, so a schedule
+ * starting on the 31st falls on the last day of shorter months and
+ * returns to the 31st afterwards.
+ */
+
+import { parseCostDate, toDateInputValue } from "./dateUtils";
+
+// Frequencies a schedule can repeat at
+export const RECURRING_FREQUENCIES = ["days", "weekly", "monthly", "yearly"];
+
+// Singular and plural unit names of each frequency, for descriptions
+const FREQUENCY_UNITS = {
+  days: ["day", "days"],
+  weekly: ["week", "weeks"],
+  monthly: ["month", "months"],
+  yearly: ["year", "years"],
+};
+
+/**
+ * Returns the nth occurrence (0 for the start) of a schedule.
+ */
+export const getOccurrenceDate = (start, frequency, interval, n) => {
+  const step = n * interval;
+  if (frequency === "days" || frequency === "weekly") {
+    const days = frequency === "weekly" ? step * 7 : step;
+    return new Date(
+      start.getFullYear(),
+      start.getMonth(),
+      start.getDate() + days
+    );
+  }
+
+  // Months and years keep the start's day, or the month's last day
+  const months = frequency === "yearly" ? step * 12 : step;
+  const firstOfMonth = new Date(
+    start.getFullYear(),
+    start.getMonth() + months,
+    1
+  );
+  const lastDay = new Date(
+    firstOfMonth.getFullYear(),
+    firstOfMonth.getMonth() + 1,
+    0
+  ).getDate();
+  return new Date(
+    firstOfMonth.getFullYear(),
+    firstOfMonth.getMonth(),
+    Math.min(start.getDate(), lastDay)
+  );
+};
+
+/**
+ * Returns the occurrences of a schedule after the day `after` (exclusive,
+ * or from the start when null) up to the day `until` (inclusive), never
+ * past the schedule's end date.
+ */
+export const getOccurrences = (schedule, after, until) => {
+  const start = parseCostDate(schedule.startDate);
+  const afterKey = after ? toDateInputValue(parseCostDate(after)) : "";
+  let untilKey = toDateInputValue(parseCostDate(until));
+  if (schedule.endDate && schedule.endDate < untilKey) {
+    untilKey = schedule.endDate;
+  }
+
+  const dates = [];
+  for (let n = 0; ; n++) {
+    const date = getOccurrenceDate(
+      start,
+      schedule.frequency,
+      schedule.interval,
+      n
+    );
+    const key = toDateInputValue(date);
+    if (key > untilKey) {
+      return dates;
+    }
+    if (key > afterKey) {
+      dates.push(date);
+    }
+  }
+};
+
+/**
+ * Returns the occurrences of a schedule that are due by today and were
+ * not generated yet (those after its lastMaterialized day).
+ */
+export const getDueOccurrences = (schedule, today) => {
+  if (schedule.paused) {
+    return [];
+  }
+  return getOccurrences(schedule, schedule.lastMaterialized, today);
+};
+
+/**
+ * Returns the next occurrence of a schedule after today, or null when the
+ * schedule ends before it.
+ */
+export const getNextOccurrence = (schedule, today) => {
+  const start = parseCostDate(schedule.startDate);
+  const todayKey = toDateInputValue(today);
+  for (let n = 0; ; n++) {
+    const date = getOccurrenceDate(
+      start,
+      schedule.frequency,
+      schedule.interval,
+      n
+    );
+    const key = toDateInputValue(date);
+    if (schedule.endDate && key > schedule.endDate) {
+      return null;
+    }
+    if (key > todayKey) {
+      return date;
+    }
+  }
+};
+
+/**
+ * Returns the key stored with a generated cost item. It is unique per
+ * schedule and day, so an occurrence can only be inserted once.
+ */
+export const getOccurrenceKey = (recurringId, date) => {
+  return `${recurringId}:${toDateInputValue(date)}`;
+};
+
+/**
+ * Describes how often a schedule repeats, e.g. "Every 2 weeks".
+ */
+export const describeSchedule = (schedule) => {
+  const [singular, plural] = FREQUENCY_UNITS[schedule.frequency];
+  return schedule.interval === 1
+    ? `Every ${singular}`
+    : `Every ${schedule.interval} ${plural}`;
+};
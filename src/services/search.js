@@ -0,0 +1,87 @@
+/**
+ * search.js - Full-text search of cost items.
+ * Every cost item stores the words of its description and category as
+ * search tokens. The multiEntry "tokens" index over them is an inverted
+ * index: a search reads the items of each query word from the index
+ * instead of scanning the whole costs store.
+ * Tokens are lower-cased words with accents removed. A query word matches
+ * the tokens it starts, so "plumb" finds "plumber".
+ */
+
+// Points for a query word equal to a token, and for one that only starts it
+const EXACT_MATCH_SCORE = 3;
+const PREFIX_MATCH_SCORE = 1;
+
+// Extra points for a word found in the description rather than the category
+const DESCRIPTION_BONUS = 1;
+
+// Extra points when the description contains the whole query as typed
+const PHRASE_BONUS = 2;
+
+/**
+ * Splits text into its distinct lower-cased words without accents.
+ */
+export const tokenize = (text) => {
+  const words = String(text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word !== "");
+  return [...new Set(words)];
+};
+
+/**
+ * Returns the search tokens of a cost item: the words of its description
+ * and category.
+ */
+export const getSearchTokens = (cost) => {
+  return tokenize(`${cost.description || ""} ${cost.category || ""}`);
+};
+
+/**
+ * Returns a copy of a cost item with its search tokens brought up to date.
+ * Every write of a cost item goes through this so the index stays in sync.
+ */
+export const withSearchTokens = (cost) => ({
+  ...cost,
+  tokens: getSearchTokens(cost),
+});
+
+/**
+ * Scores how well a cost item matches a query (higher is better).
+ * Exact words count more than prefixes, and the description more than
+ * the category.
+ */
+export const scoreSearchMatch = (cost, query) => {
+  const descriptionTokens = tokenize(cost.description);
+  const categoryTokens = tokenize(cost.category);
+  const wordScore = (tokens, word) => {
+    if (tokens.includes(word)) {
+      return EXACT_MATCH_SCORE;
+    }
+    return tokens.some((token) => token.startsWith(word))
+      ? PREFIX_MATCH_SCORE
+      : 0;
+  };
+
+  let score = 0;
+  tokenize(query).forEach((word) => {
+    const inDescription = wordScore(descriptionTokens, word);
+    score += inDescription
+      ? inDescription + DESCRIPTION_BONUS
+      : wordScore(categoryTokens, word);
+  });
+
+  // The query as typed, e.g. "new tyres", found in the description
+  const phrase = String(query).trim().toLowerCase();
+  if (
+    phrase &&
+    String(cost.description || "")
+      .toLowerCase()
+      .includes(phrase)
+  ) {
+    score += PHRASE_BONUS;
+  }
+  return score;
+};
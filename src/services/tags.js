@@ -0,0 +1,26 @@
+/**
+ * tags.js - Naming of cost tags.
+ * Tags are free-form labels such as "business trip" or "reimbursable".
+ * They are stored trimmed and lower-cased so the multiEntry "tags" index
+ * finds a tag however it was typed.
+ */
+
+/**
+ * Trims a tag, collapses inner whitespace and lower-cases it.
+ */
+export const normalizeTag = (tag) => {
+  return String(tag || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+};
+
+/**
+ * Normalizes a list of tags, dropping empty and repeated ones.
+ */
+export const normalizeTags = (tags) => {
+  const normalized = (Array.isArray(tags) ? tags : [])
+    .map(normalizeTag)
+    .filter((tag) => tag !== "");
+  return [...new Set(normalized)];
+};